@@ -1,13 +1,31 @@
 
 import './alva-scene.js';
 import './clicker.js';
+import { ElevationService } from '../three/geo/ElevationService.js';
 
 AFRAME.registerComponent("alva-arjs", {
+
+    schema: {
+        // elevation tiles the gps-new-entity-place entities stand on, see ElevationService
+        elevationUrl: { type: 'string', default: 'data/elevation/{z}/{x}/{y}.png' },
+        elevationEncoding: { type: 'string', default: 'terrarium' },
+        // metres the entities' origins are above the terrain
+        groundOffset: { type: 'number', default: 0 },
+        // metres the camera is above the ground
+        deviceHeight: { type: 'number', default: 1.6 }
+    },
+
     init: function() {
         console.log('alva-arjs init()');
         let testEntitiesAdded = false;
-        const camera = document.querySelector("[gps-new-camera]");
-        camera.addEventListener("gps-camera-update-position", e => {
+        this.elevation = new ElevationService({
+            url: this.data.elevationUrl,
+            encoding: this.data.elevationEncoding
+        });
+        this.userPosition = null;
+        this.camera = document.querySelector("[gps-new-camera]");
+        this.camera.addEventListener("gps-camera-update-position", e => {
+            this.userPosition = e.detail.position;
             if(!testEntitiesAdded) {
                 alert(`Initial position: ${e.detail.position.longitude} ${e.detail.position.latitude}`);
                 // Add four boxes to the north (red), south (yellow), west (blue)
@@ -47,6 +65,33 @@ AFRAME.registerComponent("alva-arjs", {
                 testEntitiesAdded = true;
                 this.el.emit("all-objects-added", { });
             }
+            this.placeOnTerrain();
+            // place again once the tiles around the user are in
+            this.elevation.preload(this.userPosition.latitude, this.userPosition.longitude, 500)
+                .then(() => this.placeOnTerrain());
         });
+    },
+
+    update: function(oldData) {
+        if(oldData.elevationUrl !== undefined) {
+            this.elevation.updateConfig({
+                url: this.data.elevationUrl,
+                encoding: this.data.elevationEncoding
+            });
+        }
+        this.placeOnTerrain();
+    },
+
+    // Put the gps-new-entity-place entities on the ground: as far above the
+    // user's ground level as their terrain is above the user's, level with
+    // it while the elevation is unknown
+    placeOnTerrain: function() {
+        if(!this.userPosition) return;
+        const groundLevel = this.camera.object3D.position.y - this.data.deviceHeight;
+        for(const entity of this.el.sceneEl.querySelectorAll('[gps-new-entity-place]')) {
+            const place = entity.getAttribute('gps-new-entity-place');
+            const terrain = this.elevation.getHeightDifference(place.latitude, place.longitude, this.userPosition);
+            entity.object3D.position.y = groundLevel + (terrain ?? 0) + this.data.groundOffset;
+        }
     }
 });
@@ -1,6 +1,8 @@
 // Intended to get an idea of the nature of the Alva coord system
 // Five boxes are created in different colours, one at the origin and four
 // two units along -/+ z and -/+ x.
+// With alva-scene="align: true" the Alva frame is levelled and turned to
+// the compass, so red is north, yellow south, blue west and green east.
 import './alva-scene.js';
 import './clicker.js';
 
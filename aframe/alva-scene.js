@@ -6,9 +6,25 @@
 
 import { AlvaAR } from '../alva/assets/alva_ar.js';
 import { AlvaARConnectorTHREE } from '../alva/assets/alva_ar_three.js';
+import { FrameGeometry } from '../three/camera/FrameGeometry.js';
+import { getVideoLabel } from '../three/camera/CalibrationProfile.js';
+import { hasDistortion, createUndistortMap, undistortFrame } from '../three/camera/Distortion.js';
+import { WorldAlignment } from '../three/tracking/WorldAlignment.js';
+import { RelocalizationPolicy } from '../three/tracking/RelocalizationPolicy.js';
+import { MapAnchor } from '../three/tracking/MapAnchor.js';
+import { TrackingState } from '../three/tracking/TrackingState.js';
+import { CompassHeading } from '../three/sensors/CompassHeading.js';
+import { IMU } from '../alva/assets/imu.js';
 
 AFRAME.registerComponent("alva-scene", {
 
+    schema: {
+        // level the Alva frame with gravity (+y up) and turn it so -z is north
+        align: { type: 'boolean', default: false },
+        // reset the map when tracking cannot recover, see RelocalizationPolicy
+        relocalize: { type: 'boolean', default: true }
+    },
+
     init: function() {
         console.log('alva-scene init()');
         this.objects = [];
@@ -21,6 +37,15 @@ AFRAME.registerComponent("alva-scene", {
         console.log(`Initialising alva with dimensions ${this.videoCanvas.width} ${this.videoCanvas.height}`);
         this.ctx = this.videoCanvas.getContext('2d');
         this.active = null;
+        // crop of the video shown on the canvas, and the matching camera projection
+        this.frameGeometry = new FrameGeometry();
+        this.frameGeometry.setView(this.videoCanvas.width, this.videoCanvas.height);
+        // rotation from the Alva frame into the aligned frame, see getAlignment()
+        this.alignment = new WorldAlignment({ enabled: this.data.align });
+        // a reset map is anchored so the camera continues where it was lost
+        this.relocalization = new RelocalizationPolicy({ enabled: this.data.relocalize });
+        this.mapAnchor = new MapAnchor();
+        this.mapTracking = false;
 
         navigator.mediaDevices.getUserMedia({
             video: {
@@ -43,8 +68,10 @@ AFRAME.registerComponent("alva-scene", {
                 this.video.style.height = this.video.videoHeight+'px';
                 console.log(`Initialising alva with dimensions ${this.videoCanvas.width} ${this.videoCanvas.height}`);
 
-                this.drawRect = this._resizeToCover(this.video.videoWidth, this.video.videoHeight, this.videoCanvas.width, this.videoCanvas.height);
-                console.log(this.drawRect);
+                // loads the calibration profile of this camera, if one was stored
+                this.frameGeometry.setSource(this.video.videoWidth, this.video.videoHeight, getVideoLabel(this.video));
+                this.crop = this.frameGeometry.getCrop();
+                console.log(this.crop);
             };
             this.video.play();
         });
@@ -63,27 +90,33 @@ AFRAME.registerComponent("alva-scene", {
     },
 
     tick: function() {
-        if(this.video && this.drawRect){
+        if(this.video && this.crop){
 
-//            this.ctx.drawImage(this.video, 0, 0, this.videoCanvas.width, this.videoCanvas.height, this.drawRect.x, this.drawRect.y, this.drawRect.w, this.drawRect.h);
-            this.ctx.drawImage(this.video, 0, 0, this.videoCanvas.width, this.videoCanvas.height);
+            this.ctx.drawImage(this.video, this.crop.x, this.crop.y, this.crop.width, this.crop.height, 0, 0, this.videoCanvas.width, this.videoCanvas.height);
             console.log(`tick: active ${this.active}`);
             if(this.active) { 
                 console.log('active');
-                const frame = this.ctx.getImageData(0, 0, this.videoCanvas.width, this.videoCanvas.height);
+                let frame = this.ctx.getImageData(0, 0, this.videoCanvas.width, this.videoCanvas.height);
+                if(this.undistortMap) {
+                    undistortFrame(frame.data, this.undistorted.data, this.undistortMap);
+                    frame = this.undistorted;
+                }
                 const pose = this.alva.findCameraPose(frame);
+                const dots = this.alva.getFramePoints();
+                this._updateProjection();
                 if(pose) {
                     console.log('Updating pose');
+                    this.mapTracking = true;
                     this._updateCameraPose(pose);
                 } else {
                     console.log('Lost camera');
                     this._lostCamera();
-                    const dots = this.alva.getFramePoints();
                     this.ctx.fillStyle = 'white';
                     for(const p of dots) {
                         this.ctx.fillRect(p.x, p.y, 2, 2);
                     }
                 }
+                this._checkRelocalization(pose, dots.length);
             }
         }    
     },
@@ -92,20 +125,98 @@ AFRAME.registerComponent("alva-scene", {
         if(active == true) {
             // Important - do not put in init(), the async nature of alva
             // initialisation appears to disrupt proper event handling
-            this.alva = await AlvaAR.Initialize(this.videoCanvas.width, this.videoCanvas.height);
+            this.alva = await AlvaAR.Initialize(this.videoCanvas.width, this.videoCanvas.height, this.frameGeometry.getFov());
+            this._createUndistortMap();
             this.el.sceneEl.camera.rotation.reorder('YXZ');
-            this.el.sceneEl.camera.updateProjectionMatrix();
+            this._updateProjection();
+            if(this.data.align) {
+                this._startAlignmentSensors();
+            }
             this.active = active;
         }
     },
 
+    // iOS only grants the sensors from a user gesture, so failed requests are
+    // retried on the next tap
+    _startAlignmentSensors: function() {
+        const compass = new CompassHeading();
+        this.alignment.setSensors({ compass });
+        const request = () => {
+            CompassHeading.requestPermission().then(granted => {
+                if(granted) compass.start();
+            });
+            IMU.Initialize().then(imu => {
+                this.alignment.setSensors({ imu });
+            }).catch(error => {
+                console.warn(`alignment: no gravity yet (${error}), tap to retry`);
+                document.addEventListener('click', request, { once: true });
+            });
+        };
+        request();
+    },
+
+    // Starts a new map when the policy gives up on the current one
+    _checkRelocalization: function(pose, featureCount) {
+        const state = pose ? TrackingState.TRACKING :
+            this.mapTracking ? TrackingState.LOST : TrackingState.INITIALIZING;
+        const reason = this.relocalization.update(state, featureCount, performance.now());
+        if(!reason) return;
+
+        console.log(`alva-scene: resetting map, ${reason}`);
+        this.mapAnchor.startNewMap({
+            northAligned: this.data.align && this.alignment.isNorthAligned(),
+            waitForHeading: this.data.align
+        });
+        this.alignment.reset();
+        this.alva.reset();
+        this.mapTracking = false;
+    },
+
+    // Current alignment: { levelled, northAligned, yaw, quaternion }
+    getAlignment: function() {
+        return this.alignment.getState();
+    },
+
+    // AlvaAR assumes an ideal pinhole camera, frames of a calibrated lens are undistorted first
+    _createUndistortMap: function() {
+        const distortion = this.frameGeometry.getDistortion();
+        if(!hasDistortion(distortion)) {
+            this.undistortMap = null;
+            return;
+        }
+        const width = this.videoCanvas.width;
+        const height = this.videoCanvas.height;
+        this.undistortMap = createUndistortMap(width, height, this.frameGeometry.getIntrinsics(width, height), distortion);
+        this.undistorted = new ImageData(width, height);
+    },
+
     registerEntity: function(entity) { 
         const mesh = entity.object3D;
         this.objects.push({object: mesh, visible: false});
     },
 
     _updateCameraPose: function(pose) {
-        this.applyPose(pose, this.el.sceneEl.camera.quaternion, this.el.sceneEl.camera.position);
+        const camera = this.el.sceneEl.camera;
+        this.applyPose(pose, camera.quaternion, camera.position);
+        const { x, y, z, w } = camera.quaternion;
+        let mapPose = {
+            position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+            quaternion: { x, y, z, w }
+        };
+        if(this.data.align) {
+            this.alignment.update(mapPose.quaternion);
+            mapPose = this.alignment.applyToPose(mapPose);
+        }
+        // objects stay hidden until a new map knows where it is
+        const northAligned = this.data.align && this.alignment.isNorthAligned();
+        if(!this.mapAnchor.update(mapPose, { northAligned }, performance.now())) {
+            this._lostCamera();
+            return;
+        }
+        const { position, quaternion } = this.mapAnchor.applyToPose(mapPose);
+        this.mapAnchor.recordPose({ position, quaternion });
+        camera.position.set(position.x, position.y, position.z);
+        camera.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
         this.objects.forEach ( o => { o.visible = true; } );
     },
 
@@ -113,24 +224,10 @@ AFRAME.registerComponent("alva-scene", {
         this.objects.forEach ( o => { o.visible = false; } );
     },
 
-    // from the original AlvaAR example
-    _resizeToCover: function(srcWidth, srcHeight, dstWidth, dstHeight) {
-        const rect = {};
-        let scale;
-        console.log(`resizeToCover(): src ${srcWidth} ${srcHeight} dst ${dstWidth} ${dstHeight}`);
-        if (dstWidth/dstHeight > srcWidth/srcHeight) {
-            scale = dstWidth / srcWidth;
-            rect.w = dstWidth;    
-            rect.h = srcHeight * scale;
-            rect.x = 0;
-            rect.y = (dstHeight - rect.h) *0.5;
-        } else {
-            scale = dstHeight / srcHeight;
-            rect.w = srcWidth * scale;
-            rect.h = dstHeight;
-            rect.x = (dstWidth - rect.w) *0.5;
-            rect.y = 0;    
-        }
-        return rect;
+    // A-Frame recomputes the projection on resize, so it is set again every tick
+    _updateProjection: function() {
+        const camera = this.el.sceneEl.camera;
+        camera.projectionMatrix.fromArray(this.frameGeometry.getProjectionMatrix(camera.near, camera.far));
+        camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
     }
 });
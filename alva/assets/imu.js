@@ -137,16 +137,393 @@ class Quaternion {
   }
 }
 
+/**
+ * Fixed-capacity ring buffer of timestamped samples
+ * Samples must be pushed in timestamp order; once full the oldest sample is
+ * overwritten, so memory stays bounded however long nobody reads it.
+ */
+class SampleBuffer {
+  /**
+   * @param {number} capacity - Maximum number of samples kept
+   */
+  constructor(capacity = 1024) {
+    this.capacity = capacity;
+    this.samples = new Array(capacity);
+    this.start = 0; // Index of the oldest sample
+    this.length = 0;
+  }
+
+  /**
+   * Add a sample, dropping the oldest one when full
+   * @param {Object} sample - Sample with a timestamp
+   */
+  push(sample) {
+    const index = (this.start + this.length) % this.capacity;
+    this.samples[index] = sample;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Sample by age order
+   * @param {number} i - 0 is the oldest sample
+   * @returns {Object|undefined}
+   */
+  at(i) {
+    if (i < 0 || i >= this.length) return undefined;
+    return this.samples[(this.start + i) % this.capacity];
+  }
+
+  /**
+   * Newest sample
+   * @returns {Object|undefined}
+   */
+  latest() {
+    return this.at(this.length - 1);
+  }
+
+  /**
+   * Samples with t0 < timestamp <= t1, oldest first
+   * @param {number} t0 - Exclusive start time
+   * @param {number} t1 - Inclusive end time
+   * @returns {Array<Object>}
+   */
+  samplesBetween(t0, t1 = Infinity) {
+    const result = [];
+    for (let i = this.firstIndexAfter(t0); i < this.length; i++) {
+      const sample = this.at(i);
+      if (sample.timestamp > t1) break;
+      result.push(sample);
+    }
+    return result;
+  }
+
+  /**
+   * Binary search for the first sample newer than a time
+   * @param {number} time - Timestamp
+   * @returns {number} Age order index, length if there is none
+   */
+  firstIndexAfter(time) {
+    let low = 0;
+    let high = this.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.at(mid).timestamp <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Remove all samples
+   */
+  clear() {
+    this.samples = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * Madgwick's gradient descent AHRS for gyroscope and accelerometer
+ * http://www.x-io.co.uk/node/8#open_source_ahrs_and_imu_algorithms
+ * The quaternion rotates the sensor frame into the earth frame (z up).
+ * Without a magnetometer the heading is relative to the first sample.
+ */
+class MadgwickAHRS {
+  /**
+   * @param {number} beta - Gain; higher corrects gyroscope drift faster
+   *   but is more sensitive to lateral acceleration
+   */
+  constructor(beta = 0.05) {
+    this.beta = beta;
+    this.reset();
+  }
+
+  /**
+   * Forget the estimate; the next sample initializes it from gravity
+   */
+  reset() {
+    this.q0 = 1;
+    this.q1 = 0;
+    this.q2 = 0;
+    this.q3 = 0;
+    this.sampleTime = 0;
+  }
+
+  /**
+   * Set the filter gain
+   * @param {number} beta
+   */
+  setGain(beta) {
+    this.beta = beta;
+  }
+
+  /**
+   * Fuse one sample
+   * @param {number} time - Sample time in ms
+   * @param {number} gx - Rotation rate around x in rad/s
+   * @param {number} gy - Rotation rate around y in rad/s
+   * @param {number} gz - Rotation rate around z in rad/s
+   * @param {number} ax - Acceleration including gravity along x
+   * @param {number} ay - Acceleration including gravity along y
+   * @param {number} az - Acceleration including gravity along z
+   */
+  update(time, gx, gy, gz, ax, ay, az) {
+    const dt = sampleInterval(this.sampleTime, time);
+    this.sampleTime = time;
+    if (dt === 0) {
+      initializeFromGravity(this, ax, ay, az);
+      return;
+    }
+
+    const { q0, q1, q2, q3 } = this;
+
+    // Rate of change of quaternion from gyroscope
+    let qDot1 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+    let qDot2 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+    let qDot3 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+    let qDot4 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+
+    // Feedback only with a valid accelerometer measurement
+    const norm = Math.hypot(ax, ay, az);
+    if (norm > 0) {
+      ax /= norm;
+      ay /= norm;
+      az /= norm;
+
+      const _2q0 = 2 * q0;
+      const _2q1 = 2 * q1;
+      const _2q2 = 2 * q2;
+      const _2q3 = 2 * q3;
+      const _4q0 = 4 * q0;
+      const _4q1 = 4 * q1;
+      const _4q2 = 4 * q2;
+      const _8q1 = 8 * q1;
+      const _8q2 = 8 * q2;
+      const q0q0 = q0 * q0;
+      const q1q1 = q1 * q1;
+      const q2q2 = q2 * q2;
+      const q3q3 = q3 * q3;
+
+      // Gradient descent corrective step
+      let s0 = _4q0 * q2q2 + _2q2 * ax + _4q0 * q1q1 - _2q1 * ay;
+      let s1 =
+        _4q1 * q3q3 -
+        _2q3 * ax +
+        4 * q0q0 * q1 -
+        _2q0 * ay -
+        _4q1 +
+        _8q1 * q1q1 +
+        _8q1 * q2q2 +
+        _4q1 * az;
+      let s2 =
+        4 * q0q0 * q2 +
+        _2q0 * ax +
+        _4q2 * q3q3 -
+        _2q3 * ay -
+        _4q2 +
+        _8q2 * q1q1 +
+        _8q2 * q2q2 +
+        _4q2 * az;
+      let s3 = 4 * q1q1 * q3 - _2q1 * ax + 4 * q2q2 * q3 - _2q2 * ay;
+
+      const stepNorm = Math.hypot(s0, s1, s2, s3);
+      if (stepNorm > 0) {
+        qDot1 -= (this.beta * s0) / stepNorm;
+        qDot2 -= (this.beta * s1) / stepNorm;
+        qDot3 -= (this.beta * s2) / stepNorm;
+        qDot4 -= (this.beta * s3) / stepNorm;
+      }
+    }
+
+    setNormalized(
+      this,
+      q0 + qDot1 * dt,
+      q1 + qDot2 * dt,
+      q2 + qDot3 * dt,
+      q3 + qDot4 * dt
+    );
+  }
+
+  /**
+   * Current orientation
+   * @returns {Object} Quaternion object {x, y, z, w}
+   */
+  getQuaternion() {
+    return { x: this.q1, y: this.q2, z: this.q3, w: this.q0 };
+  }
+}
+
+/**
+ * Mahony's complementary filter AHRS for gyroscope and accelerometer
+ * Corrects the gyroscope with a PI controller on the gravity error.
+ * Same frames and interface as MadgwickAHRS.
+ */
+class MahonyAHRS {
+  /**
+   * @param {number} kp - Proportional gain
+   * @param {number} ki - Integral gain, estimates gyroscope bias
+   */
+  constructor(kp = 1, ki = 0) {
+    this.kp = kp;
+    this.ki = ki;
+    this.reset();
+  }
+
+  /**
+   * Forget the estimate; the next sample initializes it from gravity
+   */
+  reset() {
+    this.q0 = 1;
+    this.q1 = 0;
+    this.q2 = 0;
+    this.q3 = 0;
+    this.integralX = 0;
+    this.integralY = 0;
+    this.integralZ = 0;
+    this.sampleTime = 0;
+  }
+
+  /**
+   * Set the filter gains
+   * @param {number} kp - Proportional gain
+   * @param {number} ki - Integral gain, unchanged if undefined
+   */
+  setGain(kp, ki = this.ki) {
+    this.kp = kp;
+    this.ki = ki;
+  }
+
+  /**
+   * Fuse one sample, see MadgwickAHRS.update()
+   */
+  update(time, gx, gy, gz, ax, ay, az) {
+    const dt = sampleInterval(this.sampleTime, time);
+    this.sampleTime = time;
+    if (dt === 0) {
+      initializeFromGravity(this, ax, ay, az);
+      return;
+    }
+
+    const { q0, q1, q2, q3 } = this;
+
+    const norm = Math.hypot(ax, ay, az);
+    if (norm > 0) {
+      ax /= norm;
+      ay /= norm;
+      az /= norm;
+
+      // Estimated direction of gravity in the sensor frame
+      const vx = 2 * (q1 * q3 - q0 * q2);
+      const vy = 2 * (q0 * q1 + q2 * q3);
+      const vz = q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3;
+
+      // Error is the cross product of measured and estimated gravity
+      const ex = ay * vz - az * vy;
+      const ey = az * vx - ax * vz;
+      const ez = ax * vy - ay * vx;
+
+      if (this.ki > 0) {
+        this.integralX += this.ki * ex * dt;
+        this.integralY += this.ki * ey * dt;
+        this.integralZ += this.ki * ez * dt;
+        gx += this.integralX;
+        gy += this.integralY;
+        gz += this.integralZ;
+      }
+
+      gx += this.kp * ex;
+      gy += this.kp * ey;
+      gz += this.kp * ez;
+    }
+
+    const h = 0.5 * dt;
+    setNormalized(
+      this,
+      q0 + (-q1 * gx - q2 * gy - q3 * gz) * h,
+      q1 + (q0 * gx + q2 * gz - q3 * gy) * h,
+      q2 + (q0 * gy - q1 * gz + q3 * gx) * h,
+      q3 + (q0 * gz + q1 * gy - q2 * gx) * h
+    );
+  }
+
+  /**
+   * Current orientation
+   * @returns {Object} Quaternion object {x, y, z, w}
+   */
+  getQuaternion() {
+    return { x: this.q1, y: this.q2, z: this.q3, w: this.q0 };
+  }
+}
+
+/**
+ * Seconds between two samples, 0 for the first sample or after a gap
+ * @param {number} previous - Previous sample time in ms, 0 if none
+ * @param {number} time - Sample time in ms
+ * @returns {number}
+ */
+function sampleInterval(previous, time) {
+  const dt = (time - previous) / 1000;
+  return previous === 0 || dt <= 0 || dt > 1 ? 0 : dt;
+}
+
+/**
+ * Start an AHRS at the tilt measured by the accelerometer, heading zero
+ * @param {MadgwickAHRS|MahonyAHRS} ahrs
+ * @param {number} ax - Acceleration including gravity along x
+ * @param {number} ay - Acceleration including gravity along y
+ * @param {number} az - Acceleration including gravity along z
+ */
+function initializeFromGravity(ahrs, ax, ay, az) {
+  const norm = Math.hypot(ax, ay, az);
+  if (norm === 0) return;
+
+  // Shortest rotation from measured "up" in the sensor frame to earth z
+  const x = ay / norm;
+  const y = -ax / norm;
+  const w = 1 + az / norm;
+  if (w < 1e-6) {
+    // Upside down, rotate half a turn around x
+    setNormalized(ahrs, 0, 1, 0, 0);
+  } else {
+    setNormalized(ahrs, w, x, y, 0);
+  }
+}
+
+/**
+ * Store a normalized quaternion in an AHRS
+ */
+function setNormalized(ahrs, q0, q1, q2, q3) {
+  const norm = Math.hypot(q0, q1, q2, q3);
+  ahrs.q0 = q0 / norm;
+  ahrs.q1 = q1 / norm;
+  ahrs.q2 = q2 / norm;
+  ahrs.q3 = q3 / norm;
+}
+
 /**
  * IMU (Inertial Measurement Unit) class for handling device orientation and motion
  * Provides access to device sensors and handles coordinate system transformations
+ *
+ * Motion samples are kept in a fixed-capacity ring buffer on performance.now()
+ * time and fused into an AHRS orientation (Madgwick or Mahony).
  */
 class IMU {
   /**
    * Initialize IMU and request necessary permissions
+   * On iOS this has to be called from a user gesture.
+   * @param {Object} options - See the constructor
    * @returns {Promise} Resolves with IMU instance or rejects with error
    */
-  static Initialize() {
+  static Initialize(options = {}) {
     return new Promise((resolve, reject) => {
       const finalize = () => {
         // Check for secure context (HTTPS)
@@ -168,7 +545,7 @@ class IMU {
           return;
         }
 
-        resolve(new IMU());
+        resolve(new IMU(options));
       };
 
       // Handle iOS permission request
@@ -199,18 +576,28 @@ class IMU {
   /**
    * Create new IMU instance
    * Sets up event listeners for device orientation and motion
+   * @param {Object} options
+   * @param {number} options.capacity - Motion samples kept in the ring buffer
+   * @param {string} options.ahrs - Orientation filter, "madgwick" or "mahony"
+   * @param {number} options.gain - Madgwick beta or Mahony proportional gain
+   * @param {number} options.integralGain - Mahony integral gain
    */
-  constructor() {
+  constructor({ capacity = 1024, ahrs = "madgwick", gain, integralGain } = {}) {
     this.EPS = 0.000001; // Small epsilon for floating point comparisons
 
     this.screenOrientation = null;
     this.screenOrientationAngle = 0;
 
-    this.motion = []; // Store motion data history
+    // Motion samples on performance.now() time
+    this.samples = new SampleBuffer(capacity);
+    this.clearTime = -Infinity; // Samples up to this time are hidden from motion
 
     // Initialize orientation quaternion
     this.orientation = { x: 1, y: 0, z: 0, w: 1 };
 
+    this.ahrs = null;
+    this.updateConfig({ ahrs, gain, integralGain });
+
     // Set up world transform based on device type
     this.worldTransform = isIOS()
       ? Quaternion.fromAxisAngle(1, 0, 0, -Math.PI / 2) // iOS: -90 degrees on x-axis
@@ -240,23 +627,29 @@ class IMU {
 
     /**
      * Handle device motion updates
-     * Stores motion data for analysis
+     * Buffers the sample and fuses it into the AHRS orientation
      */
     const handleDeviceMotion = (event) => {
+      if (!event.rotationRate || !event.accelerationIncludingGravity) return;
+
       // Convert rotation rates to radians per second
       const gx = event.rotationRate.beta * deg2rad; // X-axis (β)
       const gy = event.rotationRate.gamma * deg2rad; // Y-axis (γ)
       const gz = event.rotationRate.alpha * deg2rad; // Z-axis (α)
 
-      // Get acceleration in m/s^2
-      const ax = event.acceleration.x;
-      const ay = event.acceleration.y;
-      const az = event.acceleration.z;
+      // Get acceleration in m/s^2, without and with gravity
+      const acceleration = event.acceleration || {};
+      const ax = acceleration.x || 0;
+      const ay = acceleration.y || 0;
+      const az = acceleration.z || 0;
+      const agx = event.accelerationIncludingGravity.x;
+      const agy = event.accelerationIncludingGravity.y;
+      const agz = event.accelerationIncludingGravity.z;
 
-      const timestamp = Date.now();
+      const timestamp = performance.now();
 
-      // Store motion data
-      this.motion.push({ timestamp, gx, gy, gz, ax, ay, az });
+      this.samples.push({ timestamp, gx, gy, gz, ax, ay, az, agx, agy, agz });
+      this.ahrs.update(timestamp, gx, gy, gz, agx, agy, agz);
     };
 
     /**
@@ -276,30 +669,96 @@ class IMU {
       }
     };
 
-    // Set up event listeners
-    window.addEventListener(
-      "devicemotion",
-      handleDeviceMotion.bind(this),
-      false
-    );
-    window.addEventListener(
-      "deviceorientation",
-      handleDeviceOrientation.bind(this),
-      false
-    );
-    window.addEventListener(
-      "orientationchange",
-      handleScreenOrientation.bind(this),
-      false
+    // Set up event listeners, removed again by dispose()
+    this.listeners = {
+      devicemotion: handleDeviceMotion,
+      deviceorientation: handleDeviceOrientation,
+      orientationchange: handleScreenOrientation,
+    };
+    Object.entries(this.listeners).forEach(([type, listener]) =>
+      window.addEventListener(type, listener, false)
     );
   }
 
+  /**
+   * Update the orientation filter
+   * Switching the filter type restarts the estimate.
+   * @param {Object} config
+   * @param {string} config.ahrs - "madgwick" or "mahony"
+   * @param {number} config.gain - Madgwick beta or Mahony proportional gain
+   * @param {number} config.integralGain - Mahony integral gain
+   */
+  updateConfig({ ahrs, gain, integralGain } = {}) {
+    if (ahrs !== undefined) {
+      if (ahrs === "madgwick") {
+        this.ahrs = new MadgwickAHRS();
+      } else if (ahrs === "mahony") {
+        this.ahrs = new MahonyAHRS();
+      } else {
+        throw new Error(`Unknown AHRS "${ahrs}"`);
+      }
+    }
+    if (gain !== undefined) {
+      this.ahrs.setGain(gain);
+    }
+    if (integralGain !== undefined && this.ahrs instanceof MahonyAHRS) {
+      this.ahrs.setGain(this.ahrs.kp, integralGain);
+    }
+  }
+
+  /**
+   * Motion samples since the last clear(), oldest first
+   * @returns {Array<Object>} { timestamp, gx, gy, gz, ax, ay, az, agx, agy, agz }
+   */
+  get motion() {
+    return this.samples.samplesBetween(this.clearTime);
+  }
+
+  /**
+   * Motion samples with t0 < timestamp <= t1
+   * @param {number} t0 - Exclusive start, performance.now() time
+   * @param {number} t1 - Inclusive end, performance.now() time
+   * @returns {Array<Object>} Oldest first
+   */
+  samplesBetween(t0, t1 = Infinity) {
+    return this.samples.samplesBetween(t0, t1);
+  }
+
+  /**
+   * Newest motion sample
+   * @returns {Object|undefined}
+   */
+  latestSample() {
+    return this.samples.latest();
+  }
+
+  /**
+   * Orientation fused from gyroscope and accelerometer by the AHRS
+   * Same world transform as orientation, but the heading is relative to the
+   * first sample instead of compass north.
+   * @returns {Object} Quaternion object {x, y, z, w}
+   */
+  get ahrsOrientation() {
+    return Quaternion.multiply(this.worldTransform, this.ahrs.getQuaternion());
+  }
+
   /**
    * Clear stored motion data
+   * Hides the buffered samples from motion; samplesBetween() still sees them.
    */
   clear() {
-    this.motion.length = 0;
+    const latest = this.samples.latest();
+    this.clearTime = latest ? latest.timestamp : -Infinity;
+  }
+
+  /**
+   * Stop listening to the sensors
+   */
+  dispose() {
+    Object.entries(this.listeners).forEach(([type, listener]) =>
+      window.removeEventListener(type, listener, false)
+    );
   }
 }
 
-export { IMU };
+export { IMU, Quaternion, SampleBuffer, MadgwickAHRS, MahonyAHRS };
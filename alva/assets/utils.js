@@ -164,7 +164,7 @@ class Camera
                             video.height = vh;
                             video.play();
 
-                            resolve( new Camera( video ) );
+                            resolve( new Camera( video, track ) );
                         };
                     }
                 };
@@ -219,9 +219,10 @@ class Camera
         }
     }
 
-    constructor( videoElement )
+    constructor( videoElement, track = null )
     {
         this.el = videoElement;
+        this.label = track ? track.label : '';
         this.width = videoElement.videoWidth;
         this.height = videoElement.videoHeight;
 
@@ -0,0 +1,272 @@
+/**
+ * Camera calibration page
+ * Captures checkerboard views from the camera, solves its intrinsics and lens
+ * distortion and stores them as the calibration profile of the camera at this
+ * resolution. The AR views load the profile automatically (see FrameGeometry).
+ */
+import { Camera, onFrame } from "../alva/assets/utils.js";
+import { CheckerboardDetector } from "./camera/CheckerboardDetector.js";
+import { calibrateCamera } from "./camera/CameraCalibration.js";
+import {
+  loadCalibrationProfile,
+  saveCalibrationProfile,
+  deleteCalibrationProfile,
+} from "./camera/CalibrationProfile.js";
+
+// Same constraints as the AR view, so the profile matches its frames
+const CAMERA_CONSTRAINTS = {
+  video: {
+    facingMode: "environment",
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+  },
+  audio: false,
+};
+
+const MIN_VIEWS = 3;
+const RECOMMENDED_VIEWS = 10;
+const DETECTION_FPS = 5;
+// Captured views must differ from earlier ones by this fraction of the frame diagonal
+const MIN_VIEW_DIFFERENCE = 0.05;
+
+class CalibrationApp {
+  constructor() {
+    this.container = document.getElementById("calibration-container");
+    this.overlay = document.getElementById("calibration-overlay");
+    this.status = document.getElementById("calibration-status");
+    this.result = document.getElementById("calibration-result");
+    this.columnsInput = document.getElementById("board-columns");
+    this.rowsInput = document.getElementById("board-rows");
+    this.captureButton = document.getElementById("capture-view");
+    this.solveButton = document.getElementById("solve-calibration");
+    this.clearButton = document.getElementById("clear-views");
+    this.deleteButton = document.getElementById("delete-profile");
+
+    this.camera = null;
+    this.detector = null;
+    this.detection = null; // Latest detection, { corners, columns, rows }
+    this.views = [];
+  }
+
+  /**
+   * Open the camera and start detecting the checkerboard
+   */
+  async initialize() {
+    this.camera = await Camera.Initialize(CAMERA_CONSTRAINTS);
+
+    const video = this.camera.el;
+    video.id = "calibration-video";
+    video.style.width = "";
+    video.style.height = "";
+    this.container.insertBefore(video, this.overlay);
+
+    this.overlay.width = this.camera.width;
+    this.overlay.height = this.camera.height;
+
+    this.updateDetector();
+    this.columnsInput.addEventListener("change", () => this.updateDetector());
+    this.rowsInput.addEventListener("change", () => this.updateDetector());
+    this.captureButton.addEventListener("click", () => this.captureView());
+    this.solveButton.addEventListener("click", () => this.solve());
+    this.clearButton.addEventListener("click", () => this.clearViews());
+    this.deleteButton.addEventListener("click", () => this.deleteProfile());
+
+    this.showProfile(
+      loadCalibrationProfile(
+        this.camera.label,
+        this.camera.width,
+        this.camera.height
+      )
+    );
+    this.updateStatus();
+
+    onFrame(() => {
+      this.detection = this.detector.detect(this.camera.getImageData());
+      this.drawDetection();
+      this.captureButton.disabled = !this.detection;
+      return true;
+    }, DETECTION_FPS);
+  }
+
+  /**
+   * Create the detector for the board size in the inputs
+   * Views of another board size are dropped
+   */
+  updateDetector() {
+    const columns = parseInt(this.columnsInput.value, 10);
+    const rows = parseInt(this.rowsInput.value, 10);
+    if (!(columns >= 3 && rows >= 3)) return;
+
+    this.detector = new CheckerboardDetector({ columns, rows });
+    this.detection = null;
+    this.clearViews();
+  }
+
+  /**
+   * Keep the current detection as a calibration view
+   */
+  captureView() {
+    if (!this.detection) return;
+
+    const { corners } = this.detection;
+    const diagonal = Math.hypot(this.camera.width, this.camera.height);
+    const tooSimilar = this.views.some(
+      (view) =>
+        meanCornerDistance(view, corners) < diagonal * MIN_VIEW_DIFFERENCE
+    );
+    if (tooSimilar) {
+      this.updateStatus("Too similar to a captured view, move the board");
+      return;
+    }
+
+    this.views.push(corners);
+    this.updateStatus();
+  }
+
+  /**
+   * Solve the calibration from the captured views and store the profile
+   */
+  solve() {
+    if (this.views.length < MIN_VIEWS) return;
+
+    const { columns, rows } = this.detector.options;
+    try {
+      const calibration = calibrateCamera(this.views, { columns, rows });
+      const profile = {
+        label: this.camera.label,
+        width: this.camera.width,
+        height: this.camera.height,
+        intrinsics: calibration.intrinsics,
+        distortion: calibration.distortion,
+        rms: calibration.rms,
+        views: this.views.length,
+        created: new Date().toISOString(),
+      };
+      saveCalibrationProfile(profile);
+      console.log("[Calibration] Saved profile:", profile);
+      this.showProfile(profile);
+      this.updateStatus("Calibration saved");
+    } catch (error) {
+      console.error("[Calibration] Failed to calibrate:", error);
+      this.updateStatus(`Calibration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop all captured views
+   */
+  clearViews() {
+    this.views = [];
+    this.updateStatus();
+  }
+
+  /**
+   * Remove the stored profile of this camera and resolution
+   */
+  deleteProfile() {
+    deleteCalibrationProfile(
+      this.camera.label,
+      this.camera.width,
+      this.camera.height
+    );
+    this.showProfile(null);
+    this.updateStatus("Calibration deleted");
+  }
+
+  /**
+   * Draw the detected corners and the captured views
+   */
+  drawDetection() {
+    const ctx = this.overlay.getContext("2d");
+    ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+
+    ctx.fillStyle = "rgba(255, 255, 0, 0.5)";
+    for (const view of this.views) {
+      for (const { x, y } of view) {
+        ctx.fillRect(x - 1, y - 1, 2, 2);
+      }
+    }
+
+    if (!this.detection) return;
+
+    const { corners, columns } = this.detection;
+    ctx.strokeStyle = "#00ff00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    corners.forEach(({ x, y }, i) => {
+      if (i % columns === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    // Mark the first corner so the board orientation is visible
+    ctx.fillStyle = "#ff0000";
+    ctx.beginPath();
+    ctx.arc(corners[0].x, corners[0].y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  /**
+   * Show the view count, or a message
+   * @param {string} message - Shown instead of the view count
+   */
+  updateStatus(message = null) {
+    const count = this.views.length;
+    this.status.textContent =
+      message ||
+      `${count} view${count === 1 ? "" : "s"} captured` +
+        (count < RECOMMENDED_VIEWS
+          ? `, capture about ${RECOMMENDED_VIEWS} from different angles`
+          : "");
+    this.solveButton.disabled = count < MIN_VIEWS;
+  }
+
+  /**
+   * Show a calibration profile
+   * @param {CalibrationProfile|null} profile
+   */
+  showProfile(profile) {
+    const camera = `${this.camera.label || "Unknown camera"} at ${
+      this.camera.width
+    }x${this.camera.height}`;
+    this.deleteButton.disabled = !profile;
+
+    if (!profile) {
+      this.result.textContent = `${camera}: not calibrated`;
+      return;
+    }
+
+    const { fx, fy, cx, cy } = profile.intrinsics;
+    const { k1, k2, p1, p2 } = profile.distortion;
+    const fov = (2 * Math.atan(profile.height / 2 / fy) * 180) / Math.PI;
+    this.result.innerHTML = `
+      ${camera}<br>
+      fx ${fx.toFixed(1)}, fy ${fy.toFixed(1)},
+      cx ${cx.toFixed(1)}, cy ${cy.toFixed(1)}<br>
+      Vertical FOV ${fov.toFixed(1)}&deg;<br>
+      k1 ${k1.toFixed(4)}, k2 ${k2.toFixed(4)},
+      p1 ${p1.toFixed(4)}, p2 ${p2.toFixed(4)}<br>
+      RMS error ${profile.rms.toFixed(2)}px from ${profile.views} views
+    `;
+  }
+}
+
+/**
+ * Mean distance between corresponding corners of two views
+ * @param {Array<{x: number, y: number}>} a
+ * @param {Array<{x: number, y: number}>} b
+ * @returns {number}
+ */
+function meanCornerDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+  }
+  return sum / a.length;
+}
+
+const app = new CalibrationApp();
+app.initialize().catch((error) => {
+  console.error("Error initializing calibration:", error);
+  app.status.textContent = error.message;
+});
@@ -0,0 +1,101 @@
+/**
+ * CalibrationProfile - Per-device camera calibration stored in localStorage
+ * Profiles are keyed by camera label and frame resolution, since intrinsics
+ * in pixels only hold for the resolution they were calibrated at.
+ */
+
+const STORAGE_PREFIX = "alva-arjs.calibration.";
+
+/**
+ * @typedef {Object} CalibrationProfile
+ * @property {string} label - Camera label (MediaStreamTrack.label)
+ * @property {number} width - Frame width the intrinsics are in
+ * @property {number} height - Frame height the intrinsics are in
+ * @property {CameraIntrinsics} intrinsics
+ * @property {DistortionCoefficients} distortion
+ * @property {number} rms - Reprojection error of the calibration in pixels
+ * @property {number} views - Checkerboard views the calibration used
+ * @property {string} created - ISO date of the calibration
+ */
+
+/**
+ * Key a profile is stored under
+ * @param {string} label - Camera label
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string}
+ */
+export function calibrationProfileKey(label, width, height) {
+  return `${label}|${width}x${height}`;
+}
+
+/**
+ * Load the profile of a camera at a resolution
+ * @param {string} label - Camera label
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {CalibrationProfile|null}
+ */
+export function loadCalibrationProfile(label, width, height) {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  const key = calibrationProfileKey(label, width, height);
+  try {
+    const stored = storage.getItem(STORAGE_PREFIX + key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn(`[CalibrationProfile] Ignoring unreadable profile ${key}`);
+    return null;
+  }
+}
+
+/**
+ * Store a profile, replacing an earlier one of the same camera and resolution
+ * @param {CalibrationProfile} profile
+ */
+export function saveCalibrationProfile(profile) {
+  const storage = getStorage();
+  if (!storage) throw new Error("localStorage is not available");
+
+  const key = calibrationProfileKey(
+    profile.label,
+    profile.width,
+    profile.height
+  );
+  storage.setItem(STORAGE_PREFIX + key, JSON.stringify(profile));
+}
+
+/**
+ * Remove the profile of a camera at a resolution
+ * @param {string} label - Camera label
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+export function deleteCalibrationProfile(label, width, height) {
+  const storage = getStorage();
+  if (!storage) return;
+  storage.removeItem(
+    STORAGE_PREFIX + calibrationProfileKey(label, width, height)
+  );
+}
+
+/**
+ * Label of the camera feeding a video element
+ * @param {HTMLVideoElement} video - Video playing a camera stream
+ * @returns {string} Empty if unknown
+ */
+export function getVideoLabel(video) {
+  const stream = video?.srcObject;
+  const track = stream?.getVideoTracks ? stream.getVideoTracks()[0] : null;
+  return track?.label || "";
+}
+
+function getStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    // Access throws when storage is blocked
+    return null;
+  }
+}
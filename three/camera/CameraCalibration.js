@@ -0,0 +1,510 @@
+/**
+ * CameraCalibration - Solves camera intrinsics from checkerboard views
+ * Zhang's method gives the initial focal length, principal point and board
+ * poses from per-view homographies. Levenberg-Marquardt then refines them
+ * together with Brown-Conrady distortion by minimizing reprojection error.
+ *
+ * Free of Three.js imports; corners come from CheckerboardDetector.
+ */
+import { distortPoint } from "./Distortion.js";
+
+const INTRINSIC_PARAMETERS = 8; // fx, fy, cx, cy, k1, k2, p1, p2
+const VIEW_PARAMETERS = 6; // Rotation vector, translation
+
+/**
+ * @typedef {Object} CalibrationResult
+ * @property {CameraIntrinsics} intrinsics - In pixels of the calibrated frames
+ * @property {DistortionCoefficients} distortion
+ * @property {number} rms - Root mean square reprojection error in pixels
+ * @property {Array<number>} viewErrors - RMS reprojection error of each view
+ */
+
+/**
+ * Calibrate a camera from checkerboard views
+ * @param {Array<Array<{x: number, y: number}>>} views - Row-major inner corners of each view
+ * @param {Object} board
+ * @param {number} board.columns - Inner corners per row
+ * @param {number} board.rows - Inner corners per column
+ * @param {number} board.squareSize - Square size, only scales the board poses
+ * @param {Object} options
+ * @param {number} options.iterations - Max Levenberg-Marquardt iterations
+ * @returns {CalibrationResult}
+ */
+export function calibrateCamera(
+  views,
+  { columns, rows, squareSize = 1 },
+  { iterations = 50 } = {}
+) {
+  if (views.length < 3) {
+    throw new Error("Calibration needs at least 3 checkerboard views");
+  }
+
+  const board = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      board.push({ x: i * squareSize, y: j * squareSize });
+    }
+  }
+
+  const homographies = views.map((corners) => findHomography(board, corners));
+  const K = intrinsicsFromHomographies(homographies);
+
+  const parameters = [K.fx, K.fy, K.cx, K.cy, 0, 0, 0, 0];
+  for (const H of homographies) {
+    parameters.push(...poseFromHomography(H, K));
+  }
+
+  const refined = levenbergMarquardt(parameters, board, views, iterations);
+  const viewErrors = views.map((corners, v) =>
+    Math.sqrt(
+      squaredNorm(viewResiduals(refined, v, board, corners)) / corners.length
+    )
+  );
+  const totalError = views.reduce(
+    (sum, corners, v) => sum + viewErrors[v] ** 2 * corners.length,
+    0
+  );
+  const totalPoints = views.reduce((sum, corners) => sum + corners.length, 0);
+
+  const [fx, fy, cx, cy, k1, k2, p1, p2] = refined;
+  return {
+    intrinsics: { fx, fy, cx, cy },
+    distortion: { k1, k2, p1, p2 },
+    rms: Math.sqrt(totalError / totalPoints),
+    viewErrors,
+  };
+}
+
+/**
+ * Normalized DLT homography from board to image points
+ * @returns {Array<number>} Row-major 3x3 matrix
+ */
+function findHomography(from, to) {
+  const T1 = normalization(from);
+  const T2 = normalization(to);
+  const rows = [];
+
+  from.forEach((p, k) => {
+    const a = apply(T1, p);
+    const b = apply(T2, to[k]);
+    rows.push([-a.x, -a.y, -1, 0, 0, 0, b.x * a.x, b.x * a.y, b.x]);
+    rows.push([0, 0, 0, -a.x, -a.y, -1, b.y * a.x, b.y * a.y, b.y]);
+  });
+
+  const h = smallestEigenvector(gram(rows));
+  // H = T2^-1 * Hn * T1
+  return multiply3(invert3(T2), multiply3(h, T1));
+}
+
+/**
+ * Similarity moving points to their centroid with mean distance sqrt(2)
+ */
+function normalization(points) {
+  const mean = points.reduce(
+    (sum, p) => ({
+      x: sum.x + p.x / points.length,
+      y: sum.y + p.y / points.length,
+    }),
+    { x: 0, y: 0 }
+  );
+  const spread =
+    points.reduce((sum, p) => sum + Math.hypot(p.x - mean.x, p.y - mean.y), 0) /
+    points.length;
+  const s = Math.SQRT2 / (spread || 1);
+  return [s, 0, -s * mean.x, 0, s, -s * mean.y, 0, 0, 1];
+}
+
+/**
+ * Zhang's closed form intrinsics, assuming zero skew
+ */
+function intrinsicsFromHomographies(homographies) {
+  const column = (H, c) => [H[c], H[3 + c], H[6 + c]];
+  const v = (H, a, b) => {
+    const hi = column(H, a);
+    const hj = column(H, b);
+    return [
+      hi[0] * hj[0],
+      hi[0] * hj[1] + hi[1] * hj[0],
+      hi[1] * hj[1],
+      hi[2] * hj[0] + hi[0] * hj[2],
+      hi[2] * hj[1] + hi[1] * hj[2],
+      hi[2] * hj[2],
+    ];
+  };
+
+  const rows = [];
+  for (const H of homographies) {
+    // Scale each homography so no view dominates the system
+    const norm = Math.hypot(...H);
+    const Hn = H.map((value) => value / norm);
+    const v11 = v(Hn, 0, 0);
+    const v22 = v(Hn, 1, 1);
+    rows.push(v(Hn, 0, 1));
+    rows.push(v11.map((value, k) => value - v22[k]));
+  }
+  // Zero skew: B12 = 0
+  rows.push([0, 1, 0, 0, 0, 0]);
+
+  const [B11, B12, B22, B13, B23, B33] = smallestEigenvector(gram(rows));
+  const denominator = B11 * B22 - B12 * B12;
+  const cy = (B12 * B13 - B11 * B23) / denominator;
+  const lambda = B33 - (B13 * B13 + cy * (B12 * B13 - B11 * B23)) / B11;
+  const fx = Math.sqrt(lambda / B11);
+  const fy = Math.sqrt((lambda * B11) / denominator);
+  const cx = (-B13 * fx * fx) / lambda;
+
+  if (![fx, fy, cx, cy].every(Number.isFinite)) {
+    throw new Error(
+      "Calibration failed, capture the board at more varied angles"
+    );
+  }
+  return { fx, fy, cx, cy };
+}
+
+/**
+ * Board pose from a homography and the intrinsics
+ * @returns {Array<number>} Rotation vector and translation
+ */
+function poseFromHomography(H, { fx, fy, cx, cy }) {
+  // K^-1 * column
+  const unproject = (c) => {
+    const x = H[c];
+    const y = H[3 + c];
+    const z = H[6 + c];
+    return [(x - cx * z) / fx, (y - cy * z) / fy, z];
+  };
+  const h1 = unproject(0);
+  const h2 = unproject(1);
+  const h3 = unproject(2);
+
+  // The board must lie in front of the camera
+  let scale = 1 / Math.hypot(...h1);
+  if (h3[2] * scale < 0) scale = -scale;
+
+  const r1 = h1.map((value) => value * scale);
+  const r2 = h2.map((value) => value * scale);
+  const r3 = cross(r1, r2);
+  const t = h3.map((value) => value * scale);
+
+  return [...rotationToVector(orthonormalize([r1, r2, r3])), ...t];
+}
+
+/**
+ * Refine all parameters by minimizing the reprojection error
+ */
+function levenbergMarquardt(initial, board, views, iterations) {
+  let parameters = initial.slice();
+  let error = totalSquaredError(parameters, board, views);
+  let damping = 1e-3;
+  const count = parameters.length;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const JtJ = Array.from({ length: count }, () => new Float64Array(count));
+    const Jtr = new Float64Array(count);
+
+    views.forEach((corners, v) => {
+      const residuals = viewResiduals(parameters, v, board, corners);
+      const offset = INTRINSIC_PARAMETERS + v * VIEW_PARAMETERS;
+      // Only the intrinsics and this view's pose affect its residuals
+      const indices = [];
+      for (let k = 0; k < INTRINSIC_PARAMETERS; k++) indices.push(k);
+      for (let k = 0; k < VIEW_PARAMETERS; k++) indices.push(offset + k);
+
+      const columns = indices.map((index) => {
+        const step = 1e-6 * Math.max(1, Math.abs(parameters[index]));
+        const shifted = parameters.slice();
+        shifted[index] += step;
+        const moved = viewResiduals(shifted, v, board, corners);
+        return moved.map((value, r) => (value - residuals[r]) / step);
+      });
+
+      indices.forEach((a, ia) => {
+        Jtr[a] += dot(columns[ia], residuals);
+        indices.forEach((b, ib) => {
+          JtJ[a][b] += dot(columns[ia], columns[ib]);
+        });
+      });
+    });
+
+    let improved = false;
+    while (damping < 1e10) {
+      const A = JtJ.map((row, r) => {
+        const copy = Array.from(row);
+        copy[r] += damping * (row[r] || 1e-12);
+        return copy;
+      });
+      const delta = solveLinear(
+        A,
+        Array.from(Jtr, (value) => -value)
+      );
+      const candidate = parameters.map((value, k) => value + delta[k]);
+      const candidateError = totalSquaredError(candidate, board, views);
+
+      if (candidateError < error) {
+        const gain = (error - candidateError) / error;
+        parameters = candidate;
+        error = candidateError;
+        damping = Math.max(damping / 10, 1e-12);
+        improved = gain > 1e-10;
+        break;
+      }
+      damping *= 10;
+    }
+    if (!improved) break;
+  }
+  return parameters;
+}
+
+function totalSquaredError(parameters, board, views) {
+  return views.reduce(
+    (sum, corners, v) =>
+      sum + squaredNorm(viewResiduals(parameters, v, board, corners)),
+    0
+  );
+}
+
+/**
+ * Reprojection residuals of one view
+ * @returns {Array<number>} Interleaved x, y differences in pixels
+ */
+function viewResiduals(parameters, view, board, corners) {
+  const [fx, fy, cx, cy, k1, k2, p1, p2] = parameters;
+  const offset = INTRINSIC_PARAMETERS + view * VIEW_PARAMETERS;
+  const R = vectorToRotation(parameters.slice(offset, offset + 3));
+  const t = parameters.slice(offset + 3, offset + 6);
+  const distortion = { k1, k2, p1, p2 };
+  const residuals = [];
+
+  board.forEach((p, k) => {
+    const x = R[0][0] * p.x + R[0][1] * p.y + t[0];
+    const y = R[1][0] * p.x + R[1][1] * p.y + t[1];
+    const z = R[2][0] * p.x + R[2][1] * p.y + t[2];
+    const d = distortPoint(x / z, y / z, distortion);
+    residuals.push(fx * d.x + cx - corners[k].x, fy * d.y + cy - corners[k].y);
+  });
+  return residuals;
+}
+
+/**
+ * Rodrigues rotation vector to row-major 3x3 rotation matrix
+ */
+function vectorToRotation([rx, ry, rz]) {
+  const angle = Math.hypot(rx, ry, rz);
+  if (angle < 1e-12) {
+    return [
+      [1, -rz, ry],
+      [rz, 1, -rx],
+      [-ry, rx, 1],
+    ];
+  }
+  const x = rx / angle;
+  const y = ry / angle;
+  const z = rz / angle;
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const C = 1 - c;
+  return [
+    [c + x * x * C, x * y * C - z * s, x * z * C + y * s],
+    [y * x * C + z * s, c + y * y * C, y * z * C - x * s],
+    [z * x * C - y * s, z * y * C + x * s, c + z * z * C],
+  ];
+}
+
+/**
+ * Rotation matrix given as columns to a Rodrigues rotation vector
+ */
+function rotationToVector([c1, c2, c3]) {
+  // Row-major access: R[r][c] = column c, row r
+  const R = (r, c) => [c1, c2, c3][c][r];
+  const cos = Math.min(1, Math.max(-1, (R(0, 0) + R(1, 1) + R(2, 2) - 1) / 2));
+  const angle = Math.acos(cos);
+  if (angle < 1e-9) return [0, 0, 0];
+
+  if (Math.PI - angle < 1e-6) {
+    // Near 180 degrees the axis comes from the diagonal
+    const x = Math.sqrt(Math.max(0, (R(0, 0) + 1) / 2));
+    const y =
+      Math.sqrt(Math.max(0, (R(1, 1) + 1) / 2)) * Math.sign(R(0, 1) || 1);
+    const z =
+      Math.sqrt(Math.max(0, (R(2, 2) + 1) / 2)) * Math.sign(R(0, 2) || 1);
+    return [x * angle, y * angle, z * angle];
+  }
+
+  const s = angle / (2 * Math.sin(angle));
+  return [
+    (R(2, 1) - R(1, 2)) * s,
+    (R(0, 2) - R(2, 0)) * s,
+    (R(1, 0) - R(0, 1)) * s,
+  ];
+}
+
+/**
+ * Orthonormal rotation columns from the first two (Gram-Schmidt)
+ */
+function orthonormalize([c1, c2]) {
+  const n1 = normalize(c1);
+  const n2 = normalize(c2.map((value, k) => value - dot(c2, n1) * n1[k]));
+  return [n1, n2, cross(n1, n2)];
+}
+
+/**
+ * Eigenvector of the smallest eigenvalue of a symmetric matrix (Jacobi)
+ */
+function smallestEigenvector(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row) => Array.from(row));
+  const vectors = Array.from({ length: n }, (_, r) =>
+    Array.from({ length: n }, (_, c) => (r === c ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-30) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t =
+          Math.sign(theta || 1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  let smallest = 0;
+  for (let k = 1; k < n; k++) {
+    if (a[k][k] < a[smallest][smallest]) smallest = k;
+  }
+  return vectors.map((row) => row[smallest]);
+}
+
+/**
+ * A^T * A of a list of rows
+ */
+function gram(rows) {
+  const n = rows[0].length;
+  const result = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (const row of rows) {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) result[i][j] += row[i] * row[j];
+    }
+  }
+  return result;
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, r) => [...row, b[r]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    const diagonal = m[col][col] || 1e-300;
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = m[r][col] / diagonal;
+      if (factor === 0) continue;
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / (m[r][r] || 1e-300);
+  }
+  return x;
+}
+
+function apply(H, p) {
+  const w = H[6] * p.x + H[7] * p.y + H[8];
+  return {
+    x: (H[0] * p.x + H[1] * p.y + H[2]) / w,
+    y: (H[3] * p.x + H[4] * p.y + H[5]) / w,
+  };
+}
+
+function multiply3(a, b) {
+  const result = new Array(9).fill(0);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      for (let k = 0; k < 3; k++)
+        result[r * 3 + c] += a[r * 3 + k] * b[k * 3 + c];
+    }
+  }
+  return result;
+}
+
+function invert3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [
+    A / det,
+    -(b * i - c * h) / det,
+    (b * f - c * e) / det,
+    B / det,
+    (a * i - c * g) / det,
+    -(a * f - c * d) / det,
+    C / det,
+    -(a * h - b * g) / det,
+    (a * e - b * d) / det,
+  ];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let k = 0; k < a.length; k++) sum += a[k] * b[k];
+  return sum;
+}
+
+function normalize(v) {
+  const length = Math.hypot(...v);
+  return v.map((value) => value / length);
+}
+
+function squaredNorm(v) {
+  return dot(v, v);
+}
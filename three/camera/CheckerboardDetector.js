@@ -0,0 +1,473 @@
+/**
+ * CheckerboardDetector - Finds the inner corners of a checkerboard in a frame
+ * Corners are saddle points of the (blurred) image intensity, confirmed by
+ * the four alternating dark/bright sectors around them, refined to subpixel
+ * accuracy and then grown into a lattice from a seed corner.
+ *
+ * Free of Three.js imports; works on ImageData-like { data, width, height }.
+ */
+
+const RING_SAMPLES = 16;
+
+export class CheckerboardDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.columns - Inner corners per row
+   * @param {number} options.rows - Inner corners per column
+   * @param {number} options.maxDetectionSize - Frames are downscaled to this size for detection
+   */
+  constructor(options = {}) {
+    this.options = {
+      columns: 9,
+      rows: 6,
+      maxDetectionSize: 640,
+      blurSigma: 1.2,
+      responseThreshold: 0.05, // Fraction of the strongest saddle response
+      ringRadius: 4, // Detection pixels around a corner checked for sectors
+      refineRadius: 5, // Full resolution window for subpixel refinement
+      seedAttempts: 8,
+      ...options,
+    };
+  }
+
+  /**
+   * Detect the checkerboard
+   * @param {ImageData} image - RGBA frame
+   * @returns {{corners: Array<{x: number, y: number}>, columns: number, rows: number}|null}
+   *   Corners in row-major order, or null if the full board was not found
+   */
+  detect(image) {
+    const gray = toGray(image);
+    const scale = Math.max(
+      1,
+      Math.ceil(
+        Math.max(image.width, image.height) / this.options.maxDetectionSize
+      )
+    );
+    const small = downscale(gray, image.width, image.height, scale);
+    const blurred = gaussianBlur(
+      small.data,
+      small.width,
+      small.height,
+      this.options.blurSigma
+    );
+
+    const candidates = this.findCandidates(blurred, small.width, small.height)
+      .map((p) =>
+        refineCorner(
+          gray,
+          image.width,
+          image.height,
+          (p.x + 0.5) * scale - 0.5,
+          (p.y + 0.5) * scale - 0.5,
+          this.options.refineRadius
+        )
+      )
+      .filter((p) => p !== null)
+      // Neighbouring detections can refine onto the same corner
+      .filter(
+        (p, index, all) =>
+          all.findIndex((q) => distance(p, q) < scale * 1.5) === index
+      );
+
+    const { columns, rows } = this.options;
+    if (candidates.length < columns * rows) return null;
+
+    const corners = this.buildGrid(candidates);
+    return corners ? { corners, columns, rows } : null;
+  }
+
+  /**
+   * Find saddle points with four alternating sectors
+   * @param {Float32Array} image - Blurred grayscale detection image
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array<{x: number, y: number}>} Candidates in detection pixels
+   */
+  findCandidates(image, width, height) {
+    const response = new Float32Array(width * height);
+    let maxResponse = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const ixx = image[i - 1] - 2 * image[i] + image[i + 1];
+        const iyy = image[i - width] - 2 * image[i] + image[i + width];
+        const ixy =
+          (image[i + width + 1] -
+            image[i + width - 1] -
+            image[i - width + 1] +
+            image[i - width - 1]) /
+          4;
+        // Positive where the Hessian has eigenvalues of opposite sign
+        const saddle = ixy * ixy - ixx * iyy;
+        if (saddle > 0) {
+          response[i] = saddle;
+          if (saddle > maxResponse) maxResponse = saddle;
+        }
+      }
+    }
+
+    const threshold = maxResponse * this.options.responseThreshold;
+    const radius = this.options.ringRadius;
+    const candidates = [];
+
+    for (let y = radius + 1; y < height - radius - 1; y++) {
+      for (let x = radius + 1; x < width - radius - 1; x++) {
+        const value = response[y * width + x];
+        if (value <= threshold) continue;
+        if (!isLocalMaximum(response, width, x, y, 2)) continue;
+        if (!hasFourSectors(image, width, x, y, radius)) continue;
+        candidates.push({ x, y });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Grow a lattice of corners from seeds near the centre of the candidates
+   * @param {Array<{x: number, y: number}>} points - Refined candidates
+   * @returns {Array<{x: number, y: number}>|null} Row-major corners
+   */
+  buildGrid(points) {
+    const center = points.reduce(
+      (sum, p) => ({
+        x: sum.x + p.x / points.length,
+        y: sum.y + p.y / points.length,
+      }),
+      { x: 0, y: 0 }
+    );
+    const seeds = points
+      .map((p, index) => ({ index, d: distance(p, center) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, this.options.seedAttempts);
+
+    for (const seed of seeds) {
+      const grid = this.growGrid(points, seed.index);
+      if (grid) return grid;
+    }
+    return null;
+  }
+
+  /**
+   * Grow a lattice from one seed corner
+   * @param {Array<{x: number, y: number}>} points - Refined candidates
+   * @param {number} seedIndex - Index of the seed in points
+   * @returns {Array<{x: number, y: number}>|null}
+   */
+  growGrid(points, seedIndex) {
+    const seed = points[seedIndex];
+    const basis = findBasis(points, seed);
+    if (!basis) return null;
+
+    // Breadth-first search, each node carrying its local lattice vectors so
+    // perspective foreshortening is followed across the board
+    const nodes = new Map();
+    const used = new Set([seedIndex]);
+    const queue = [{ i: 0, j: 0, point: seed, ...basis }];
+    nodes.set("0,0", seed);
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const steps = [
+        { di: 1, dj: 0, step: node.u },
+        { di: -1, dj: 0, step: { x: -node.u.x, y: -node.u.y } },
+        { di: 0, dj: 1, step: node.v },
+        { di: 0, dj: -1, step: { x: -node.v.x, y: -node.v.y } },
+      ];
+
+      for (const { di, dj, step } of steps) {
+        const key = `${node.i + di},${node.j + dj}`;
+        if (nodes.has(key)) continue;
+
+        const predicted = {
+          x: node.point.x + step.x,
+          y: node.point.y + step.y,
+        };
+        const tolerance = 0.35 * Math.min(length(node.u), length(node.v));
+        const index = nearestPoint(points, predicted, tolerance, used);
+        if (index < 0) continue;
+
+        const point = points[index];
+        const measured = {
+          x: point.x - node.point.x,
+          y: point.y - node.point.y,
+        };
+        used.add(index);
+        nodes.set(key, point);
+        queue.push({
+          i: node.i + di,
+          j: node.j + dj,
+          point,
+          u: di !== 0 ? { x: di * measured.x, y: di * measured.y } : node.u,
+          v: dj !== 0 ? { x: dj * measured.x, y: dj * measured.y } : node.v,
+        });
+      }
+    }
+
+    return this.orderGrid(nodes);
+  }
+
+  /**
+   * Check the lattice has the board's size and order it row-major, so the
+   * board is seen from the front (no mirrored corner order)
+   * @param {Map<string, {x: number, y: number}>} nodes - Lattice "i,j" -> corner
+   * @returns {Array<{x: number, y: number}>|null}
+   */
+  orderGrid(nodes) {
+    const { columns, rows } = this.options;
+    if (nodes.size !== columns * rows) return null;
+
+    let cells = [...nodes].map(([key, point]) => {
+      const [i, j] = key.split(",").map(Number);
+      return { i, j, point };
+    });
+    const minI = Math.min(...cells.map((c) => c.i));
+    const minJ = Math.min(...cells.map((c) => c.j));
+    cells = cells.map((c) => ({ ...c, i: c.i - minI, j: c.j - minJ }));
+    let width = Math.max(...cells.map((c) => c.i)) + 1;
+    let height = Math.max(...cells.map((c) => c.j)) + 1;
+
+    if (width === rows && height === columns && rows !== columns) {
+      cells = cells.map((c) => ({ ...c, i: c.j, j: c.i }));
+      [width, height] = [height, width];
+    }
+    if (width !== columns || height !== rows) return null;
+
+    const grid = new Array(columns * rows);
+    for (const c of cells) grid[c.j * columns + c.i] = c.point;
+
+    // Keep a consistent handedness: +i then +j turns clockwise in the image
+    const a = grid[1];
+    const b = grid[columns];
+    const origin = grid[0];
+    const cross =
+      (a.x - origin.x) * (b.y - origin.y) - (a.y - origin.y) * (b.x - origin.x);
+    if (cross < 0) {
+      const mirrored = new Array(grid.length);
+      for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < columns; i++) {
+          mirrored[j * columns + i] = grid[(rows - 1 - j) * columns + i];
+        }
+      }
+      return mirrored;
+    }
+    return grid;
+  }
+}
+
+/**
+ * Convert RGBA pixels to luminance
+ */
+function toGray({ data, width, height }) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Box downscale by an integer factor
+ */
+function downscale(gray, width, height, factor) {
+  if (factor === 1) return { data: gray, width, height };
+
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const data = new Float32Array(w * h);
+  const area = factor * factor;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        const row = (y * factor + dy) * width + x * factor;
+        for (let dx = 0; dx < factor; dx++) sum += gray[row + dx];
+      }
+      data[y * w + x] = sum / area;
+    }
+  }
+  return { data, width: w, height: h };
+}
+
+/**
+ * Separable Gaussian blur with clamped borders
+ */
+function gaussianBlur(image, width, height, sigma) {
+  const radius = Math.ceil(sigma * 3);
+  const kernel = [];
+  let total = 0;
+  for (let k = -radius; k <= radius; k++) {
+    const w = Math.exp((-k * k) / (2 * sigma * sigma));
+    kernel.push(w);
+    total += w;
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= total;
+
+  const temp = new Float32Array(width * height);
+  const result = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const xx = Math.min(width - 1, Math.max(0, x + k));
+        sum += kernel[k + radius] * image[y * width + xx];
+      }
+      temp[y * width + x] = sum;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const yy = Math.min(height - 1, Math.max(0, y + k));
+        sum += kernel[k + radius] * temp[yy * width + x];
+      }
+      result[y * width + x] = sum;
+    }
+  }
+  return result;
+}
+
+function isLocalMaximum(response, width, x, y, radius) {
+  const value = response[y * width + x];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const other = response[(y + dy) * width + x + dx];
+      // Ties go to the first pixel in scan order
+      if (
+        other > value ||
+        (other === value && (dy < 0 || (dy === 0 && dx < 0)))
+      ) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * An X-corner is surrounded by four sectors alternating dark and bright,
+ * unlike edges (two sectors) or blobs (none)
+ */
+function hasFourSectors(image, width, x, y, radius) {
+  const ring = [];
+  let mean = 0;
+  for (let k = 0; k < RING_SAMPLES; k++) {
+    const angle = (2 * Math.PI * k) / RING_SAMPLES;
+    const sx = Math.round(x + radius * Math.cos(angle));
+    const sy = Math.round(y + radius * Math.sin(angle));
+    const value = image[sy * width + sx];
+    ring.push(value);
+    mean += value / RING_SAMPLES;
+  }
+
+  let changes = 0;
+  for (let k = 0; k < RING_SAMPLES; k++) {
+    const a = ring[k] > mean;
+    const b = ring[(k + 1) % RING_SAMPLES] > mean;
+    if (a !== b) changes++;
+  }
+  return changes === 4;
+}
+
+/**
+ * Subpixel corner position where the image gradients in a window are
+ * orthogonal to the vector from the corner (as OpenCV's cornerSubPix)
+ * @returns {{x: number, y: number}|null} Refined corner, null near the border
+ */
+function refineCorner(gray, width, height, x, y, radius) {
+  let px = x;
+  let py = y;
+
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const cx = Math.round(px);
+    const cy = Math.round(py);
+    if (
+      cx - radius - 1 < 0 ||
+      cy - radius - 1 < 0 ||
+      cx + radius + 1 >= width ||
+      cy + radius + 1 >= height
+    ) {
+      return null;
+    }
+
+    let a = 0;
+    let b = 0;
+    let c = 0;
+    let bx = 0;
+    let by = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const i = (cy + dy) * width + cx + dx;
+        const gx = (gray[i + 1] - gray[i - 1]) / 2;
+        const gy = (gray[i + width] - gray[i - width]) / 2;
+        const weight = Math.exp(-(dx * dx + dy * dy) / (radius * radius));
+        const gxx = weight * gx * gx;
+        const gxy = weight * gx * gy;
+        const gyy = weight * gy * gy;
+        a += gxx;
+        b += gxy;
+        c += gyy;
+        bx += gxx * (cx + dx) + gxy * (cy + dy);
+        by += gxy * (cx + dx) + gyy * (cy + dy);
+      }
+    }
+
+    const det = a * c - b * b;
+    if (Math.abs(det) < 1e-9) return null;
+    const nx = (c * bx - b * by) / det;
+    const ny = (a * by - b * bx) / det;
+    const moved = Math.hypot(nx - px, ny - py);
+    px = nx;
+    py = ny;
+    if (moved > radius) return null;
+    if (moved < 0.01) break;
+  }
+  return { x: px, y: py };
+}
+
+/**
+ * Lattice vectors at a seed: the nearest neighbour and the nearest one
+ * roughly perpendicular to it
+ */
+function findBasis(points, seed) {
+  const neighbours = points
+    .filter((p) => p !== seed)
+    .map((p) => ({ x: p.x - seed.x, y: p.y - seed.y }))
+    .sort((a, b) => length(a) - length(b))
+    .slice(0, 8);
+  if (neighbours.length < 2) return null;
+
+  const u = neighbours[0];
+  const v = neighbours.find((n) => {
+    const cos = (u.x * n.x + u.y * n.y) / (length(u) * length(n));
+    return Math.abs(cos) < 0.5 && length(n) < 2 * length(u);
+  });
+  return v ? { u, v } : null;
+}
+
+function nearestPoint(points, target, tolerance, used) {
+  let best = -1;
+  let bestDistance = tolerance;
+  points.forEach((p, index) => {
+    if (used.has(index)) return;
+    const d = distance(p, target);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = index;
+    }
+  });
+  return best;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y);
+}
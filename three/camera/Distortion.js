@@ -0,0 +1,89 @@
+/**
+ * Distortion - Brown-Conrady lens distortion (k1, k2 radial, p1, p2 tangential)
+ * Coefficients apply to normalized image coordinates, so they do not change
+ * when a frame is cropped or scaled. Free of Three.js imports so it can run
+ * in workers and A-Frame components.
+ */
+
+/**
+ * @typedef {Object} DistortionCoefficients
+ * @property {number} k1 - Radial, r^2 term
+ * @property {number} k2 - Radial, r^4 term
+ * @property {number} p1 - Tangential
+ * @property {number} p2 - Tangential
+ */
+
+/**
+ * Whether the coefficients distort at all
+ * @param {DistortionCoefficients|null} distortion
+ * @returns {boolean}
+ */
+export function hasDistortion(distortion) {
+  return (
+    !!distortion &&
+    (distortion.k1 !== 0 ||
+      distortion.k2 !== 0 ||
+      distortion.p1 !== 0 ||
+      distortion.p2 !== 0)
+  );
+}
+
+/**
+ * Distort a point in normalized image coordinates
+ * @param {number} x - Undistorted x / z
+ * @param {number} y - Undistorted y / z
+ * @param {DistortionCoefficients} distortion
+ * @returns {{x: number, y: number}} Distorted normalized point
+ */
+export function distortPoint(x, y, { k1, k2, p1, p2 }) {
+  const r2 = x * x + y * y;
+  const radial = 1 + k1 * r2 + k2 * r2 * r2;
+
+  return {
+    x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+    y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y,
+  };
+}
+
+/**
+ * Build a lookup table that undistorts frames of a given size
+ * Each output pixel stores the index of the source pixel it samples
+ * (nearest neighbour), or -1 when that falls outside the frame.
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {CameraIntrinsics} intrinsics - Intrinsics of the frame
+ * @param {DistortionCoefficients} distortion
+ * @returns {Int32Array}
+ */
+export function createUndistortMap(width, height, intrinsics, distortion) {
+  const { fx, fy, cx, cy } = intrinsics;
+  const map = new Int32Array(width * height);
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const d = distortPoint((u - cx) / fx, (v - cy) / fy, distortion);
+      const su = Math.round(d.x * fx + cx);
+      const sv = Math.round(d.y * fy + cy);
+
+      map[v * width + u] =
+        su >= 0 && su < width && sv >= 0 && sv < height ? sv * width + su : -1;
+    }
+  }
+  return map;
+}
+
+/**
+ * Undistort an RGBA frame with a lookup table
+ * @param {Uint8ClampedArray} source - Distorted RGBA pixels
+ * @param {Uint8ClampedArray} target - Undistorted RGBA pixels, same size
+ * @param {Int32Array} map - Table from createUndistortMap()
+ */
+export function undistortFrame(source, target, map) {
+  const src = new Uint32Array(source.buffer, source.byteOffset, map.length);
+  const dst = new Uint32Array(target.buffer, target.byteOffset, map.length);
+
+  for (let i = 0; i < map.length; i++) {
+    const index = map[i];
+    dst[i] = index >= 0 ? src[index] : 0xff000000;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * FrameGeometry - Shared geometry of the camera frame, the SLAM image and the view
+ * The view shows the video cropped to cover it (like CSS object-fit: cover).
+ * SLAM processes exactly that crop, scaled to the processing size, and the
+ * virtual camera uses the intrinsics of the same crop, so all three agree.
+ *
+ * Intrinsics come from the calibration profile of the camera when one is
+ * stored (see CalibrationProfile.js), otherwise from a default field of view.
+ *
+ * Kept free of Three.js imports so the A-Frame components can share it.
+ * Dispatches a "change" event whenever the geometry changes.
+ */
+import { resize2cover } from "../../alva/assets/utils.js";
+import { loadCalibrationProfile } from "./CalibrationProfile.js";
+
+/**
+ * Default vertical field of view of the camera frame in degrees,
+ * the same AlvaAR assumes when it is not given one
+ */
+export const DEFAULT_FOV = 45;
+
+/**
+ * @typedef {Object} CameraIntrinsics
+ * @property {number} fx - Focal length along x in pixels
+ * @property {number} fy - Focal length along y in pixels
+ * @property {number} cx - Principal point x in pixels
+ * @property {number} cy - Principal point y in pixels
+ */
+
+export class FrameGeometry extends EventTarget {
+  /**
+   * @param {Object} options
+   * @param {number} options.fov - Vertical field of view of the camera frame in degrees
+   * @param {CameraIntrinsics|null} options.intrinsics - Calibrated intrinsics in source pixels, overrides fov
+   * @param {DistortionCoefficients|null} options.distortion - Lens distortion of the source frames
+   */
+  constructor({
+    fov = DEFAULT_FOV,
+    intrinsics = null,
+    distortion = null,
+  } = {}) {
+    super();
+    this.fov = fov;
+    this.intrinsics = intrinsics;
+    this.distortion = distortion;
+    this.profile = null; // Calibration profile of the current camera
+    this.source = null; // Camera frame size, { width, height }
+    this.label = ""; // Camera label
+    this.view = null; // Displayed size, { width, height }
+  }
+
+  /**
+   * Set the size of the camera frames
+   * Loads the calibration profile stored for the camera at this resolution
+   * @param {number} width - Video width in pixels
+   * @param {number} height - Video height in pixels
+   * @param {string} label - Camera label, see getVideoLabel()
+   */
+  setSource(width, height, label = "") {
+    if (
+      this.source?.width === width &&
+      this.source?.height === height &&
+      this.label === label
+    ) {
+      return;
+    }
+    this.source = { width, height };
+    this.label = label;
+    this.profile = loadCalibrationProfile(label, width, height);
+    if (this.profile) {
+      console.log(
+        `[FrameGeometry] Using calibration of "${label}" at ${width}x${height}`
+      );
+    }
+    this.notifyChange();
+  }
+
+  /**
+   * Set the size the video is displayed at
+   * @param {number} width - View width
+   * @param {number} height - View height
+   */
+  setView(width, height) {
+    if (this.view?.width === width && this.view?.height === height) return;
+    this.view = { width, height };
+    this.notifyChange();
+  }
+
+  /**
+   * Set the vertical field of view used when no intrinsics are calibrated
+   * @param {number} fov - Degrees
+   */
+  setFov(fov) {
+    if (fov === this.fov) return;
+    this.fov = fov;
+    this.notifyChange();
+  }
+
+  /**
+   * Set intrinsics of the camera frames, overriding any calibration profile
+   * @param {CameraIntrinsics|null} intrinsics - In source pixels, null to use the profile or fov
+   * @param {DistortionCoefficients|null} distortion - Lens distortion
+   */
+  setIntrinsics(intrinsics, distortion = null) {
+    this.intrinsics = intrinsics ? { ...intrinsics } : null;
+    this.distortion = distortion ? { ...distortion } : null;
+    this.notifyChange();
+  }
+
+  /**
+   * Calibration profile in use
+   * @returns {CalibrationProfile|null}
+   */
+  getCalibrationProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Lens distortion of the source frames
+   * @returns {DistortionCoefficients|null} Null if not calibrated
+   */
+  getDistortion() {
+    if (this.intrinsics) return this.distortion ? { ...this.distortion } : null;
+    return this.profile ? { ...this.profile.distortion } : null;
+  }
+
+  /**
+   * Tell listeners the geometry changed
+   */
+  notifyChange() {
+    this.dispatchEvent(new Event("change"));
+  }
+
+  /**
+   * Whether the source size is known
+   * @returns {boolean}
+   */
+  hasSource() {
+    return this.source !== null;
+  }
+
+  /**
+   * Source size, falling back to the view size while the video is unknown
+   * @returns {{width: number, height: number}}
+   */
+  getSource() {
+    return this.source || this.view || { width: 1, height: 1 };
+  }
+
+  /**
+   * Region of the camera frame that is visible in the view
+   * @returns {{x: number, y: number, width: number, height: number}} In source pixels
+   */
+  getCrop() {
+    const source = this.getSource();
+    const view = this.view || source;
+
+    // Where the whole frame lands in view coordinates when covering the view
+    const cover = resize2cover(
+      source.width,
+      source.height,
+      view.width,
+      view.height
+    );
+    // resize2cover truncates its sizes, take the exact scale of the fitted side
+    const scale =
+      cover.x === 0 ? view.width / source.width : view.height / source.height;
+
+    return {
+      x: -cover.x / scale,
+      y: -cover.y / scale,
+      width: view.width / scale,
+      height: view.height / scale,
+    };
+  }
+
+  /**
+   * Intrinsics of the full camera frame
+   * @returns {CameraIntrinsics} In source pixels
+   */
+  getSourceIntrinsics() {
+    if (this.intrinsics) return { ...this.intrinsics };
+    if (this.profile) return { ...this.profile.intrinsics };
+
+    const { width, height } = this.getSource();
+    const f = height / 2 / Math.tan((this.fov * Math.PI) / 360);
+    return { fx: f, fy: f, cx: width / 2, cy: height / 2 };
+  }
+
+  /**
+   * Processing size with the aspect ratio of the crop
+   * Keeps the pixel count of the requested resolution, never upscaling the crop
+   * @param {{width: number, height: number}} resolution - Processing budget, e.g. a FrameBudget preset
+   * @returns {{width: number, height: number}}
+   */
+  getProcessingSize(resolution) {
+    const crop = this.getCrop();
+    const aspect = crop.width / crop.height;
+    const area = Math.min(
+      resolution.width * resolution.height,
+      crop.width * crop.height
+    );
+
+    const width = Math.round(Math.sqrt(area * aspect));
+    return { width, height: Math.round(width / aspect) };
+  }
+
+  /**
+   * Intrinsics of the crop scaled to a given size
+   * @param {number} width - Image width, e.g. the processing width
+   * @param {number} height - Image height
+   * @returns {CameraIntrinsics}
+   */
+  getIntrinsics(width, height) {
+    const crop = this.getCrop();
+    const { fx, fy, cx, cy } = this.getSourceIntrinsics();
+    const sx = width / crop.width;
+    const sy = height / crop.height;
+
+    return {
+      fx: fx * sx,
+      fy: fy * sy,
+      cx: (cx - crop.x) * sx,
+      cy: (cy - crop.y) * sy,
+    };
+  }
+
+  /**
+   * Vertical field of view of the view (and of the processed crop)
+   * @returns {number} Degrees
+   */
+  getFov() {
+    const crop = this.getCrop();
+    const { fy } = this.getSourceIntrinsics();
+    return (2 * Math.atan(crop.height / 2 / fy) * 180) / Math.PI;
+  }
+
+  /**
+   * Aspect ratio of the view
+   * @returns {number}
+   */
+  getAspect() {
+    const crop = this.getCrop();
+    return crop.width / crop.height;
+  }
+
+  /**
+   * Projection matrix matching the intrinsics of the view
+   * Three.js convention: camera looks down -z, y up, image y down
+   * @param {number} near - Near plane
+   * @param {number} far - Far plane
+   * @returns {Array<number>} Column-major 4x4 matrix
+   */
+  getProjectionMatrix(near = 0.1, far = 1000) {
+    const crop = this.getCrop();
+    const { fx, fy, cx, cy } = this.getIntrinsics(crop.width, crop.height);
+    const w = crop.width;
+    const h = crop.height;
+
+    return [
+      (2 * fx) / w, 0, 0, 0,
+      0, (2 * fy) / h, 0, 0,
+      1 - (2 * cx) / w, (2 * cy) / h - 1, -(far + near) / (far - near), -1,
+      0, 0, (-2 * far * near) / (far - near), 0,
+    ];
+  }
+}
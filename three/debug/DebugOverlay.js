@@ -0,0 +1,157 @@
+/**
+ * DebugOverlay - Tracking diagnostics drawn on top of the app
+ * Feature points and their density are painted onto the processing canvas the
+ * tracker already shows; the tracking-quality history is drawn as a sparkline
+ * in a small canvas of its own.
+ */
+import {
+  countPointsPerCell,
+  QualityHint,
+} from "../tracking/TrackingQuality.js";
+
+const HINT_TEXT = {
+  [QualityHint.NONE]: "",
+  [QualityHint.ADD_TEXTURE]: "add texture",
+  [QualityHint.MOVE_SLOWLY]: "move slowly",
+};
+
+/**
+ * Paint feature points over a density heatmap
+ * @param {CanvasRenderingContext2D} ctx - Context of the frame the points were found in
+ * @param {Array<{x: number, y: number}>} points - Feature points in pixels
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=40] - Heatmap cell size in pixels
+ * @param {number} [options.saturation=8] - Points at which a cell is fully coloured
+ */
+export function drawFeaturePoints(
+  ctx,
+  points,
+  width,
+  height,
+  { cellSize = 40, saturation = 8 } = {}
+) {
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const counts = countPointsPerCell(
+    points,
+    columns * cellSize,
+    rows * cellSize,
+    columns,
+    rows
+  );
+
+  counts.forEach((count, i) => {
+    if (count === 0) return;
+    const alpha = 0.5 * Math.min(1, count / saturation);
+    ctx.fillStyle = `rgba(255, 64, 0, ${alpha})`;
+    ctx.fillRect(
+      (i % columns) * cellSize,
+      Math.floor(i / columns) * cellSize,
+      cellSize,
+      cellSize
+    );
+  });
+
+  ctx.fillStyle = "white";
+  for (const p of points) {
+    ctx.fillRect(p.x - 1, p.y - 1, 3, 3);
+  }
+}
+
+export class DebugOverlay {
+  /**
+   * @param {HTMLElement} container - Element the sparkline is added to
+   * @param {Object} [options]
+   * @param {number} [options.historyLength=150] - Quality samples in the sparkline
+   */
+  constructor(container = document.body, { historyLength = 150 } = {}) {
+    this.historyLength = historyLength;
+    this.history = []; // Recent Quality objects, oldest first
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = 200;
+    this.canvas.height = 60;
+    Object.assign(this.canvas.style, {
+      position: "fixed",
+      top: "10px",
+      left: "10px",
+      zIndex: 1001,
+      background: "rgba(0, 0, 0, 0.7)",
+      borderRadius: "4px",
+      pointerEvents: "none",
+      display: "none",
+    });
+    container.appendChild(this.canvas);
+    this.ctx = this.canvas.getContext("2d");
+  }
+
+  /**
+   * Show or hide the overlay; the history is cleared when hidden
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.canvas.style.display = visible ? "block" : "none";
+    if (!visible) this.history = [];
+  }
+
+  /**
+   * Add a quality sample and redraw the sparkline
+   * @param {Quality} quality - Latest tracking quality
+   */
+  update(quality) {
+    this.history.push(quality);
+    if (this.history.length > this.historyLength) this.history.shift();
+    if (this.canvas.style.display !== "none") this.draw();
+  }
+
+  /**
+   * Draw the score history with the latest score and hint
+   */
+  draw() {
+    const { ctx, history } = this;
+    const { width, height } = this.canvas;
+    const top = 18; // Room for the label
+    const plotHeight = height - top - 4;
+    ctx.clearRect(0, 0, width, height);
+    if (history.length === 0) return;
+
+    const latest = history[history.length - 1];
+    ctx.strokeStyle = scoreColor(latest.score);
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    history.forEach(({ score }, i) => {
+      const x = (i / (this.historyLength - 1)) * width;
+      const y = top + (1 - score) * plotHeight;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = "white";
+    ctx.font = "12px monospace";
+    ctx.fillText(
+      `Quality ${Math.round(latest.score * 100)}% ${HINT_TEXT[latest.hint]}`,
+      4,
+      13
+    );
+  }
+
+  /**
+   * Remove the overlay from the page
+   */
+  dispose() {
+    this.canvas.remove();
+    this.history = [];
+  }
+}
+
+/**
+ * Red for poor, yellow for fair, green for good scores
+ */
+function scoreColor(score) {
+  if (score < 0.4) return "#f44336";
+  if (score < 0.7) return "#ffc107";
+  return "#4caf50";
+}
@@ -0,0 +1,56 @@
+/**
+ * BrowserLocationProvider - Live fixes from navigator.geolocation
+ */
+import { LocationProviderType } from "./LocationProvider.js";
+
+export class BrowserLocationProvider {
+  /**
+   * @param {Object} options - PositionOptions passed to watchPosition
+   */
+  constructor(options = {}) {
+    this.type = LocationProviderType.BROWSER;
+    this.options = {
+      enableHighAccuracy: true,
+      timeout: 5000,
+      maximumAge: 0,
+      ...options,
+    };
+    this.watchId = null;
+  }
+
+  /**
+   * Start watching the device position
+   * @param {Function} onPosition - Called with each GeolocationPosition
+   * @param {Function} onError - Called with each GeolocationPositionError
+   */
+  start(onPosition, onError) {
+    if (this.watchId !== null) return;
+
+    if (!navigator.geolocation) {
+      onError({ code: 2, message: "Geolocation is not supported" });
+      return;
+    }
+    this.watchId = navigator.geolocation.watchPosition(
+      onPosition,
+      onError,
+      this.options
+    );
+  }
+
+  /**
+   * Stop watching the device position
+   */
+  stop() {
+    if (this.watchId === null) return;
+    navigator.geolocation.clearWatch(this.watchId);
+    this.watchId = null;
+  }
+
+  /**
+   * Update the PositionOptions, applied on the next start
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+}
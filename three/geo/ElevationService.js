@@ -0,0 +1,274 @@
+/**
+ * ElevationService - Ground height from local elevation tiles
+ * Loads DEM tiles in the Web Mercator XYZ scheme, with heights encoded in
+ * the RGB channels of PNGs (Terrarium or Mapbox Terrain-RGB), and samples
+ * them with bilinear interpolation. Tiles are loaded on demand and cached;
+ * missing tiles leave the height unknown. It has no Three.js dependency, so
+ * the A-Frame components can use it.
+ */
+
+export const ElevationEncoding = Object.freeze({
+  TERRARIUM: "terrarium", // (R * 256 + G + B / 256) - 32768
+  MAPBOX: "mapbox", // -10000 + (R * 65536 + G * 256 + B) * 0.1
+});
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * @typedef {Object} ElevationTile
+ * @property {number} width - Pixels
+ * @property {number} height - Pixels
+ * @property {Float32Array} heights - Metres above sea level, row by row from the north
+ */
+
+export class ElevationService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - Tile URL template with {z}, {x} and {y}
+   * @param {string} [options.encoding] - One of ElevationEncoding
+   */
+  constructor(options = {}) {
+    this.options = {
+      url: "data/elevation/{z}/{x}/{y}.png",
+      encoding: ElevationEncoding.TERRARIUM,
+      zoom: 14, // Zoom level of the tiles, about 10 m per pixel at 256 px
+      maxTiles: 32, // Tiles kept in memory, the least recently used go first
+      ...options,
+    };
+    this.tiles = new Map(); // "z/x/y" -> Promise<ElevationTile|null>
+    this.loaded = new Map(); // "z/x/y" -> ElevationTile, or null if missing
+  }
+
+  /**
+   * Update options; tiles are reloaded if the source changed
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    const { url, encoding, zoom } = this.options;
+    this.options = { ...this.options, ...options };
+    if (
+      this.options.url !== url ||
+      this.options.encoding !== encoding ||
+      this.options.zoom !== zoom
+    ) {
+      this.clear();
+    }
+  }
+
+  /**
+   * Forget all loaded tiles
+   */
+  clear() {
+    this.tiles.clear();
+    this.loaded.clear();
+  }
+
+  /**
+   * Ground height at a location, loading its tile if needed
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {Promise<number|null>} Metres above sea level, null without data
+   */
+  async getElevation(latitude, longitude) {
+    const point = this.tilePoint(latitude, longitude);
+    const tile = await this.loadTile(point.key, point.x, point.y);
+    return tile ? sampleTile(tile, point.u, point.v) : null;
+  }
+
+  /**
+   * Ground height at a location from the tiles loaded so far
+   * Starts loading the tile if it is not, so a later call can answer.
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {number|null} Metres above sea level, null while unknown
+   */
+  getLoadedElevation(latitude, longitude) {
+    const point = this.tilePoint(latitude, longitude);
+    const tile = this.loaded.get(point.key);
+    if (tile === undefined) {
+      this.loadTile(point.key, point.x, point.y);
+      return null;
+    }
+    return tile ? sampleTile(tile, point.u, point.v) : null;
+  }
+
+  /**
+   * Height of the ground at a location above the ground at a reference
+   * The sea level heights of a DEM differ from the ellipsoidal heights of
+   * GPS by the geoid; the difference of two nearby heights does not.
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {Object} reference - { latitude, longitude } in degrees
+   * @returns {number|null} Metres, null while either height is unknown
+   */
+  getHeightDifference(latitude, longitude, reference) {
+    const height = this.getLoadedElevation(latitude, longitude);
+    const referenceHeight = this.getLoadedElevation(
+      reference.latitude,
+      reference.longitude
+    );
+    if (height === null || referenceHeight === null) return null;
+    return height - referenceHeight;
+  }
+
+  /**
+   * Load the tiles within a distance of a location
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {number} radius - Metres
+   * @returns {Promise<void>}
+   */
+  async preload(latitude, longitude, radius = 0) {
+    const north = radius / 111320;
+    const east = north / Math.max(Math.cos(latitude * DEG2RAD), 1e-6);
+    const min = this.tilePoint(latitude + north, longitude - east);
+    const max = this.tilePoint(latitude - north, longitude + east);
+
+    const loads = [];
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        loads.push(this.loadTile(`${this.options.zoom}/${x}/${y}`, x, y));
+      }
+    }
+    await Promise.all(loads);
+  }
+
+  /**
+   * Tile and position within it of a location
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {Object} { key, x, y, u, v }, u and v from 0 to 1 across the tile
+   */
+  tilePoint(latitude, longitude) {
+    const { zoom } = this.options;
+    const n = Math.pow(2, zoom);
+    const lat = latitude * DEG2RAD;
+    const tx = ((longitude + 180) / 360) * n;
+    const ty =
+      ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * n;
+    const x = Math.floor(tx);
+    const y = Math.floor(ty);
+    return { key: `${zoom}/${x}/${y}`, x, y, u: tx - x, v: ty - y };
+  }
+
+  /**
+   * Load and decode a tile, once
+   * @param {string} key - "z/x/y"
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @returns {Promise<ElevationTile|null>} Null if the tile is missing
+   */
+  loadTile(key, x, y) {
+    let tile = this.tiles.get(key);
+    if (tile) {
+      // Most recently used last
+      this.tiles.delete(key);
+      this.tiles.set(key, tile);
+      return tile;
+    }
+
+    const { url, encoding, zoom } = this.options;
+    const tileUrl = url
+      .replace("{z}", zoom)
+      .replace("{x}", x)
+      .replace("{y}", y);
+    tile = fetchTile(tileUrl, encoding)
+      .catch((error) => {
+        console.warn(`[ElevationService] No elevation for ${key}:`, error);
+        return null;
+      })
+      .then((result) => {
+        // Skip tiles dropped meanwhile, e.g. by a new source
+        if (this.tiles.get(key) === tile) this.loaded.set(key, result);
+        return result;
+      });
+    this.tiles.set(key, tile);
+
+    while (this.tiles.size > this.options.maxTiles) {
+      const oldest = this.tiles.keys().next().value;
+      this.tiles.delete(oldest);
+      this.loaded.delete(oldest);
+    }
+    return tile;
+  }
+}
+
+/**
+ * Fetch a tile image and decode its heights
+ * @param {string} url - Tile URL
+ * @param {string} encoding - One of ElevationEncoding
+ * @returns {Promise<ElevationTile>}
+ */
+async function fetchTile(url, encoding) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+
+  // Colour space conversion would change the encoded heights
+  const image = await createImageBitmap(await response.blob(), {
+    colorSpaceConversion: "none",
+    premultiplyAlpha: "none",
+  });
+  const { width, height } = image;
+  const canvas =
+    typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement("canvas"), { width, height });
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  image.close();
+
+  return {
+    width,
+    height,
+    heights: decodeHeights(
+      ctx.getImageData(0, 0, width, height).data,
+      encoding
+    ),
+  };
+}
+
+/**
+ * Decode the heights of RGBA pixels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {string} encoding - One of ElevationEncoding
+ * @returns {Float32Array} Metres
+ */
+export function decodeHeights(data, encoding) {
+  const heights = new Float32Array(data.length / 4);
+  for (let i = 0; i < heights.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    heights[i] =
+      encoding === ElevationEncoding.MAPBOX
+        ? -10000 + (r * 65536 + g * 256 + b) * 0.1
+        : r * 256 + g + b / 256 - 32768;
+  }
+  return heights;
+}
+
+/**
+ * Bilinear interpolation between pixel centres
+ * Near the tile edge the edge pixels are extended.
+ * @param {ElevationTile} tile
+ * @param {number} u - 0 (west) to 1 (east)
+ * @param {number} v - 0 (north) to 1 (south)
+ * @returns {number} Metres
+ */
+function sampleTile(tile, u, v) {
+  const { width, height, heights } = tile;
+  const px = Math.min(Math.max(u * width - 0.5, 0), width - 1);
+  const py = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = px - x0;
+  const fy = py - y0;
+
+  const top =
+    heights[y0 * width + x0] * (1 - fx) + heights[y0 * width + x1] * fx;
+  const bottom =
+    heights[y1 * width + x0] * (1 - fx) + heights[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
@@ -0,0 +1,393 @@
+/**
+ * Geofence - Enter, exit and dwell events for geographic regions
+ * Regions are GeoJSON polygons, or circles written as Point features with a
+ * radius property in metres. A region is entered once a fix is further
+ * inside it than a margin grown with the fix accuracy, and only left once
+ * the fix is that far outside, so fixes jittering on the boundary do not
+ * toggle it. The margin is at most half the depth of a region, so small
+ * regions can still be entered. Objects bound to a region are shown while
+ * the user is inside.
+ */
+
+export const GeofenceEvent = Object.freeze({
+  ENTER: "enter", // CustomEvent, detail is a GeofenceTransition
+  EXIT: "exit", // CustomEvent, detail is a GeofenceTransition
+  DWELL: "dwell", // CustomEvent once per visit, after dwellTime inside
+});
+
+const DEG2RAD = Math.PI / 180;
+const EARTH_RADIUS = 6371000; // Mean radius, metres
+
+/**
+ * @typedef {Object} GeofenceRegion
+ * @property {string} id - Unique id
+ * @property {Array<Array<Array<Array<number>>>>} [polygons] - Polygons of
+ *   [longitude, latitude] rings, the first ring outer, the others holes
+ * @property {Object} [center] - { latitude, longitude } of a circle
+ * @property {number} [radius] - Metres, of a circle
+ * @property {number} depth - Metres from the boundary to the middle of the
+ *   region: the radius, or an estimate for polygons, see polygonDepth()
+ * @property {Object} properties - GeoJSON properties of the feature
+ */
+
+/**
+ * @typedef {Object} GeofenceTransition
+ * @property {string} region - Region id
+ * @property {Object} properties - GeoJSON properties of the region
+ * @property {number} distance - Metres from the boundary, negative inside
+ * @property {number} accuracy - Accuracy of the fix in metres
+ * @property {number} dwellTime - ms inside the region, 0 on enter
+ * @property {number} timestamp - performance.now() time of the fix
+ */
+
+export class GeofenceMonitor extends EventTarget {
+  /**
+   * @param {Object} options
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      dwellTime: 30000, // ms inside a region before a dwell event
+      accuracyFactor: 1, // Margin in accuracies a fix has to be past the boundary
+      minMargin: 2, // Metres, margin of very accurate fixes
+      maxMargin: 20, // Metres, so small regions can be entered with poor fixes
+      ...options,
+    };
+    this.regions = new Map(); // id -> GeofenceRegion
+    this.states = new Map(); // id -> { inside, since, dwelled, distance }
+    this.bindings = new Map(); // id -> Set of objects shown while inside
+    this.location = null; // Last { latitude, longitude, accuracy, timestamp }
+  }
+
+  /**
+   * Update options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Load regions from a GeoJSON file
+   * @param {string} url - GeoJSON URL
+   * @returns {Promise<Array<GeofenceRegion>>} The regions added
+   */
+  async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return this.addRegions(await response.json());
+  }
+
+  /**
+   * Add the regions of a GeoJSON object
+   * Regions are re-evaluated at the last location.
+   * @param {Object} geojson - FeatureCollection, Feature or geometry
+   * @returns {Array<GeofenceRegion>} The regions added
+   */
+  addRegions(geojson) {
+    const regions = parseGeofences(geojson);
+    for (const region of regions) {
+      this.regions.set(region.id, region);
+      this.states.delete(region.id);
+    }
+    if (this.location) this.update(this.location);
+    return regions;
+  }
+
+  /**
+   * Remove a region; it is not exited, and its objects keep their visibility
+   * @param {string} id - Region id
+   */
+  removeRegion(id) {
+    this.regions.delete(id);
+    this.states.delete(id);
+    this.bindings.delete(id);
+  }
+
+  /**
+   * Get all regions
+   * @returns {Array<GeofenceRegion>}
+   */
+  getRegions() {
+    return Array.from(this.regions.values());
+  }
+
+  /**
+   * Whether the user is inside a region
+   * @param {string} id - Region id
+   * @returns {boolean}
+   */
+  isInside(id) {
+    return this.states.get(id)?.inside === true;
+  }
+
+  /**
+   * Ids of the regions the user is inside
+   * @returns {Array<string>}
+   */
+  getActiveRegions() {
+    return Array.from(this.states.entries())
+      .filter(([, state]) => state.inside)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Show an object only while the user is inside a region
+   * @param {string} id - Region id
+   * @param {Object} object - Anything with a visible flag, e.g. a THREE.Object3D
+   */
+  bindObject(id, object) {
+    if (!this.bindings.has(id)) this.bindings.set(id, new Set());
+    this.bindings.get(id).add(object);
+    object.visible = this.isInside(id);
+  }
+
+  /**
+   * Stop controlling the visibility of an object
+   * @param {Object} object - Object bound with bindObject()
+   */
+  unbindObject(object) {
+    for (const objects of this.bindings.values()) objects.delete(object);
+  }
+
+  /**
+   * Evaluate the regions at a new fix
+   * @param {Object} location
+   * @param {number} location.latitude - Degrees
+   * @param {number} location.longitude - Degrees
+   * @param {number} location.accuracy - Metres
+   * @param {number} [location.timestamp] - performance.now() time of the fix
+   */
+  update({ latitude, longitude, accuracy, timestamp = performance.now() }) {
+    this.location = { latitude, longitude, accuracy, timestamp };
+    const { accuracyFactor, minMargin, maxMargin, dwellTime } = this.options;
+    const accuracyMargin = Math.min(
+      Math.max(accuracy * accuracyFactor, minMargin),
+      maxMargin
+    );
+
+    for (const region of this.regions.values()) {
+      const margin = Math.min(accuracyMargin, region.depth / 2);
+      const distance = signedDistance(region, latitude, longitude);
+      let state = this.states.get(region.id);
+      if (!state) {
+        state = { inside: false, since: timestamp, dwelled: false, distance };
+        this.states.set(region.id, state);
+      }
+      state.distance = distance;
+
+      if (!state.inside && distance <= -margin) {
+        state.inside = true;
+        state.since = timestamp;
+        state.dwelled = false;
+        this.transition(GeofenceEvent.ENTER, region, state);
+      } else if (state.inside && distance >= margin) {
+        state.inside = false;
+        this.transition(GeofenceEvent.EXIT, region, state);
+        state.since = timestamp;
+      } else if (
+        state.inside &&
+        !state.dwelled &&
+        timestamp - state.since >= dwellTime
+      ) {
+        state.dwelled = true;
+        this.transition(GeofenceEvent.DWELL, region, state);
+      }
+    }
+  }
+
+  /**
+   * Apply a membership change to the bound objects and report it
+   * @param {string} type - One of GeofenceEvent
+   * @param {GeofenceRegion} region
+   * @param {Object} state - Membership state of the region
+   */
+  transition(type, region, state) {
+    const { accuracy, timestamp } = this.location;
+    const objects = this.bindings.get(region.id);
+    if (objects) {
+      for (const object of objects) object.visible = state.inside;
+    }
+
+    /** @type {GeofenceTransition} */
+    const detail = {
+      region: region.id,
+      properties: region.properties,
+      distance: state.distance,
+      accuracy,
+      dwellTime: type === GeofenceEvent.ENTER ? 0 : timestamp - state.since,
+      timestamp,
+    };
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Forget all regions, memberships and bindings
+   */
+  dispose() {
+    this.regions.clear();
+    this.states.clear();
+    this.bindings.clear();
+    this.location = null;
+  }
+}
+
+/**
+ * Read geofence regions from GeoJSON
+ * Polygon and MultiPolygon features become polygons, Point features with a
+ * radius property circles; other geometries are skipped. Ids are taken from
+ * the feature id, an id or name property, or the feature's index.
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array<GeofenceRegion>}
+ */
+export function parseGeofences(geojson) {
+  let features = [geojson];
+  if (geojson.type === "FeatureCollection") {
+    features = geojson.features;
+  } else if (geojson.type !== "Feature") {
+    features = [{ type: "Feature", geometry: geojson, properties: {} }];
+  }
+
+  const regions = [];
+  features.forEach((feature, index) => {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    const id = String(
+      feature.id ?? properties.id ?? properties.name ?? `region-${index}`
+    );
+    if (!geometry) return;
+
+    switch (geometry.type) {
+      case "Polygon":
+      case "MultiPolygon": {
+        const polygons =
+          geometry.type === "Polygon"
+            ? [geometry.coordinates]
+            : geometry.coordinates;
+        regions.push({
+          id,
+          polygons,
+          depth: polygonDepth(polygons),
+          properties,
+        });
+        break;
+      }
+      case "Point": {
+        const radius = Number(properties.radius);
+        if (!(radius > 0)) {
+          console.warn(`[Geofence] Point ${id} has no radius, skipped`);
+          return;
+        }
+        const [longitude, latitude] = geometry.coordinates;
+        regions.push({
+          id,
+          center: { latitude, longitude },
+          radius,
+          depth: radius,
+          properties,
+        });
+        break;
+      }
+      default:
+        console.warn(`[Geofence] ${geometry.type} ${id} is not a region`);
+    }
+  });
+  return regions;
+}
+
+/**
+ * Distance from a location to the boundary of a region
+ * Polygons are flattened around the location, which is accurate for
+ * regions of a few kilometres.
+ * @param {GeofenceRegion} region
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @returns {number} Metres, negative inside
+ */
+export function signedDistance(region, latitude, longitude) {
+  const metresPerLongitude =
+    EARTH_RADIUS * DEG2RAD * Math.cos(latitude * DEG2RAD);
+  const metresPerLatitude = EARTH_RADIUS * DEG2RAD;
+  const toLocal = ([lon, lat]) => [
+    (lon - longitude) * metresPerLongitude,
+    (lat - latitude) * metresPerLatitude,
+  ];
+
+  if (region.center) {
+    const [x, y] = toLocal([region.center.longitude, region.center.latitude]);
+    return Math.hypot(x, y) - region.radius;
+  }
+
+  let inside = false;
+  let nearest = Infinity;
+  for (const polygon of region.polygons) {
+    // Even-odd rule over all rings, so holes are outside
+    let inPolygon = false;
+    for (const ring of polygon) {
+      const points = ring.map(toLocal);
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if (yi > 0 !== yj > 0 && 0 < xj + ((0 - yj) * (xi - xj)) / (yi - yj)) {
+          inPolygon = !inPolygon;
+        }
+        nearest = Math.min(nearest, segmentDistance(xi, yi, xj, yj));
+      }
+    }
+    inside = inside || inPolygon;
+  }
+  return inside ? -nearest : nearest;
+}
+
+/**
+ * How deep the polygons of a region reach: area over perimeter of the
+ * deepest polygon, holes included. That is the half-width of a long strip,
+ * and between half and all of the largest distance from the boundary of
+ * other convex shapes.
+ * @param {Array} polygons - GeoJSON polygon coordinates
+ * @returns {number} Metres
+ */
+function polygonDepth(polygons) {
+  let depth = 0;
+  for (const polygon of polygons) {
+    const [origin] = polygon[0] || [];
+    if (!origin) continue;
+    const metresPerLatitude = EARTH_RADIUS * DEG2RAD;
+    const metresPerLongitude =
+      metresPerLatitude * Math.cos(origin[1] * DEG2RAD);
+
+    let area = 0;
+    let perimeter = 0;
+    polygon.forEach((ring, index) => {
+      const points = ring.map(([lon, lat]) => [
+        (lon - origin[0]) * metresPerLongitude,
+        (lat - origin[1]) * metresPerLatitude,
+      ]);
+      let ringArea = 0;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        ringArea += (xj * yi - xi * yj) / 2;
+        perimeter += Math.hypot(xi - xj, yi - yj);
+      }
+      // The first ring is the outer one, the others are holes
+      area += index === 0 ? Math.abs(ringArea) : -Math.abs(ringArea);
+    });
+    if (perimeter > 0) depth = Math.max(depth, area / perimeter);
+  }
+  return depth;
+}
+
+/**
+ * Distance from the origin to a segment
+ */
+function segmentDistance(x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.min(1, Math.max(0, -(x1 * dx + y1 * dy) / lengthSq))
+      : 0;
+  return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
@@ -0,0 +1,193 @@
+/**
+ * LocalProjection - Converts between WGS84 and a local East-North-Up frame
+ * The frame is a tangent plane at a session origin, in metres. World
+ * coordinates follow the Three.js convention: x = east, y = up, z = -north
+ */
+
+// WGS84 ellipsoid
+const A = 6378137.0;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+export class LocalProjection {
+  constructor(options = {}) {
+    this.options = {
+      resetDistance: 5000, // Metres from the origin before it is moved
+      ...options,
+    };
+    this.origin = null;
+    this.originEcef = null;
+    this.rotation = null;
+  }
+
+  /**
+   * Whether a session origin has been set
+   * @returns {boolean}
+   */
+  hasOrigin() {
+    return this.origin !== null;
+  }
+
+  /**
+   * Get the session origin
+   * @returns {Object|null} { latitude, longitude, altitude }
+   */
+  getOrigin() {
+    return this.origin;
+  }
+
+  /**
+   * Set the session origin
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} altitude - Ellipsoidal altitude in metres
+   */
+  setOrigin(latitude, longitude, altitude = 0) {
+    this.origin = { latitude, longitude, altitude };
+    this.originEcef = geodeticToEcef(latitude, longitude, altitude);
+
+    const sinLat = Math.sin(latitude * DEG2RAD);
+    const cosLat = Math.cos(latitude * DEG2RAD);
+    const sinLon = Math.sin(longitude * DEG2RAD);
+    const cosLon = Math.cos(longitude * DEG2RAD);
+
+    // Rows are the east, north and up unit vectors in ECEF
+    this.rotation = [
+      [-sinLon, cosLon, 0],
+      [-sinLat * cosLon, -sinLat * sinLon, cosLat],
+      [cosLat * cosLon, cosLat * sinLon, sinLat],
+    ];
+  }
+
+  /**
+   * Move the origin to a new location
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} altitude - Ellipsoidal altitude in metres
+   * @returns {Object} Position of the new origin in the previous world frame
+   */
+  resetOrigin(latitude, longitude, altitude = 0) {
+    const offset = this.hasOrigin()
+      ? this.toWorld(latitude, longitude, altitude)
+      : { x: 0, y: 0, z: 0 };
+    this.setOrigin(latitude, longitude, altitude);
+    return offset;
+  }
+
+  /**
+   * Whether a local position is far enough from the origin to warrant a reset
+   * @param {Object} enu - Position { east, north, up }
+   * @returns {boolean}
+   */
+  shouldReset(enu) {
+    return Math.hypot(enu.east, enu.north) > this.options.resetDistance;
+  }
+
+  /**
+   * Convert WGS84 coordinates to local East-North-Up
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} altitude - Ellipsoidal altitude in metres
+   * @returns {Object} { east, north, up } in metres
+   */
+  toENU(latitude, longitude, altitude = 0) {
+    const p = geodeticToEcef(latitude, longitude, altitude);
+    const dx = p.x - this.originEcef.x;
+    const dy = p.y - this.originEcef.y;
+    const dz = p.z - this.originEcef.z;
+    const r = this.rotation;
+
+    return {
+      east: r[0][0] * dx + r[0][1] * dy + r[0][2] * dz,
+      north: r[1][0] * dx + r[1][1] * dy + r[1][2] * dz,
+      up: r[2][0] * dx + r[2][1] * dy + r[2][2] * dz,
+    };
+  }
+
+  /**
+   * Convert local East-North-Up back to WGS84 coordinates
+   * @param {number} east - Metres east of the origin
+   * @param {number} north - Metres north of the origin
+   * @param {number} up - Metres above the origin
+   * @returns {Object} { latitude, longitude, altitude }
+   */
+  fromENU(east, north, up = 0) {
+    const r = this.rotation;
+
+    // The rotation is orthonormal, so its transpose is its inverse
+    return ecefToGeodetic(
+      this.originEcef.x + r[0][0] * east + r[1][0] * north + r[2][0] * up,
+      this.originEcef.y + r[0][1] * east + r[1][1] * north + r[2][1] * up,
+      this.originEcef.z + r[0][2] * east + r[1][2] * north + r[2][2] * up
+    );
+  }
+
+  /**
+   * Convert WGS84 coordinates to the Three.js world frame
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} altitude - Ellipsoidal altitude in metres
+   * @returns {Object} { x, y, z } in metres
+   */
+  toWorld(latitude, longitude, altitude = 0) {
+    const enu = this.toENU(latitude, longitude, altitude);
+    return { x: enu.east, y: enu.up, z: -enu.north };
+  }
+
+  /**
+   * Convert a Three.js world position to WGS84 coordinates
+   * @param {Object} position - World position { x, y, z } in metres
+   * @returns {Object} { latitude, longitude, altitude }
+   */
+  fromWorld(position) {
+    return this.fromENU(position.x, -position.z, position.y);
+  }
+}
+
+/**
+ * Convert geodetic coordinates to Earth-Centred Earth-Fixed
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} altitude - Ellipsoidal altitude in metres
+ * @returns {Object} { x, y, z } in metres
+ */
+function geodeticToEcef(latitude, longitude, altitude) {
+  const lat = latitude * DEG2RAD;
+  const lon = longitude * DEG2RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const n = A / Math.sqrt(1 - E2 * sinLat * sinLat);
+
+  return {
+    x: (n + altitude) * cosLat * Math.cos(lon),
+    y: (n + altitude) * cosLat * Math.sin(lon),
+    z: (n * (1 - E2) + altitude) * sinLat,
+  };
+}
+
+/**
+ * Convert Earth-Centred Earth-Fixed coordinates to geodetic
+ * Iterates the latitude, which converges to sub-millimetre within a few steps
+ * @returns {Object} { latitude, longitude, altitude }
+ */
+function ecefToGeodetic(x, y, z) {
+  const p = Math.hypot(x, y);
+  const lon = Math.atan2(y, x);
+  let lat = Math.atan2(z, p * (1 - E2));
+  let altitude = 0;
+
+  for (let i = 0; i < 5; i++) {
+    const sinLat = Math.sin(lat);
+    const n = A / Math.sqrt(1 - E2 * sinLat * sinLat);
+    altitude = p / Math.cos(lat) - n;
+    lat = Math.atan2(z, p * (1 - (E2 * n) / (n + altitude)));
+  }
+
+  return {
+    latitude: lat * RAD2DEG,
+    longitude: lon * RAD2DEG,
+    altitude,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * LocationProvider - Sources of geolocation fixes for the GPSTracker
+ * Every provider reports GeolocationPosition-like objects, so the tracker
+ * handles a live fix, a replayed track and a hand-placed position the same
+ * way. Use createLocationProvider() to build one from a { type, ...options }
+ * config.
+ */
+import { BrowserLocationProvider } from "./BrowserLocationProvider.js";
+import { ReplayLocationProvider } from "./ReplayLocationProvider.js";
+import { ManualLocationProvider } from "./ManualLocationProvider.js";
+
+export const LocationProviderType = Object.freeze({
+  BROWSER: "browser", // navigator.geolocation
+  REPLAY: "replay", // GPX or GeoJSON LineString track
+  MANUAL: "manual", // Position set from code or a desktop UI
+});
+
+/**
+ * Interface implemented by every location provider
+ * @typedef {Object} LocationProvider
+ * @property {string} type - LocationProviderType
+ * @property {function(function(GeolocationPosition): void, function(Object): void): (void|Promise<void>)} start
+ *   - Start reporting fixes to the first callback; errors ({ code, message }) go to the second
+ * @property {function(): void} stop - Stop reporting fixes
+ * @property {function(Object): void} [updateConfig] - Apply provider options
+ */
+
+/**
+ * Create a location provider
+ * @param {Object} config - Provider config
+ * @param {string} config.type - One of LocationProviderType
+ * @returns {LocationProvider}
+ */
+export function createLocationProvider(config = {}) {
+  const { type = LocationProviderType.BROWSER, ...options } = config;
+
+  switch (type) {
+    case LocationProviderType.BROWSER:
+      return new BrowserLocationProvider(options);
+    case LocationProviderType.REPLAY:
+      return new ReplayLocationProvider(options);
+    case LocationProviderType.MANUAL:
+      return new ManualLocationProvider(options);
+    default:
+      throw new Error(`Unknown location provider type "${type}"`);
+  }
+}
+
+/**
+ * Build a GeolocationPosition-like fix
+ * @param {Object} fix
+ * @param {number} fix.latitude - Degrees
+ * @param {number} fix.longitude - Degrees
+ * @param {number|null} [fix.altitude] - Metres, null if unknown
+ * @param {number} fix.accuracy - Horizontal accuracy in metres
+ * @param {number|null} [fix.altitudeAccuracy] - Metres, null if unknown
+ * @param {number|null} [fix.heading] - Degrees clockwise from north, null if unknown
+ * @param {number|null} [fix.speed] - m/s, null if unknown
+ * @param {number} [fix.timestamp] - Epoch ms
+ * @param {boolean} [fix.jump] - Whether the source moved here at once, e.g. a
+ *   hand-placed position; the tracker restarts at it instead of rejecting it
+ *   as an outlier
+ * @returns {Object} { coords, timestamp, jump }
+ */
+export function createPosition({
+  latitude,
+  longitude,
+  altitude = null,
+  accuracy,
+  altitudeAccuracy = null,
+  heading = null,
+  speed = null,
+  timestamp = Date.now(),
+  jump = false,
+}) {
+  return {
+    coords: {
+      latitude,
+      longitude,
+      altitude,
+      accuracy,
+      altitudeAccuracy,
+      heading,
+      speed,
+    },
+    timestamp,
+    jump,
+  };
+}
+
+/**
+ * Normally distributed random number, for simulated GPS noise
+ * @param {number} sigma - Standard deviation
+ * @returns {number}
+ */
+export function gaussianNoise(sigma) {
+  if (!sigma) return 0;
+  // Box-Muller transform
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,177 @@
+/**
+ * MagneticDeclination - Offline declination from the World Magnetic Model
+ * Evaluates the WMM spherical harmonic expansion of the main field at a
+ * geodetic position and date, following the WMM technical report. The
+ * declination turns magnetic headings into true ones:
+ * true heading = magnetic heading + declination.
+ */
+import { WMM2025 } from "./WMM2025.js";
+
+// WGS84 ellipsoid, km
+const A = 6378.137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const GEOMAGNETIC_RADIUS = 6371.2; // Reference radius of the model, km
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+let warnedOutOfRange = false;
+
+/**
+ * Magnetic declination at a position and date
+ * Dates outside the model's validity are still evaluated, with a warning,
+ * as the error grows slowly.
+ * @param {number} latitude - Geodetic latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} altitude - Metres above the WGS84 ellipsoid
+ * @param {Date} date - Date of the observation
+ * @param {Object} model - Model coefficients, see WMM2025.js
+ * @returns {number} Degrees, positive when magnetic north is east of true north
+ */
+export function magneticDeclination(
+  latitude,
+  longitude,
+  altitude = 0,
+  date = new Date(),
+  model = WMM2025
+) {
+  if (
+    !warnedOutOfRange &&
+    (date < new Date(model.validFrom) || date > new Date(model.validUntil))
+  ) {
+    warnedOutOfRange = true;
+    console.warn(
+      `[MagneticDeclination] ${date.toISOString()} is outside ${model.name}, ` +
+        `valid ${model.validFrom} to ${model.validUntil}`
+    );
+  }
+
+  const { x, y } = magneticField(
+    latitude,
+    longitude,
+    altitude / 1000,
+    decimalYear(date) - model.epoch,
+    model
+  );
+  return Math.atan2(y, x) * RAD2DEG;
+}
+
+/**
+ * North and east components of the main field in the geodetic frame
+ * @param {number} latitude - Geodetic latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} height - km above the ellipsoid
+ * @param {number} years - Years since the model epoch
+ * @param {Object} model - Model coefficients
+ * @returns {Object} { x (north), y (east), z (down) } in nT
+ */
+function magneticField(latitude, longitude, height, years, model) {
+  // Geodetic to geocentric spherical coordinates
+  const lat = latitude * DEG2RAD;
+  const lon = longitude * DEG2RAD;
+  const sinLat = Math.sin(lat);
+  const rc = A / Math.sqrt(1 - E2 * sinLat * sinLat);
+  const p = (rc + height) * Math.cos(lat);
+  const z = (rc * (1 - E2) + height) * sinLat;
+  const r = Math.hypot(p, z);
+  const phi = Math.asin(z / r); // Geocentric latitude
+
+  const { P, dP } = legendre(Math.sin(phi), Math.cos(phi), model.maxDegree);
+
+  let bx = 0;
+  let by = 0;
+  let bz = 0;
+  for (const [n, m, g0, h0, gDot, hDot] of model.coefficients) {
+    const g = g0 + years * gDot;
+    const h = h0 + years * hDot;
+    const ratio = Math.pow(GEOMAGNETIC_RADIUS / r, n + 2);
+    const cos = Math.cos(m * lon);
+    const sin = Math.sin(m * lon);
+    const i = (n * (n + 1)) / 2 + m;
+
+    bx -= ratio * (g * cos + h * sin) * dP[i];
+    by += ratio * (g * sin - h * cos) * m * P[i];
+    bz -= ratio * (g * cos + h * sin) * (n + 1) * P[i];
+  }
+  // The east component is undefined at the geocentric poles
+  const cosPhi = Math.cos(phi);
+  by = cosPhi > 1e-10 ? by / cosPhi : by;
+
+  // Rotate from the geocentric to the geodetic frame
+  const psi = phi - lat;
+  return {
+    x: bx * Math.cos(psi) - bz * Math.sin(psi),
+    y: by,
+    z: bx * Math.sin(psi) + bz * Math.cos(psi),
+  };
+}
+
+/**
+ * Schmidt semi-normalized associated Legendre functions and their
+ * derivatives with respect to latitude, indexed n * (n + 1) / 2 + m
+ * @param {number} x - Sine of the geocentric latitude
+ * @param {number} z - Cosine of the geocentric latitude
+ * @param {number} maxDegree - Highest degree n
+ * @returns {Object} { P, dP }
+ */
+function legendre(x, z, maxDegree) {
+  const size = ((maxDegree + 1) * (maxDegree + 2)) / 2;
+  const P = new Float64Array(size);
+  const dP = new Float64Array(size);
+  P[0] = 1;
+
+  // Gauss-normalized functions, derivatives with respect to co-latitude
+  for (let n = 1; n <= maxDegree; n++) {
+    for (let m = 0; m <= n; m++) {
+      const i = (n * (n + 1)) / 2 + m;
+      if (n === m) {
+        const j = ((n - 1) * n) / 2 + m - 1;
+        P[i] = z * P[j];
+        dP[i] = z * dP[j] + x * P[j];
+      } else if (n === 1 && m === 0) {
+        P[i] = x * P[0];
+        dP[i] = x * dP[0] - z * P[0];
+      } else {
+        const j = ((n - 1) * n) / 2 + m;
+        if (m > n - 2) {
+          P[i] = x * P[j];
+          dP[i] = x * dP[j] - z * P[j];
+        } else {
+          const k = ((n - 2) * (n - 1)) / 2 + m;
+          const c = ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3));
+          P[i] = x * P[j] - c * P[k];
+          dP[i] = x * dP[j] - z * P[j] - c * dP[k];
+        }
+      }
+    }
+  }
+
+  // Schmidt semi-normalization; the sign change turns the derivatives into
+  // derivatives with respect to latitude
+  let norm = 1;
+  for (let n = 1; n <= maxDegree; n++) {
+    norm *= (2 * n - 1) / n;
+    let factor = norm;
+    for (let m = 0; m <= n; m++) {
+      if (m > 0) {
+        factor *= Math.sqrt(((n - m + 1) * (m === 1 ? 2 : 1)) / (n + m));
+      }
+      const i = (n * (n + 1)) / 2 + m;
+      P[i] *= factor;
+      dP[i] *= -factor;
+    }
+  }
+  return { P, dP };
+}
+
+/**
+ * Date as a decimal year, e.g. 2025.5 in early July 2025
+ * @param {Date} date
+ * @returns {number}
+ */
+export function decimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+}
@@ -0,0 +1,130 @@
+/**
+ * ManualLocationProvider - A position set from code or a desktop UI
+ * Reports the current position at a fixed rate, like a GPS receiver, with
+ * optional noise. Move it with setPosition() or move(), e.g. from keys.
+ */
+import {
+  LocationProviderType,
+  createPosition,
+  gaussianNoise,
+} from "./LocationProvider.js";
+import { LocalProjection } from "./LocalProjection.js";
+
+export class ManualLocationProvider {
+  /**
+   * @param {Object} options
+   * @param {number} [options.latitude] - Start latitude in degrees
+   * @param {number} [options.longitude] - Start longitude in degrees
+   */
+  constructor(options = {}) {
+    this.type = LocationProviderType.MANUAL;
+    this.options = {
+      rate: 1, // Fixes per second
+      noise: 0, // Standard deviation in metres of the added horizontal noise
+      accuracy: 5, // Reported accuracy in metres, raised to cover the noise
+      ...options,
+    };
+    this.position = null; // { latitude, longitude, altitude }
+    this.projection = new LocalProjection();
+    this.onPosition = null;
+    this.timer = null;
+
+    const { latitude, longitude, altitude = null } = this.options;
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      this.setPosition(latitude, longitude, altitude);
+    }
+  }
+
+  /**
+   * Start reporting the position
+   * @param {Function} onPosition - Called with each fix
+   */
+  start(onPosition) {
+    if (this.timer !== null) return;
+    this.onPosition = onPosition;
+    this.timer = setInterval(() => this.report(), 1000 / this.options.rate);
+    this.report();
+  }
+
+  /**
+   * Stop reporting the position
+   */
+  stop() {
+    if (this.timer === null) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.onPosition = null;
+  }
+
+  /**
+   * Update options; a new latitude and longitude move the position
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    const { rate, latitude, longitude, altitude } = this.options;
+    this.options = { ...this.options, ...options };
+
+    if (this.options.rate !== rate && this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = setInterval(() => this.report(), 1000 / this.options.rate);
+    }
+    const o = this.options;
+    if (
+      Number.isFinite(o.latitude) &&
+      Number.isFinite(o.longitude) &&
+      (o.latitude !== latitude ||
+        o.longitude !== longitude ||
+        o.altitude !== altitude)
+    ) {
+      this.setPosition(o.latitude, o.longitude, o.altitude ?? null);
+    }
+  }
+
+  /**
+   * Place the position
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {number|null} altitude - Metres, null if unknown
+   */
+  setPosition(latitude, longitude, altitude = null) {
+    this.position = { latitude, longitude, altitude };
+    this.projection.setOrigin(latitude, longitude, 0);
+    this.report(true);
+  }
+
+  /**
+   * Move the position by a distance in metres
+   * @param {number} east - Metres east
+   * @param {number} north - Metres north
+   */
+  move(east, north) {
+    if (!this.position) return;
+
+    const { latitude, longitude } = this.projection.fromENU(east, north);
+    this.setPosition(latitude, longitude, this.position.altitude);
+  }
+
+  /**
+   * Report the current position, if running and placed
+   * @param {boolean} jump - Whether the position was just set
+   */
+  report(jump = false) {
+    if (!this.onPosition || !this.position) return;
+
+    const { noise, accuracy } = this.options;
+    const { latitude, longitude } = this.projection.fromENU(
+      gaussianNoise(noise),
+      gaussianNoise(noise)
+    );
+    this.onPosition(
+      createPosition({
+        latitude,
+        longitude,
+        altitude: this.position.altitude,
+        accuracy: Math.max(accuracy, 2 * noise),
+        speed: 0,
+        jump,
+      })
+    );
+  }
+}
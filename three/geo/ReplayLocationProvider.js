@@ -0,0 +1,270 @@
+/**
+ * ReplayLocationProvider - Replays a recorded track as geolocation fixes
+ * Reads GPX (trkpt or rtept elements) or a GeoJSON LineString, interpolates
+ * it at the replay time and adds Gaussian noise, so location features can
+ * be developed and regression-tested without walking around. Points without
+ * timestamps are spaced for a constant walking speed.
+ */
+import {
+  LocationProviderType,
+  createPosition,
+  gaussianNoise,
+} from "./LocationProvider.js";
+import { LocalProjection } from "./LocalProjection.js";
+
+export class ReplayLocationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - GPX or GeoJSON file to load on start
+   * @param {string|Object} [options.track] - GPX text, GeoJSON text or GeoJSON object
+   */
+  constructor(options = {}) {
+    this.type = LocationProviderType.REPLAY;
+    this.options = {
+      url: null,
+      track: null,
+      timeScale: 1, // Track seconds per real second
+      rate: 1, // Fixes per real second
+      noise: 0, // Standard deviation in metres of the added horizontal noise
+      accuracy: 5, // Reported accuracy in metres, raised to cover the noise
+      speed: 1.4, // m/s for tracks without timestamps
+      loop: true, // Start over at the end of the track
+      ...options,
+    };
+    this.points = null; // { east, north, up, altitude, time (s from the start) }
+    this.projection = new LocalProjection();
+    this.timer = null;
+    this.run = null; // Token of the current start(), null while stopped
+    this.startTime = 0;
+  }
+
+  /**
+   * Load the track and start replaying it
+   * @param {Function} onPosition - Called with each fix
+   * @param {Function} onError - Called with { code, message } if the track cannot be used
+   * @returns {Promise<void>}
+   */
+  async start(onPosition, onError) {
+    if (this.run) return;
+    const run = {};
+    this.run = run;
+
+    try {
+      if (!this.points) await this.load();
+    } catch (error) {
+      if (this.run !== run) return;
+      console.error("[ReplayLocationProvider] Error loading track:", error);
+      onError({ code: 2, message: `track not loaded: ${error.message}` });
+      this.run = null;
+      return;
+    }
+    // Stopped, and maybe started again, while the track loaded
+    if (this.run !== run) return;
+
+    this.startTime = performance.now();
+    let lap = 0;
+    const tick = () => {
+      const time =
+        ((performance.now() - this.startTime) / 1000) * this.options.timeScale;
+      const fix = this.positionAt(time);
+      if (fix) {
+        // Starting over at the beginning of a looped track is a jump
+        const duration = this.points[this.points.length - 1].time;
+        const fixLap = duration > 0 ? Math.floor(time / duration) : 0;
+        fix.jump = fixLap !== lap;
+        lap = fixLap;
+        onPosition(fix);
+      } else {
+        this.stop(); // End of a track that does not loop
+      }
+    };
+    this.timer = setInterval(tick, 1000 / this.options.rate);
+    tick();
+  }
+
+  /**
+   * Stop replaying; the next start begins at the start of the track
+   */
+  stop() {
+    this.run = null;
+    if (this.timer === null) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Update replay options; a new url or track is loaded on the next start
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    if ("url" in options || "track" in options) this.points = null;
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Load and parse the track from the options
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let track = this.options.track;
+    if (!track && this.options.url) {
+      const response = await fetch(this.options.url);
+      if (!response.ok) {
+        throw new Error(`${this.options.url}: HTTP ${response.status}`);
+      }
+      track = await response.text();
+    }
+    if (!track) throw new Error("no url or track given");
+
+    this.setTrack(parseTrack(track));
+  }
+
+  /**
+   * Use a parsed track
+   * @param {Array<Object>} track - Points { latitude, longitude, altitude, time }
+   *   with time in epoch ms or null
+   */
+  setTrack(track) {
+    if (track.length < 2) throw new Error("a track needs at least two points");
+
+    const first = track[0];
+    this.projection.setOrigin(first.latitude, first.longitude, 0);
+    const timed = track.every((point) => Number.isFinite(point.time));
+
+    this.points = track.map((point) => ({
+      ...this.projection.toENU(point.latitude, point.longitude, 0),
+      altitude: point.altitude,
+      time: timed ? (point.time - first.time) / 1000 : 0,
+    }));
+
+    if (!timed) {
+      // Space the points for a constant speed
+      for (let i = 1; i < this.points.length; i++) {
+        const a = this.points[i - 1];
+        const b = this.points[i];
+        b.time =
+          a.time +
+          Math.hypot(b.east - a.east, b.north - a.north) / this.options.speed;
+      }
+    }
+  }
+
+  /**
+   * Fix at a time of the track, with noise
+   * @param {number} time - Seconds since the start of the replay
+   * @returns {Object|null} GeolocationPosition-like fix, null past the end of
+   *   a track that does not loop
+   */
+  positionAt(time) {
+    const points = this.points;
+    const duration = points[points.length - 1].time;
+    if (time > duration) {
+      if (!this.options.loop || duration <= 0) return null;
+      time %= duration;
+    }
+
+    let i = 1;
+    while (i < points.length - 1 && points[i].time < time) i++;
+    const a = points[i - 1];
+    const b = points[i];
+    const span = b.time - a.time;
+    const t = span > 0 ? Math.min(1, Math.max(0, (time - a.time) / span)) : 1;
+
+    const east = a.east + t * (b.east - a.east);
+    const north = a.north + t * (b.north - a.north);
+    const altitude =
+      a.altitude !== null && b.altitude !== null
+        ? a.altitude + t * (b.altitude - a.altitude)
+        : null;
+
+    const { noise, accuracy } = this.options;
+    const { latitude, longitude } = this.projection.fromENU(
+      east + gaussianNoise(noise),
+      north + gaussianNoise(noise)
+    );
+
+    // Direction and speed of travel along the current segment
+    const distance = Math.hypot(b.east - a.east, b.north - a.north);
+    const bearing =
+      (Math.atan2(b.east - a.east, b.north - a.north) * 180) / Math.PI;
+    return createPosition({
+      latitude,
+      longitude,
+      altitude,
+      accuracy: Math.max(accuracy, 2 * noise),
+      heading: distance > 0 ? (bearing + 360) % 360 : null,
+      speed: span > 0 ? distance / span : 0,
+    });
+  }
+}
+
+/**
+ * Parse a GPX or GeoJSON track
+ * @param {string|Object} track - GPX text, GeoJSON text or GeoJSON object
+ * @returns {Array<Object>} Points { latitude, longitude, altitude, time }, time
+ *   in epoch ms or null
+ */
+export function parseTrack(track) {
+  if (typeof track === "string") {
+    const text = track.trim();
+    return text.startsWith("<")
+      ? parseGPX(text)
+      : parseGeoJSON(JSON.parse(text));
+  }
+  return parseGeoJSON(track);
+}
+
+/**
+ * Parse the track points of a GPX document, falling back to route points
+ * @param {string} text - GPX XML
+ * @returns {Array<Object>}
+ */
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("invalid GPX");
+
+  let elements = doc.getElementsByTagName("trkpt");
+  if (elements.length === 0) elements = doc.getElementsByTagName("rtept");
+
+  return Array.from(elements, (element) => {
+    const ele = element.getElementsByTagName("ele")[0];
+    const time = element.getElementsByTagName("time")[0];
+    return {
+      latitude: parseFloat(element.getAttribute("lat")),
+      longitude: parseFloat(element.getAttribute("lon")),
+      altitude: ele ? parseFloat(ele.textContent) : null,
+      time: time ? Date.parse(time.textContent) : null,
+    };
+  });
+}
+
+/**
+ * Parse the first LineString of a GeoJSON object
+ * Timestamps are read from the coordTimes or times property (ISO strings or
+ * epoch ms), as written by common GPX converters.
+ * @param {Object} geojson - FeatureCollection, Feature or LineString
+ * @returns {Array<Object>}
+ */
+export function parseGeoJSON(geojson) {
+  let feature = geojson;
+  if (geojson.type === "FeatureCollection") {
+    feature = geojson.features.find(
+      (f) => f.geometry && f.geometry.type === "LineString"
+    );
+  }
+  const geometry =
+    feature && feature.type === "Feature" ? feature.geometry : feature;
+  if (!geometry || geometry.type !== "LineString") {
+    throw new Error("no LineString in GeoJSON");
+  }
+
+  const properties = (feature && feature.properties) || {};
+  const times = properties.coordTimes || properties.times || [];
+
+  return geometry.coordinates.map(([longitude, latitude, altitude], i) => ({
+    latitude,
+    longitude,
+    altitude: Number.isFinite(altitude) ? altitude : null,
+    time: times[i] !== undefined ? new Date(times[i]).getTime() : null,
+  }));
+}
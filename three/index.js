@@ -5,7 +5,40 @@
  */
 import * as THREE from "three";
 import { TrackerManager } from "./tracking/TrackerManager.js";
+import { TrackerEvent, TrackingState } from "./tracking/TrackingState.js";
+import { QualityHint } from "./tracking/TrackingQuality.js";
+import { LocationProviderType } from "./geo/LocationProvider.js";
+import { GeofenceMonitor, GeofenceEvent } from "./geo/Geofence.js";
 import { SceneManager } from "./scene/SceneManager.js";
+import {
+  multiplyTransforms,
+  invertTransform,
+} from "./tracking/RigidTransform.js";
+import { getVideoLabel } from "./camera/CalibrationProfile.js";
+
+// Track replayed by the "Replay track" location source
+const SAMPLE_TRACK = "data/tracks/sample-walk.gpx";
+
+// Regions around the sample track; each shows a beacon while the user is inside
+const SAMPLE_GEOFENCES = "data/geofences/sample-walk.geojson";
+
+// Metres an arrow key moves the manual position, ten times that with shift
+const MANUAL_STEP = 1;
+
+// Markers placed on the terrain around the first GPS fix: colour and offset
+// in degrees, like the A-Frame alva-arjs demo
+const GEO_MARKERS = [
+  { color: 0xff0000, latitude: 0.0001, longitude: 0 },
+  { color: 0xffff00, latitude: -0.0001, longitude: 0 },
+  { color: 0x0000ff, latitude: 0, longitude: -0.0001 },
+  { color: 0x00ff00, latitude: 0, longitude: 0.0001 },
+];
+
+// Messages shown for poor tracking quality
+const HINT_TEXT = {
+  [QualityHint.ADD_TEXTURE]: "Point the camera at a surface with more texture",
+  [QualityHint.MOVE_SLOWLY]: "Move the camera more slowly",
+};
 
 class ARApplication {
   constructor() {
@@ -17,6 +50,12 @@ class ARApplication {
     this.isInitialized = false;
     this.debugInfo = document.getElementById("debug-info");
     this.lastDebugUpdate = 0;
+    this.trackingState = null;
+    this.trackingHint = document.getElementById("tracking-hint");
+    this.geoMarkersAdded = false;
+    this.geofences = new GeofenceMonitor();
+    this.markerContent = new Map(); // Image marker id -> object shown on it
+    this.hint = { hint: QualityHint.NONE, since: 0 }; // Hint of the latest frames
   }
 
   /**
@@ -31,6 +70,7 @@ class ARApplication {
     this.sceneManager = new SceneManager(this.container, this.canvas);
     console.log("Initializing SceneManager...");
     this.sceneManager.initialize();
+    this.sceneManager.updateConfig({ hitTest: { reticle: true } });
 
     // Initialize tracker manager
     console.log("Creating TrackerManager...");
@@ -39,6 +79,55 @@ class ARApplication {
     });
     console.log("Initializing TrackerManager...");
     await this.trackerManager.initialize();
+    this.sceneManager.setFrameGeometry(this.trackerManager.getFrameGeometry());
+    this.sceneManager.setProjection(this.trackerManager.getProjection());
+    this.trackerManager.addEventListener(TrackerEvent.STATE_CHANGE, (e) => {
+      console.log(`Tracking ${e.previousState} -> ${e.state} (${e.reason})`);
+      this.trackingState = e;
+      this.sceneManager.setTrackingState(e.state);
+      if (e.state === TrackingState.TRACKING) {
+        this.trackerManager.findPlane().catch((error) => {
+          console.warn("Plane detection failed:", error);
+        });
+      }
+    });
+    // Poses are predicted while the tracker producing them tracks
+    this.trackerManager.addEventListener(
+      TrackerEvent.TRACKER_STATE_CHANGE,
+      (e) => this.sceneManager.setTrackerState(e.tracker, e.state)
+    );
+    // Detected planes are hit tested when placing objects
+    this.trackerManager.addEventListener(TrackerEvent.PLANE, (e) => {
+      this.sceneManager.addPlane(e.detail);
+    });
+    this.trackerManager.addEventListener(TrackerEvent.QUALITY, (e) => {
+      this.showTrackingHint(e.detail);
+    });
+    this.trackerManager.addEventListener(TrackerEvent.POSE, (e) => {
+      if (e.detail.geo && !this.geoMarkersAdded) {
+        this.addGeoMarkers(e.detail.geo);
+      }
+    });
+    // Every accepted fix, as fused poses are not published per fix
+    this.trackerManager.addEventListener(TrackerEvent.RAW_POSE, (e) => {
+      const { tracker, pose, result } = e.detail;
+      if (tracker !== "gps" || !result.accepted) return;
+      this.geofences.update({
+        ...this.trackerManager.getProjection().fromWorld(result.position),
+        accuracy: pose.geo.accuracy,
+        timestamp: pose.timestamp,
+      });
+    });
+    for (const type of Object.values(GeofenceEvent)) {
+      this.geofences.addEventListener(type, (e) => {
+        console.log(`Geofence ${type}: ${e.detail.region}`);
+      });
+    }
+    this.loadGeofences(SAMPLE_GEOFENCES);
+    this.addMarkerContent();
+    this.canvas.addEventListener("click", (e) => {
+      this.placeObjectAt(e.clientX, e.clientY);
+    });
 
     // Setup video stream
     console.log("Setting up video stream...");
@@ -65,6 +154,18 @@ class ARApplication {
         },
       });
 
+      // The video is shown with object-fit: cover, the frame geometry
+      // derives the matching crop and camera projection
+      this.video.addEventListener("loadedmetadata", () => {
+        this.trackerManager
+          .getFrameGeometry()
+          .setSource(
+            this.video.videoWidth,
+            this.video.videoHeight,
+            getVideoLabel(this.video)
+          );
+      });
+
       this.video.srcObject = stream;
       this.video.play();
     } catch (error) {
@@ -92,6 +193,169 @@ class ARApplication {
     this.sceneManager.addObject(cube, cubeUpdate);
   }
 
+  /**
+   * Add markers standing on the terrain around a location
+   * @param {Object} geo - { latitude, longitude } of the first fix
+   */
+  addGeoMarkers({ latitude, longitude }) {
+    this.geoMarkersAdded = true;
+    const geometry = new THREE.IcosahedronGeometry(0.5);
+    for (const marker of GEO_MARKERS) {
+      this.sceneManager.addGeoObject(
+        new THREE.Mesh(
+          geometry,
+          new THREE.MeshBasicMaterial({ color: marker.color })
+        ),
+        {
+          latitude: latitude + marker.latitude,
+          longitude: longitude + marker.longitude,
+          offset: 0.5, // Rest on the ground
+        }
+      );
+    }
+  }
+
+  /**
+   * Load geofence regions and put a beacon, shown while inside, in each
+   * @param {string} url - GeoJSON of the regions
+   */
+  async loadGeofences(url) {
+    let regions;
+    try {
+      regions = await this.geofences.load(url);
+    } catch (error) {
+      console.warn("Geofences not loaded:", error);
+      return;
+    }
+
+    const geometry = new THREE.CylinderGeometry(0.3, 0.3, 4);
+    for (const region of regions) {
+      const center = region.center || ringCenter(region.polygons[0][0]);
+      const beacon = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({
+          color: region.properties.color || 0xffffff,
+        })
+      );
+      this.geofences.bindObject(region.id, beacon);
+      this.sceneManager.addGeoObject(beacon, { ...center, offset: 2 });
+    }
+  }
+
+  /**
+   * Show the content of the image markers, see three/markers/manifest.json,
+   * while they are seen
+   */
+  addMarkerContent() {
+    const setVisible = (e, visible) => {
+      const cube = this.getMarkerContent(e.detail.marker);
+      if (cube) cube.visible = visible;
+    };
+    this.trackerManager.addEventListener(TrackerEvent.MARKER_FOUND, (e) =>
+      setVisible(e, true)
+    );
+    this.trackerManager.addEventListener(TrackerEvent.MARKER_LOST, (e) =>
+      setVisible(e, false)
+    );
+    // Content of removed markers, or of markers whose size or content
+    // changed, is dropped and built again when the marker is seen
+    this.trackerManager.addEventListener(TrackerEvent.MARKERS_CHANGE, (e) => {
+      for (const [id, cube] of this.markerContent) {
+        const marker = e.detail.markers.find((entry) => entry.id === id);
+        if (!marker || getContentKey(marker) !== cube.userData.contentKey) {
+          this.sceneManager.removeObject(cube);
+          cube.geometry.dispose();
+          cube.material.dispose();
+          this.markerContent.delete(id);
+        }
+      }
+    });
+    // The marker is where the current camera pose sees it
+    this.trackerManager.addEventListener(TrackerEvent.MARKER_POSE, (e) => {
+      const cube = this.getMarkerContent(e.detail.marker);
+      const camera = this.trackerManager.getCurrentPose();
+      if (!cube || !camera || !camera.quaternion) return;
+
+      const { position, quaternion } = multiplyTransforms(
+        camera,
+        invertTransform(e.detail.pose)
+      );
+      cube.position.set(position.x, position.y, position.z);
+      cube.quaternion.set(
+        quaternion.x,
+        quaternion.y,
+        quaternion.z,
+        quaternion.w
+      );
+    });
+  }
+
+  /**
+   * Object shown on an image marker, built from the marker's manifest content
+   * when it is first seen
+   * @param {string} id - Marker id
+   * @returns {THREE.Object3D|null} Null for markers without box content
+   */
+  getMarkerContent(id) {
+    if (this.markerContent.has(id)) return this.markerContent.get(id);
+
+    const marker = this.trackerManager
+      .getTracker("image")
+      ?.getMarkers()
+      .find((entry) => entry.id === id);
+    if (!marker || marker.content?.type !== "box") return null;
+
+    const { size } = marker;
+    const cube = new THREE.Mesh(
+      new THREE.BoxGeometry(size, size, size),
+      new THREE.MeshBasicMaterial({ color: marker.content.color })
+    );
+    cube.visible = false;
+    cube.userData.contentKey = getContentKey(marker);
+    this.markerContent.set(id, cube);
+    this.sceneManager.addObject(cube);
+    return cube;
+  }
+
+  /**
+   * Place a cube on the surface under a screen point
+   * Refreshes the detected plane first, the estimated ground is used
+   * when no plane is found
+   * @param {number} clientX - Screen x of the tap
+   * @param {number} clientY - Screen y of the tap
+   */
+  async placeObjectAt(clientX, clientY) {
+    const state = this.trackerManager.getState();
+    if (state !== TrackingState.TRACKING && state !== TrackingState.LIMITED) {
+      return;
+    }
+
+    try {
+      await this.trackerManager.findPlane();
+    } catch (error) {
+      console.warn("Plane detection failed:", error);
+    }
+
+    const hit = this.sceneManager.hitTest(clientX, clientY);
+    if (!hit) return;
+
+    const size = 0.2;
+    const cube = new THREE.Mesh(
+      new THREE.BoxGeometry(size, size, size),
+      new THREE.MeshNormalMaterial()
+    );
+    const { position, quaternion } = hit.pose;
+    cube.position.set(position.x, position.y, position.z);
+    cube.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    // Rest on the surface rather than intersect it
+    cube.translateY(size / 2);
+
+    this.sceneManager.addObject(cube);
+    console.log(
+      `Placed object on ${hit.surface} at ${hit.distance.toFixed(2)}`
+    );
+  }
+
   /**
    * Start the AR application
    */
@@ -125,6 +389,86 @@ class ARApplication {
     await this.trackerManager.updateConfig(config);
   }
 
+  /**
+   * Create a toggle button for every registered tracker
+   * Buttons are inserted before the debug toggle
+   */
+  createTrackerButtons() {
+    const controls = document.getElementById("controls");
+    const debugButton = document.getElementById("toggle-debug");
+
+    this.trackerManager.getRegisteredTrackers().forEach(({ id, label }) => {
+      const button = document.createElement("button");
+      const indicator = document.createElement("span");
+      button.id = `toggle-${id}`;
+      button.className = "toggle-button";
+      indicator.className = "status-indicator";
+      button.append(indicator, label);
+      setButtonActive(button, !!this.trackerManager.config.pose[id]);
+
+      button.addEventListener("click", async () => {
+        const isActive = button.classList.contains("active");
+        setButtonActive(button, !isActive);
+        await this.updateConfig({ pose: { [id]: !isActive } });
+      });
+
+      controls.insertBefore(button, debugButton);
+    });
+  }
+
+  /**
+   * Show a hint once poor tracking quality has lasted for a second
+   * @param {Quality} quality - Latest tracking quality
+   */
+  showTrackingHint({ hint, timestamp }) {
+    if (hint !== this.hint.hint) {
+      this.hint = { hint, since: timestamp };
+    }
+    const text =
+      timestamp - this.hint.since >= 1000 ? HINT_TEXT[hint] || "" : "";
+    this.trackingHint.textContent = text;
+    this.trackingHint.style.display = text ? "block" : "none";
+  }
+
+  /**
+   * Choose where GPS fixes come from
+   * A manual position starts at the last fix, or the start of the sample track.
+   * @param {string} type - LocationProviderType
+   * @returns {Promise<void>}
+   */
+  setLocationSource(type) {
+    const provider = { type };
+    if (type === LocationProviderType.REPLAY) {
+      provider.url = SAMPLE_TRACK;
+      provider.noise = 3;
+    } else if (type === LocationProviderType.MANUAL) {
+      const last = this.trackerManager.getTracker("gps")?.getLastPosition();
+      provider.latitude = last ? last.coords.latitude : 55.67594;
+      provider.longitude = last ? last.coords.longitude : 12.56908;
+    }
+    return this.updateConfig({ trackers: { gps: { provider } } });
+  }
+
+  /**
+   * Move the manual location with the arrow keys
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleLocationKey(e) {
+    const provider = this.trackerManager.getTracker("gps")?.getProvider();
+    if (!provider || provider.type !== LocationProviderType.MANUAL) return;
+
+    const step = e.shiftKey ? 10 * MANUAL_STEP : MANUAL_STEP;
+    const moves = {
+      ArrowUp: [0, step],
+      ArrowDown: [0, -step],
+      ArrowRight: [step, 0],
+      ArrowLeft: [-step, 0],
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    provider.move(...moves[e.key]);
+  }
+
   /**
    * Update debug information display
    */
@@ -132,15 +476,35 @@ class ARApplication {
     if (!this.trackerManager) return;
 
     const stats = this.trackerManager.getPerformanceStats();
+    const metric = this.trackerManager.getScaleEstimate();
+    const alignment = this.trackerManager.getAlignment();
+    const anchor = this.trackerManager.getMapAnchor();
+    const heading = this.trackerManager.getHeading();
     const currentTime = performance.now();
 
     // Update debug info every 500ms
     if (currentTime - this.lastDebugUpdate > 500) {
+      const state = this.trackingState
+        ? `${this.trackingState.state} (${this.trackingState.reason})`
+        : this.trackerManager.getState();
       this.debugInfo.innerHTML = `
+        State: ${state}<br>
         FPS: ${Math.round(stats.fps)}<br>
         Frame Time: ${Math.round(stats.frameTime)}ms<br>
         Backlog: ${stats.processingBacklog}<br>
-        Scale: ${Math.round(stats.scaleFactor * 100)}%
+        Scale: ${Math.round(stats.scaleFactor * 100)}%<br>
+        IMU: ${stats.imuActive ? "on" : "off"}<br>
+        Metres/unit: ${metric.scale.toFixed(2)} (${Math.round(
+          metric.confidence * 100
+        )}% ${metric.sources.join(", ") || "unmeasured"})<br>
+        Alignment: ${formatAlignment(alignment)}<br>
+        Heading: ${formatHeading(heading)}<br>
+        Geofences: ${this.geofences.getActiveRegions().join(", ") || "none"}<br>
+        Map: ${anchor.maps}${
+          anchor.pending
+            ? " (waiting for anchor)"
+            : ` (rotation: ${anchor.rotationSource}, position: ${anchor.positionSource})`
+        }
       `;
       this.lastDebugUpdate = currentTime;
     }
@@ -158,6 +522,60 @@ class ARApplication {
   }
 }
 
+/**
+ * Set the visual state of a toggle button
+ * @param {HTMLButtonElement} button - Toggle button
+ * @param {boolean} active - Whether the toggle is on
+ */
+function setButtonActive(button, active) {
+  button.classList.toggle("active", active);
+  button.classList.toggle("inactive", !active);
+  button.querySelector(".status-indicator").classList.toggle("active", active);
+}
+
+/**
+ * Describe the world alignment for the debug panel
+ * @param {Object} alignment - See TrackerManager.getAlignment()
+ * @returns {string}
+ */
+function formatAlignment({ enabled, levelled, northAligned, yaw }) {
+  if (!enabled) return "off";
+  if (!levelled) return "waiting for gravity";
+  if (!northAligned) return "levelled, waiting for compass";
+  return `levelled, north (yaw ${Math.round(yaw)}&deg;)`;
+}
+
+/**
+ * Average of the vertices of a [longitude, latitude] ring
+ * @param {Array<Array<number>>} ring - Closed ring, the last vertex repeats the first
+ * @returns {Object} { latitude, longitude }
+ */
+function ringCenter(ring) {
+  const vertices = ring.slice(0, -1);
+  return {
+    latitude: vertices.reduce((sum, v) => sum + v[1], 0) / vertices.length,
+    longitude: vertices.reduce((sum, v) => sum + v[0], 0) / vertices.length,
+  };
+}
+
+/**
+ * What the content of an image marker is built from
+ * @param {Object} marker - Marker of ImageTracker.getMarkers()
+ * @returns {string}
+ */
+function getContentKey(marker) {
+  return JSON.stringify([marker.size, marker.content]);
+}
+
+function formatHeading(reading) {
+  if (!reading) return "none";
+  return `${Math.round(reading.heading)}&deg; ${
+    reading.trueNorth ? "true" : "magnetic"
+  } (&plusmn;${Math.round(reading.accuracy)}&deg;${
+    reading.accuracyEstimated ? ", estimated" : ""
+  })`;
+}
+
 // Create and initialize the AR application
 console.log("Creating AR application...");
 const app = new ARApplication();
@@ -169,81 +587,13 @@ app
     app.startDebugLoop();
 
     // Add button click handlers
-    document
-      .getElementById("toggle-alva")
-      .addEventListener("click", async (e) => {
-        const button = e.currentTarget;
-        const isActive = button.classList.contains("active");
-
-        button.classList.toggle("active", !isActive);
-        button.classList.toggle("inactive", isActive);
-        button
-          .querySelector(".status-indicator")
-          .classList.toggle("active", !isActive);
-
-        const config = {
-          pose: {
-            alva: !isActive,
-            gps: app.trackerManager.config.pose.gps,
-            image: app.trackerManager.config.pose.image,
-          },
-        };
-        await app.updateConfig(config);
-      });
-
-    document
-      .getElementById("toggle-gps")
-      .addEventListener("click", async (e) => {
-        const button = e.currentTarget;
-        const isActive = button.classList.contains("active");
-
-        button.classList.toggle("active", !isActive);
-        button.classList.toggle("inactive", isActive);
-        button
-          .querySelector(".status-indicator")
-          .classList.toggle("active", !isActive);
-
-        const config = {
-          pose: {
-            gps: !isActive,
-            alva: app.trackerManager.config.pose.alva,
-            image: app.trackerManager.config.pose.image,
-          },
-        };
-        await app.updateConfig(config);
-      });
-
-    document
-      .getElementById("toggle-image")
-      .addEventListener("click", async (e) => {
-        const button = e.currentTarget;
-        const isActive = button.classList.contains("active");
-
-        button.classList.toggle("active", !isActive);
-        button.classList.toggle("inactive", isActive);
-        button
-          .querySelector(".status-indicator")
-          .classList.toggle("active", !isActive);
-
-        const config = {
-          pose: {
-            image: !isActive,
-            alva: app.trackerManager.config.pose.alva,
-            gps: app.trackerManager.config.pose.gps,
-          },
-        };
-        await app.updateConfig(config);
-      });
+    app.createTrackerButtons();
 
     document.getElementById("toggle-debug").addEventListener("click", (e) => {
       const button = e.currentTarget;
       const isActive = button.classList.contains("active");
 
-      button.classList.toggle("active", !isActive);
-      button.classList.toggle("inactive", isActive);
-      button
-        .querySelector(".status-indicator")
-        .classList.toggle("active", !isActive);
+      setButtonActive(button, !isActive);
 
       // Toggle debug mode
       app.trackerManager.updateConfig({ debug: !isActive });
@@ -251,6 +601,31 @@ app
       // Toggle debug info display
       app.debugInfo.style.display = !isActive ? "block" : "none";
     });
+
+    // IMU-aided AlvaAR tracking; enabled from the click so iOS can ask for
+    // motion sensor permission
+    document.getElementById("toggle-imu").addEventListener("click", (e) => {
+      const button = e.currentTarget;
+      const isActive = button.classList.contains("active");
+
+      setButtonActive(button, !isActive);
+      app.updateConfig({ trackers: { alva: { imu: !isActive } } });
+    });
+
+    // Gravity and compass alignment of the AlvaAR frame; also needs sensor
+    // permission from the click on iOS
+    document.getElementById("toggle-align").addEventListener("click", (e) => {
+      const button = e.currentTarget;
+      const isActive = button.classList.contains("active");
+
+      setButtonActive(button, !isActive);
+      app.updateConfig({ alignment: { enabled: !isActive } });
+    });
+
+    document
+      .getElementById("location-source")
+      .addEventListener("change", (e) => app.setLocationSource(e.target.value));
+    window.addEventListener("keydown", (e) => app.handleLocationKey(e));
   })
   .catch((error) => {
     console.error("Error initializing AR application:", error);
@@ -0,0 +1,240 @@
+/**
+ * HitTest - Intersects screen rays with detected planes and the estimated ground
+ * Planes come from TrackerManager.findPlane() as poses whose local z axis is
+ * the plane normal. Detected planes are unbounded, so hits are limited to
+ * maxDistance in front of the camera.
+ */
+import * as THREE from "three";
+import { createPose } from "../tracking/Pose.js";
+
+const _normal = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _toCamera = new THREE.Vector3();
+const _xAxis = new THREE.Vector3();
+const _zAxis = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+const _quaternion = new THREE.Quaternion();
+const _up = new THREE.Vector3(0, 1, 0);
+const _zUnit = new THREE.Vector3(0, 0, 1);
+
+/**
+ * @typedef {Object} HitResult
+ * @property {Pose} pose - Anchor on the surface: y axis along the normal, z axis towards the camera
+ * @property {{x: number, y: number, z: number}} point - World position of the hit
+ * @property {{x: number, y: number, z: number}} normal - Surface normal, facing the camera
+ * @property {number} distance - Distance along the ray
+ * @property {string} surface - "plane" for a detected plane, "ground" for the estimate
+ * @property {Pose|null} plane - Detected plane that was hit
+ */
+
+export class HitTester {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxDistance - Hits further along the ray are ignored
+   * @param {boolean} options.ground - Fall back to an estimated ground plane
+   * @param {number} options.groundHeight - Camera height above the estimated ground
+   * @param {number} options.maxPlanes - Detected planes kept, oldest are dropped
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxDistance: 20,
+      ground: true,
+      groundHeight: 1.5,
+      maxPlanes: 8,
+      mergeAngle: 10, // Degrees within which a new plane replaces a stored one
+      mergeDistance: 0.1, // Offset within which a new plane replaces a stored one
+      horizontalAngle: 20, // Degrees from up for a plane to count as ground
+      ...options,
+    };
+    this.planes = []; // { pose, plane: THREE.Plane }
+  }
+
+  /**
+   * Update options
+   * @param {Object} options - See constructor
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Store a detected plane
+   * Replaces a stored plane that is nearly the same, since repeated
+   * detections of one surface differ slightly.
+   * @param {Pose} pose - Plane pose, local z axis is the normal
+   */
+  addPlane(pose) {
+    const plane = planeFromPose(pose);
+    const cosMerge = Math.cos(
+      THREE.MathUtils.degToRad(this.options.mergeAngle)
+    );
+
+    this.planes = this.planes.filter(
+      (stored) =>
+        Math.abs(stored.plane.normal.dot(plane.normal)) < cosMerge ||
+        Math.abs(stored.plane.distanceToPoint(pose.position)) >
+          this.options.mergeDistance
+    );
+    this.planes.push({ pose, plane });
+
+    if (this.planes.length > this.options.maxPlanes) {
+      this.planes.shift();
+    }
+  }
+
+  /**
+   * Forget all detected planes, e.g. when the map is lost
+   */
+  clearPlanes() {
+    this.planes = [];
+  }
+
+  /**
+   * Detected planes
+   * @returns {Array<Pose>}
+   */
+  getPlanes() {
+    return this.planes.map(({ pose }) => pose);
+  }
+
+  /**
+   * Intersect a ray with the planes, nearest hit first
+   * @param {THREE.Ray} ray - World ray from the camera
+   * @returns {HitResult|null}
+   */
+  hitTest(ray) {
+    let best = null;
+
+    const candidates = this.planes.map(({ pose, plane }) => ({
+      plane,
+      pose,
+      surface: "plane",
+    }));
+    const ground = this.getGroundPlane(ray.origin);
+    if (ground) {
+      candidates.push({ plane: ground, pose: null, surface: "ground" });
+    }
+
+    for (const candidate of candidates) {
+      if (!ray.intersectPlane(candidate.plane, _point)) continue;
+
+      const distance = _point.distanceTo(ray.origin);
+      if (distance > this.options.maxDistance) continue;
+      if (best && distance >= best.distance) continue;
+
+      best = {
+        ...candidate,
+        point: _point.clone(),
+        distance,
+      };
+    }
+
+    return best ? toHitResult(best, ray.origin) : null;
+  }
+
+  /**
+   * Height of the ground under the camera
+   * The highest horizontal detected plane below the camera, or the
+   * estimated ground without one.
+   * @param {THREE.Vector3} cameraPosition
+   * @returns {number} World y of the ground
+   */
+  getGroundLevel(cameraPosition) {
+    const cosHorizontal = Math.cos(
+      THREE.MathUtils.degToRad(this.options.horizontalAngle)
+    );
+    let level = -Infinity;
+    for (const { plane } of this.planes) {
+      const { normal } = plane;
+      if (Math.abs(normal.dot(_up)) <= cosHorizontal) continue;
+
+      const y =
+        -(
+          plane.constant +
+          normal.x * cameraPosition.x +
+          normal.z * cameraPosition.z
+        ) / normal.y;
+      if (y < cameraPosition.y) level = Math.max(level, y);
+    }
+    return level > -Infinity
+      ? level
+      : cameraPosition.y - this.options.groundHeight;
+  }
+
+  /**
+   * Plane the ground is estimated at when no detected plane is horizontal
+   * Assumes y is up, as in the geo-registered world frame.
+   * @param {THREE.Vector3} cameraPosition
+   * @returns {THREE.Plane|null}
+   */
+  getGroundPlane(cameraPosition) {
+    if (!this.options.ground) return null;
+
+    const cosHorizontal = Math.cos(
+      THREE.MathUtils.degToRad(this.options.horizontalAngle)
+    );
+    const horizontal = this.planes.some(
+      ({ plane }) => Math.abs(plane.normal.dot(_up)) > cosHorizontal
+    );
+    if (horizontal) return null;
+
+    return new THREE.Plane(
+      _up.clone(),
+      -(cameraPosition.y - this.options.groundHeight)
+    );
+  }
+}
+
+/**
+ * Plane through a pose, with its local z axis as the normal
+ * @param {Pose} pose - Plane pose
+ * @returns {THREE.Plane}
+ */
+export function planeFromPose(pose) {
+  const { x, y, z, w } = pose.quaternion;
+  _quaternion.set(x, y, z, w);
+  _normal.copy(_zUnit).applyQuaternion(_quaternion);
+  _point.set(pose.position.x, pose.position.y, pose.position.z);
+
+  return new THREE.Plane().setFromNormalAndCoplanarPoint(_normal, _point);
+}
+
+/**
+ * Build the hit result, orienting the anchor towards the camera
+ * @param {Object} hit - { plane, pose, surface, point, distance }
+ * @param {THREE.Vector3} cameraPosition
+ * @returns {HitResult}
+ */
+function toHitResult(hit, cameraPosition) {
+  // Normal on the camera side of the plane
+  _normal.copy(hit.plane.normal);
+  _toCamera.subVectors(cameraPosition, hit.point);
+  if (_normal.dot(_toCamera) < 0) _normal.negate();
+
+  // z axis: direction to the camera, projected onto the plane
+  _zAxis.copy(_toCamera).addScaledVector(_normal, -_toCamera.dot(_normal));
+  if (_zAxis.lengthSq() < 1e-8) {
+    // Looking straight at the plane, pick any in-plane direction
+    _zAxis.set(1, 0, 0).cross(_normal);
+    if (_zAxis.lengthSq() < 1e-8) _zAxis.set(0, 0, 1).cross(_normal);
+  }
+  _zAxis.normalize();
+  _xAxis.crossVectors(_normal, _zAxis);
+
+  _basis.makeBasis(_xAxis, _normal, _zAxis);
+  _quaternion.setFromRotationMatrix(_basis);
+
+  const point = { x: hit.point.x, y: hit.point.y, z: hit.point.z };
+  return {
+    pose: createPose({
+      position: point,
+      quaternion: _quaternion,
+      source: "hittest",
+    }),
+    point,
+    normal: { x: _normal.x, y: _normal.y, z: _normal.z },
+    distance: hit.distance,
+    surface: hit.surface,
+    plane: hit.pose,
+  };
+}
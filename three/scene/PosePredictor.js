@@ -0,0 +1,172 @@
+/**
+ * PosePredictor - Extrapolates camera poses to the render timestamp
+ * Keeps a short timestamped pose history and predicts position and
+ * orientation forward using the recent linear and angular velocity
+ */
+import * as THREE from "three";
+
+const _last = new THREE.Quaternion();
+const _previous = new THREE.Quaternion();
+const _delta = new THREE.Quaternion();
+const _identity = new THREE.Quaternion();
+
+export class PosePredictor {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      maxHorizon: 50, // Max ms a pose is extrapolated forward
+      historySize: 10, // Poses kept in the history
+      velocityWindow: 100, // ms of history used for the linear velocity
+      maxSampleGap: 200, // No prediction across gaps longer than this (ms)
+      ...options,
+    };
+    this.history = [];
+    this.tracking = false;
+  }
+
+  /**
+   * Update predictor options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Enable or disable prediction depending on the tracking state
+   * Held or lost poses must not be extrapolated
+   * @param {boolean} tracking - Whether poses are currently reliable
+   */
+  setTracking(tracking) {
+    this.tracking = tracking;
+  }
+
+  /**
+   * Add a pose to the history
+   * @param {Pose} pose - Pose with a performance.now() timestamp
+   */
+  addPose(pose) {
+    const latest = this.getLatest();
+    if (latest && pose.timestamp <= latest.timestamp) {
+      // Same observation republished (e.g. a held pose); keep the newest data
+      if (pose.timestamp === latest.timestamp) {
+        this.history[this.history.length - 1] = pose;
+      }
+      return;
+    }
+
+    this.history.push(pose);
+    if (this.history.length > this.options.historySize) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Forget the pose history
+   */
+  reset() {
+    this.history = [];
+  }
+
+  /**
+   * Get the most recent pose
+   * @returns {Pose|null}
+   */
+  getLatest() {
+    return this.history.length > 0
+      ? this.history[this.history.length - 1]
+      : null;
+  }
+
+  /**
+   * Predict the pose at a given time
+   * @param {number} time - Render time (performance.now() domain)
+   * @returns {Pose|null} Predicted pose, the latest pose if prediction is not possible
+   */
+  predict(time) {
+    const latest = this.getLatest();
+    if (!latest || !this.options.enabled || !this.tracking) return latest;
+    if (this.history.length < 2) return latest;
+
+    const previous = this.history[this.history.length - 2];
+    const sampleGap = latest.timestamp - previous.timestamp;
+    if (sampleGap > this.options.maxSampleGap) return latest;
+
+    const horizon = Math.min(
+      Math.max(time - latest.timestamp, 0),
+      this.options.maxHorizon
+    );
+    if (horizon === 0) return latest;
+
+    return {
+      ...latest,
+      position: this.predictPosition(latest, horizon),
+      quaternion: this.predictQuaternion(latest, previous, horizon),
+      matrix: null,
+      timestamp: latest.timestamp + horizon,
+      predicted: true,
+    };
+  }
+
+  /**
+   * Extrapolate the position with a least-squares velocity over the window
+   * @param {Pose} latest - Most recent pose
+   * @param {number} horizon - ms to extrapolate
+   * @returns {Object} Predicted position
+   */
+  predictPosition(latest, horizon) {
+    const samples = this.history.filter(
+      (pose) => latest.timestamp - pose.timestamp <= this.options.velocityWindow
+    );
+    if (samples.length < 2) return { ...latest.position };
+
+    const meanT =
+      samples.reduce((sum, pose) => sum + pose.timestamp, 0) / samples.length;
+    let denominator = 0;
+    const numerator = { x: 0, y: 0, z: 0 };
+    for (const pose of samples) {
+      const dt = pose.timestamp - meanT;
+      denominator += dt * dt;
+      numerator.x += dt * pose.position.x;
+      numerator.y += dt * pose.position.y;
+      numerator.z += dt * pose.position.z;
+    }
+    if (denominator === 0) return { ...latest.position };
+
+    // Velocity in units per ms
+    return {
+      x: latest.position.x + (numerator.x / denominator) * horizon,
+      y: latest.position.y + (numerator.y / denominator) * horizon,
+      z: latest.position.z + (numerator.z / denominator) * horizon,
+    };
+  }
+
+  /**
+   * Extrapolate the orientation with the rotation between the last two poses
+   * @param {Pose} latest - Most recent pose
+   * @param {Pose} previous - Pose before it
+   * @param {number} horizon - ms to extrapolate
+   * @returns {Object|null} Predicted quaternion
+   */
+  predictQuaternion(latest, previous, horizon) {
+    if (!latest.quaternion) return null;
+    if (!previous.quaternion) return { ...latest.quaternion };
+
+    const q1 = latest.quaternion;
+    const q0 = previous.quaternion;
+    _last.set(q1.x, q1.y, q1.z, q1.w);
+    _previous.set(q0.x, q0.y, q0.z, q0.w);
+
+    // World-frame rotation from the previous to the latest orientation,
+    // scaled to the horizon
+    _delta.copy(_last).multiply(_previous.invert());
+    if (_delta.w < 0) {
+      _delta.set(-_delta.x, -_delta.y, -_delta.z, -_delta.w);
+    }
+    const t = horizon / (latest.timestamp - previous.timestamp);
+    _identity.identity().slerp(_delta, t);
+    _last.premultiply(_identity);
+
+    return { x: _last.x, y: _last.y, z: _last.z, w: _last.w };
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Reticle - Previews where a tap would place content
+ * A ring lying on the surface hit at the centre of the view, hidden when
+ * nothing is hit. Detected planes and the estimated ground are drawn in
+ * different colours.
+ */
+import * as THREE from "three";
+
+const PLANE_COLOR = 0xffffff;
+const GROUND_COLOR = 0xffcc00;
+
+export class Reticle {
+  /**
+   * @param {number} size - Outer radius of the ring in world units
+   */
+  constructor(size = 0.15) {
+    const geometry = new THREE.RingGeometry(size * 0.75, size, 32);
+    // RingGeometry lies in the xy plane, anchors have y along the normal
+    geometry.rotateX(-Math.PI / 2);
+
+    this.material = new THREE.MeshBasicMaterial({
+      color: PLANE_COLOR,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      depthTest: false,
+    });
+    this.object = new THREE.Mesh(geometry, this.material);
+    this.object.renderOrder = 1;
+    this.object.visible = false;
+  }
+
+  /**
+   * Move the reticle to a hit, or hide it
+   * @param {HitResult|null} hit - Result of a hit test
+   */
+  update(hit) {
+    this.object.visible = !!hit;
+    if (!hit) return;
+
+    const { position, quaternion } = hit.pose;
+    this.object.position.set(position.x, position.y, position.z);
+    this.object.quaternion.set(
+      quaternion.x,
+      quaternion.y,
+      quaternion.z,
+      quaternion.w
+    );
+    this.material.color.setHex(
+      hit.surface === "ground" ? GROUND_COLOR : PLANE_COLOR
+    );
+  }
+
+  /**
+   * Free GPU resources
+   */
+  dispose() {
+    this.object.geometry.dispose();
+    this.material.dispose();
+  }
+}
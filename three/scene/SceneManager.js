@@ -1,8 +1,15 @@
 /**
  * SceneManager - Manages Three.js scene, camera, and rendering
- * Handles scene setup, camera updates, and render loop
+ * Handles scene setup, camera updates, and render loop, hit tests screen
+ * points against detected planes and keeps geo-placed objects on the terrain
  */
 import * as THREE from "three";
+import { PosePredictor } from "./PosePredictor.js";
+import { HitTester } from "./HitTest.js";
+import { Reticle } from "./Reticle.js";
+import { FrameGeometry } from "../camera/FrameGeometry.js";
+import { TrackingState } from "../tracking/TrackingState.js";
+import { ElevationService } from "../geo/ElevationService.js";
 
 export class SceneManager {
   constructor(container, canvas) {
@@ -18,6 +25,196 @@ export class SceneManager {
     this.frameCount = 0;
     this.lastFPSUpdate = 0;
     this.objectUpdates = new Map(); // Store update functions for each object
+    this.posePredictor = new PosePredictor();
+    this.hitTester = new HitTester();
+    this.raycaster = new THREE.Raycaster();
+    this.reticle = null; // Reticle, created when enabled
+    this.trackingState = TrackingState.STOPPED;
+    this.trackerStates = {}; // Tracker id -> TrackingState
+    this.poseTracker = null; // Id of the tracker that produced the last pose
+    this.projection = null; // LocalProjection of geo-placed objects
+    this.elevation = new ElevationService();
+    this.groundOffset = 0; // Default metres geo-placed objects float above the terrain
+    this.geoObjects = new Map(); // Object -> { latitude, longitude, offset, placed }
+    this.frameGeometry = new FrameGeometry();
+    this.handleFrameGeometryChange = () => this.applyFrameGeometry();
+    this.frameGeometry.addEventListener(
+      "change",
+      this.handleFrameGeometryChange
+    );
+  }
+
+  /**
+   * Use a frame geometry shared with the trackers, so the virtual camera
+   * matches the cropped video and the SLAM intrinsics
+   * @param {FrameGeometry} frameGeometry - Shared frame geometry
+   */
+  setFrameGeometry(frameGeometry) {
+    this.frameGeometry.removeEventListener(
+      "change",
+      this.handleFrameGeometryChange
+    );
+    this.frameGeometry = frameGeometry;
+    this.frameGeometry.addEventListener(
+      "change",
+      this.handleFrameGeometryChange
+    );
+    this.frameGeometry.setView(
+      this.container.clientWidth,
+      this.container.clientHeight
+    );
+    this.applyFrameGeometry();
+  }
+
+  /**
+   * Use the projection of the trackers' world frame for geo-placed objects
+   * @param {LocalProjection} projection - Shared WGS84 to local world projection
+   */
+  setProjection(projection) {
+    this.projection = projection;
+  }
+
+  /**
+   * Set the camera projection from the frame geometry
+   */
+  applyFrameGeometry() {
+    if (!this.camera) return;
+
+    this.camera.fov = this.frameGeometry.getFov();
+    this.camera.aspect = this.frameGeometry.getAspect();
+    this.camera.updateProjectionMatrix();
+
+    // Also carries an off-centre principal point from calibration
+    this.camera.projectionMatrix.fromArray(
+      this.frameGeometry.getProjectionMatrix(this.camera.near, this.camera.far)
+    );
+    this.camera.projectionMatrixInverse
+      .copy(this.camera.projectionMatrix)
+      .invert();
+  }
+
+  /**
+   * Update scene manager configuration
+   * @param {Object} config - Configuration options
+   * @param {Object} config.prediction - PosePredictor options (enabled, maxHorizon, ...)
+   * @param {Object} config.hitTest - HitTester options (maxDistance, ground, groundHeight, ...)
+   *   and reticle: whether to preview the hit at the centre of the view
+   * @param {Object} config.terrain - ElevationService options (url, encoding, zoom, ...)
+   *   and offset: default metres geo-placed objects float above the terrain
+   */
+  updateConfig(config) {
+    if (config.prediction) {
+      this.posePredictor.updateConfig(config.prediction);
+    }
+    if (config.hitTest) {
+      const { reticle, ...options } = config.hitTest;
+      this.hitTester.updateConfig(options);
+      if (reticle !== undefined) {
+        this.setReticleEnabled(reticle);
+      }
+    }
+    if (config.terrain) {
+      const { offset, ...options } = config.terrain;
+      this.elevation.updateConfig(options);
+      if (offset !== undefined) {
+        this.groundOffset = offset;
+      }
+    }
+  }
+
+  /**
+   * Show or hide the hit test reticle
+   * @param {boolean} enabled
+   */
+  setReticleEnabled(enabled) {
+    if (enabled && !this.reticle) {
+      this.reticle = new Reticle();
+      this.scene?.add(this.reticle.object);
+    } else if (!enabled && this.reticle) {
+      this.scene?.remove(this.reticle.object);
+      this.reticle.dispose();
+      this.reticle = null;
+    }
+  }
+
+  /**
+   * Follow the state of one tracker; poses are only predicted while the
+   * tracker that produced them is tracking
+   * @param {string} id - Tracker id
+   * @param {string} state - One of TrackingState
+   */
+  setTrackerState(id, state) {
+    this.trackerStates[id] = state;
+    if (id === this.poseTracker) {
+      this.posePredictor.setTracking(state === TrackingState.TRACKING);
+    }
+  }
+
+  /**
+   * Follow the overall tracking state
+   * @param {string} state - One of TrackingState
+   */
+  setTrackingState(state) {
+    this.trackingState = state;
+    if (state === TrackingState.LOST || state === TrackingState.STOPPED) {
+      this.posePredictor.reset();
+      // The planes belong to the lost map
+      this.hitTester.clearPlanes();
+    }
+  }
+
+  /**
+   * Add a detected plane for hit testing
+   * @param {Pose} plane - Plane pose from TrackerManager.findPlane()
+   */
+  addPlane(plane) {
+    this.hitTester.addPlane(plane);
+  }
+
+  /**
+   * Forget all detected planes
+   */
+  clearPlanes() {
+    this.hitTester.clearPlanes();
+  }
+
+  /**
+   * Cast a ray through a screen point onto the detected planes, or the
+   * estimated ground when none of them is horizontal
+   * @param {number} clientX - Screen x, e.g. from a pointer event
+   * @param {number} clientY - Screen y
+   * @returns {HitResult|null} Nearest hit; its pose anchors objects to the surface
+   */
+  hitTest(clientX, clientY) {
+    if (!this.camera) return null;
+
+    const rect = this.container.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.camera.updateMatrixWorld();
+    this.raycaster.setFromCamera(ndc, this.camera);
+    return this.hitTester.hitTest(this.raycaster.ray);
+  }
+
+  /**
+   * Move the reticle to the hit at the centre of the view
+   */
+  updateReticle() {
+    const tracking =
+      this.trackingState === TrackingState.TRACKING ||
+      this.trackingState === TrackingState.LIMITED;
+    if (!tracking) {
+      this.reticle.update(null);
+      return;
+    }
+
+    const rect = this.container.getBoundingClientRect();
+    this.reticle.update(
+      this.hitTest(rect.left + rect.width / 2, rect.top + rect.height / 2)
+    );
   }
 
   /**
@@ -28,14 +225,21 @@ export class SceneManager {
     this.scene = new THREE.Scene();
     this.scene.background = null; // Make scene background transparent
 
-    // Create camera
+    // Create camera, projecting like the cropped video frame
+    this.frameGeometry.setView(
+      this.container.clientWidth,
+      this.container.clientHeight
+    );
     this.camera = new THREE.PerspectiveCamera(
-      75,
-      this.container.clientWidth / this.container.clientHeight,
+      this.frameGeometry.getFov(),
+      this.frameGeometry.getAspect(),
       0.1,
       1000
     );
     this.camera.position.z = 5;
+    // Same rotation order as AlvaARConnectorTHREE/ARCamView
+    this.camera.rotation.reorder("YXZ");
+    this.applyFrameGeometry();
 
     // Create renderer using existing canvas
     this.renderer = new THREE.WebGLRenderer({
@@ -58,6 +262,10 @@ export class SceneManager {
     directionalLight.position.set(1, 1, 1);
     this.scene.add(directionalLight);
 
+    if (this.reticle) {
+      this.scene.add(this.reticle.object);
+    }
+
     // Handle window resize
     window.addEventListener("resize", this.handleResize.bind(this));
 
@@ -96,8 +304,8 @@ export class SceneManager {
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
 
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
+    // The projection follows through the frame geometry change event
+    this.frameGeometry.setView(width, height);
     this.renderer.setSize(width, height);
   }
 
@@ -128,11 +336,32 @@ export class SceneManager {
 
   /**
    * Update camera pose
-   * @param {Object} pose - Camera pose data
+   * The pose is recorded for prediction and refined to the render time
+   * on the next frame
+   * @param {Pose} pose - Camera pose in the Three.js convention
    */
   updateCameraPose(pose) {
     if (!pose) return;
 
+    // Fused poses move with the odometry tracker driving them
+    const tracker = pose.tracker || pose.source;
+    if (tracker !== this.poseTracker) {
+      // Motion of another tracker's poses says nothing about this one's
+      this.posePredictor.reset();
+      this.poseTracker = tracker;
+    }
+    this.posePredictor.setTracking(
+      this.trackerStates[tracker] === TrackingState.TRACKING
+    );
+    this.posePredictor.addPose(pose);
+    this.applyCameraPose(pose);
+  }
+
+  /**
+   * Move the camera to a pose
+   * @param {Pose} pose - Camera pose in the Three.js convention
+   */
+  applyCameraPose(pose) {
     // Update camera position
     if (pose.position) {
       this.camera.position.set(
@@ -142,12 +371,13 @@ export class SceneManager {
       );
     }
 
-    // Update camera orientation
-    if (pose.orientation) {
-      this.camera.rotation.set(
-        pose.orientation.x,
-        pose.orientation.y,
-        pose.orientation.z
+    // Update camera orientation; position-only poses keep the current one
+    if (pose.quaternion) {
+      this.camera.quaternion.set(
+        pose.quaternion.x,
+        pose.quaternion.y,
+        pose.quaternion.z,
+        pose.quaternion.w
       );
     }
   }
@@ -182,6 +412,18 @@ export class SceneManager {
     this.lastFrameTime = timestamp;
     const frameStartTime = performance.now();
 
+    // Extrapolate the latest tracker pose to this frame
+    const predictedPose = this.posePredictor.predict(timestamp);
+    if (predictedPose) {
+      this.applyCameraPose(predictedPose);
+    }
+
+    if (this.reticle) {
+      this.updateReticle();
+    }
+
+    this.updateGeoObjects();
+
     // Update scene objects
     this.updateScene(deltaTime);
 
@@ -214,6 +456,61 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Add an object standing on the ground at a geographic location
+   * It joins the scene once the world frame has a geographic origin; its
+   * visibility is left to the caller, e.g. a GeofenceMonitor binding.
+   * @param {THREE.Object3D} object - Three.js object to add, its origin is put on the ground
+   * @param {Object} location
+   * @param {number} location.latitude - Degrees
+   * @param {number} location.longitude - Degrees
+   * @param {number} [location.offset] - Metres above the terrain, defaults to config.terrain.offset
+   * @param {Function} updateFunction - Optional function to update the object each frame
+   */
+  addGeoObject(object, { latitude, longitude, offset }, updateFunction = null) {
+    this.geoObjects.set(object, { latitude, longitude, offset, placed: false });
+    this.elevation.getLoadedElevation(latitude, longitude);
+    if (updateFunction) {
+      this.objectUpdates.set(object, updateFunction);
+    }
+  }
+
+  /**
+   * Place the geo-placed objects on the terrain
+   * Heights are relative to the ground under the camera: an object stands
+   * as far above it as its terrain is above the camera's, or level with it
+   * while either height is unknown. Placements follow moves of the origin.
+   */
+  updateGeoObjects() {
+    if (this.geoObjects.size === 0) return;
+    if (!this.projection || !this.projection.hasOrigin()) return;
+
+    const camera = this.camera.position;
+    const user = this.projection.fromWorld(camera);
+    const groundLevel = this.hitTester.getGroundLevel(camera);
+
+    this.geoObjects.forEach((location, object) => {
+      const { x, z } = this.projection.toWorld(
+        location.latitude,
+        location.longitude
+      );
+      const terrain = this.elevation.getHeightDifference(
+        location.latitude,
+        location.longitude,
+        user
+      );
+      object.position.set(
+        x,
+        groundLevel + (terrain ?? 0) + (location.offset ?? this.groundOffset),
+        z
+      );
+      if (!location.placed) {
+        location.placed = true;
+        this.scene.add(object);
+      }
+    });
+  }
+
   /**
    * Remove an object from the scene
    * @param {THREE.Object3D} object - Three.js object to remove
@@ -221,6 +518,7 @@ export class SceneManager {
   removeObject(object) {
     this.scene.remove(object);
     this.objectUpdates.delete(object); // Remove update function if it exists
+    this.geoObjects.delete(object);
   }
 
   /**
@@ -246,4 +544,28 @@ export class SceneManager {
   getRenderer() {
     return this.renderer;
   }
+
+  /**
+   * Get the pose predictor
+   * @returns {PosePredictor}
+   */
+  getPosePredictor() {
+    return this.posePredictor;
+  }
+
+  /**
+   * Get the elevation service placing geo objects on the terrain
+   * @returns {ElevationService}
+   */
+  getElevationService() {
+    return this.elevation;
+  }
+
+  /**
+   * Get the hit tester holding the detected planes
+   * @returns {HitTester}
+   */
+  getHitTester() {
+    return this.hitTester;
+  }
 }
@@ -0,0 +1,248 @@
+/**
+ * CompassHeading - Absolute heading of the rear camera from the compass
+ * Android reports an earth-referenced orientation through
+ * deviceorientationabsolute, iOS adds webkitCompassHeading to deviceorientation.
+ * Once a location is set, headings are turned from magnetic to true north with
+ * the declination of the bundled World Magnetic Model.
+ */
+import { getScreenOrientation } from "../../alva/assets/utils.js";
+import { magneticDeclination } from "../geo/MagneticDeclination.js";
+
+const DEG2RAD = Math.PI / 180;
+const EARTH_RADIUS = 6371000; // Mean radius, metres
+
+// Screen rotation counter-clockwise from portrait, in degrees
+const SCREEN_ANGLES = { landscape_left: 90, landscape_right: -90 };
+
+/**
+ * @typedef {Object} HeadingReading
+ * @property {number} heading - Degrees clockwise from north the rear camera looks,
+ *   true north if trueNorth is set, magnetic north otherwise
+ * @property {number} magneticHeading - Degrees clockwise from magnetic north
+ * @property {number|null} declination - Degrees magnetic north is east of true north,
+ *   null until a location is set
+ * @property {boolean} trueNorth - Whether heading is relative to true north
+ * @property {number} accuracy - Degrees, reported by the platform or estimated
+ * @property {boolean} accuracyEstimated - Whether accuracy is estimated from the
+ *   jitter of recent readings, as the platform does not report it
+ * @property {number} timestamp - performance.now() time of the reading
+ */
+
+export class CompassHeading {
+  /**
+   * @param {Function} onReading - Called with each HeadingReading
+   * @param {Object} options
+   */
+  constructor(onReading = null, options = {}) {
+    this.onReading = onReading;
+    this.options = {
+      minAccuracy: 10, // Degrees, floor of estimated accuracies; phone compasses rarely do better
+      accuracyWindow: 500, // ms of readings the accuracy is estimated from
+      declinationDistance: 10000, // Metres moved before the declination is recomputed
+      ...options,
+    };
+    this.reading = null;
+    this.recent = []; // { heading, timestamp } within the accuracy window
+    this.declination = null;
+    this.declinationLocation = null; // { latitude, longitude } it was computed at
+    this.absoluteEvents = false; // Whether deviceorientationabsolute fired
+    this.running = false;
+
+    this.handleAbsoluteOrientation = (event) => {
+      this.absoluteEvents = true;
+      this.updateFromOrientation(event);
+    };
+
+    this.handleOrientation = (event) => {
+      if (Number.isFinite(event.webkitCompassHeading)) {
+        // iOS: heading of the portrait top edge, accuracy in degrees
+        // (negative if unknown). Turned with the screen, the camera looks
+        // the screen angle clockwise of it.
+        const accuracy = event.webkitCompassAccuracy;
+        this.setReading(
+          event.webkitCompassHeading +
+            (SCREEN_ANGLES[getScreenOrientation()] || 0),
+          accuracy >= 0 ? accuracy : null
+        );
+      } else if (event.absolute && !this.absoluteEvents) {
+        // Browsers that report absolute angles on the plain event
+        this.updateFromOrientation(event);
+      }
+    };
+  }
+
+  /**
+   * Ask for orientation sensor permission where needed (iOS)
+   * Has to be called from a user gesture.
+   * @returns {Promise<boolean>} Whether the sensors can be used
+   */
+  static requestPermission() {
+    if (
+      window.DeviceOrientationEvent !== undefined &&
+      typeof window.DeviceOrientationEvent.requestPermission === "function"
+    ) {
+      return window.DeviceOrientationEvent.requestPermission().then(
+        (state) => state === "granted",
+        () => false
+      );
+    }
+    return Promise.resolve(window.DeviceOrientationEvent !== undefined);
+  }
+
+  /**
+   * Start listening for compass readings
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    window.addEventListener(
+      "deviceorientationabsolute",
+      this.handleAbsoluteOrientation,
+      false
+    );
+    window.addEventListener("deviceorientation", this.handleOrientation, false);
+  }
+
+  /**
+   * Stop listening, the last reading is kept
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    window.removeEventListener(
+      "deviceorientationabsolute",
+      this.handleAbsoluteOrientation,
+      false
+    );
+    window.removeEventListener(
+      "deviceorientation",
+      this.handleOrientation,
+      false
+    );
+  }
+
+  /**
+   * Latest reading
+   * @returns {HeadingReading|null}
+   */
+  getReading() {
+    return this.reading;
+  }
+
+  /**
+   * Set where the device is, so headings can refer to true north
+   * The declination is only recomputed after moving declinationDistance.
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {number} altitude - Metres above the WGS84 ellipsoid
+   */
+  setLocation(latitude, longitude, altitude = 0) {
+    const last = this.declinationLocation;
+    if (
+      last &&
+      distance(last.latitude, last.longitude, latitude, longitude) <
+        this.options.declinationDistance
+    ) {
+      return;
+    }
+    this.declination = magneticDeclination(latitude, longitude, altitude);
+    this.declinationLocation = { latitude, longitude };
+  }
+
+  /**
+   * Store a reading from earth-referenced orientation angles
+   * @param {DeviceOrientationEvent} event
+   */
+  updateFromOrientation(event) {
+    if (event.alpha === null || event.beta === null || event.gamma === null) {
+      return;
+    }
+    this.setReading(cameraHeading(event.alpha, event.beta, event.gamma), null);
+  }
+
+  /**
+   * Store a reading and report it
+   * @param {number} magneticHeading - Degrees clockwise from magnetic north
+   * @param {number|null} accuracy - Degrees, null if the platform does not report it
+   */
+  setReading(magneticHeading, accuracy) {
+    const timestamp = performance.now();
+    magneticHeading = wrapDegrees(magneticHeading);
+
+    this.recent.push({ heading: magneticHeading, timestamp });
+    while (timestamp - this.recent[0].timestamp > this.options.accuracyWindow) {
+      this.recent.shift();
+    }
+
+    const trueNorth = this.declination !== null;
+    this.reading = {
+      heading: trueNorth
+        ? wrapDegrees(magneticHeading + this.declination)
+        : magneticHeading,
+      magneticHeading,
+      declination: this.declination,
+      trueNorth,
+      accuracy: accuracy ?? this.estimateAccuracy(),
+      accuracyEstimated: accuracy === null,
+      timestamp,
+    };
+    if (this.onReading) this.onReading(this.reading);
+  }
+
+  /**
+   * Accuracy estimated from the circular spread of recent readings
+   * Jitter does not reveal a steady magnetic disturbance, hence the floor.
+   * @returns {number} Degrees
+   */
+  estimateAccuracy() {
+    let x = 0;
+    let y = 0;
+    for (const { heading } of this.recent) {
+      x += Math.cos(heading * DEG2RAD);
+      y += Math.sin(heading * DEG2RAD);
+    }
+    const length = Math.hypot(x, y) / this.recent.length;
+    const spread = Math.sqrt(-2 * Math.log(Math.max(length, 1e-6))) / DEG2RAD;
+    return Math.max(this.options.minAccuracy, spread);
+  }
+}
+
+/**
+ * Heading of the rear camera from earth-referenced orientation angles
+ * The camera looks along the device's -z axis; its direction is rotated into
+ * the earth frame (x east, y north) with the intrinsic Z-X'-Y'' angles of the
+ * DeviceOrientation spec.
+ * @param {number} alpha - Degrees about z, counter-clockwise from north
+ * @param {number} beta - Degrees about x
+ * @param {number} gamma - Degrees about y
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+export function cameraHeading(alpha, beta, gamma) {
+  const a = (alpha * Math.PI) / 180;
+  const b = (beta * Math.PI) / 180;
+  const g = (gamma * Math.PI) / 180;
+
+  const east =
+    -Math.cos(a) * Math.sin(g) - Math.sin(a) * Math.sin(b) * Math.cos(g);
+  const north =
+    -Math.sin(a) * Math.sin(g) + Math.cos(a) * Math.sin(b) * Math.cos(g);
+
+  const heading = (Math.atan2(east, north) * 180) / Math.PI;
+  return (heading + 360) % 360;
+}
+
+function wrapDegrees(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Approximate distance between two nearby locations, metres
+ */
+function distance(latitude1, longitude1, latitude2, longitude2) {
+  const north = (latitude2 - latitude1) * DEG2RAD;
+  const east =
+    (longitude2 - longitude1) *
+    DEG2RAD *
+    Math.cos(((latitude1 + latitude2) / 2) * DEG2RAD);
+  return EARTH_RADIUS * Math.hypot(north, east);
+}
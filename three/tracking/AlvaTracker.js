@@ -1,32 +1,81 @@
 /**
  * AlvaTracker - Handles AlvaAR camera pose estimation
- * Manages its own frame processing loop and camera pose updates
+ * Manages its own frame processing loop and camera pose updates.
+ * AlvaAR itself runs in AlvaWorker; frames are sent one at a time.
+ * In IMU mode the device orientation and motion samples since the previous
+ * frame are sent along with each frame. A RelocalizationPolicy resets the
+ * map when tracking cannot recover. Each frame is scored by TrackingQuality;
+ * in debug mode its feature points are drawn onto the processing canvas.
  */
-import { AlvaAR } from "../../alva/assets/alva_ar.js";
-import * as THREE from "three";
+import { TrackingState } from "./TrackingState.js";
+import { alvaPoseToThree } from "./PoseConversion.js";
+import { FrameBudget } from "./FrameBudget.js";
+import { RelocalizationPolicy } from "./RelocalizationPolicy.js";
+import { TrackingQuality } from "./TrackingQuality.js";
+import { drawFeaturePoints } from "../debug/DebugOverlay.js";
+import { FrameGeometry } from "../camera/FrameGeometry.js";
+import { getVideoLabel } from "../camera/CalibrationProfile.js";
+import { IMU } from "../../alva/assets/imu.js";
 
 export class AlvaTracker {
-  constructor(canvas, onPoseUpdate) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Main canvas for Three.js rendering
+   * @param {Function} onPoseUpdate - Called with each pose, null when tracking is lost
+   * @param {Function} onStateChange - Called with a TrackingState and the reason for it
+   * @param {FrameGeometry} frameGeometry - Crop and intrinsics shared with the view
+   * @param {Function} onQualityUpdate - Called with the Quality of each processed frame
+   */
+  constructor(
+    canvas,
+    onPoseUpdate,
+    onStateChange = () => {},
+    frameGeometry = new FrameGeometry(),
+    onQualityUpdate = () => {}
+  ) {
     this.canvas = canvas; // Main canvas for Three.js rendering
     this.onPoseUpdate = onPoseUpdate;
+    this.onStateChange = onStateChange;
+    this.onQualityUpdate = onQualityUpdate;
+    this.state = TrackingState.STOPPED;
     this.isRunning = false;
-    this.alva = null;
+    this.worker = null;
+    this.pendingRequests = new Map(); // Worker request id -> { resolve, reject }
+    this.nextRequestId = 0;
+    this.workerTimeout = 5000; // ms a request may take before the worker is restarted
+    this.alvaReady = false; // Whether AlvaAR in the current worker is initialized
+    this.frameInFlight = false;
     this.ctx = null;
     this.lastFrameTime = 0;
-    this.frameInterval = 30; // Fixed 30ms interval
+    this.budget = new FrameBudget(); // Frame pacing and processing resolution
+    this.frameGeometry = frameGeometry;
     this.frameNumber = 0;
     this.debugMode = false;
-    this.videoAspectRatio = 16 / 9;
     this.lastPose = null;
-    this.poseTimeout = null;
-    this.poseTimeoutDuration = 5000; // Increased to 5 seconds
-    this.consecutiveLostFrames = 0;
-    this.maxConsecutiveLostFrames = 5;
+    this.lastPoseTime = 0;
+    this.limitedDuration = 500; // ms the last pose is held before tracking is lost
+    this.relocalizeMinPoints = 30; // Feature points that indicate relocalization
+    this.relocalization = new RelocalizationPolicy(); // When to give up on the map
+    this.mapId = 0; // Incremented whenever AlvaAR starts a new map
+    this.quality = new TrackingQuality(); // Per-frame tracking quality score
     this.frameTimeout = null;
-
-    // Fixed dimensions for both display and processing
-    this.width = 640;
-    this.height = 360;
+    this.imuEnabled = false; // IMU mode requested through config.imu
+    this.imu = null; // IMU sensors, created when IMU mode is first enabled
+    this.imuTimeout = 1000; // ms without motion samples before tracking vision-only
+    this.lastIMUSampleTime = 0;
+    this.lastIMUFrameTime = 0; // Time of the previous frame, motion samples after it go with the next
+    this.imuActive = false; // Whether the last frame was tracked with the IMU
+
+    // Processing dimensions, field of view and lens distortion AlvaAR was
+    // initialized with. The size follows the frame budget preset and the
+    // aspect of the crop; fov and distortion come from the calibration.
+    const { width, height } = this.frameGeometry.getProcessingSize(
+      this.budget.getResolution()
+    );
+    this.width = width;
+    this.height = height;
+    this.fov = this.frameGeometry.getFov();
+    this.distortion = this.frameGeometry.getDistortion();
+    this.videoLabel = "";
 
     // Get the dedicated AlvaAR processing canvas
     this.processingCanvas = document.getElementById("alva-canvas");
@@ -43,10 +92,7 @@ export class AlvaTracker {
    */
   async initialize() {
     console.log("[AlvaTracker] Starting initialization...");
-
-    // Set canvas dimensions
-    this.processingCanvas.width = this.width;
-    this.processingCanvas.height = this.height;
+    this.setState(TrackingState.INITIALIZING, "loading AlvaAR");
 
     // Initialize context with optimized settings
     this.ctx = this.processingCanvas.getContext("2d", {
@@ -56,27 +102,194 @@ export class AlvaTracker {
       imageSmoothingEnabled: false,
     });
 
-    // Initialize AlvaAR
-    console.log("[AlvaTracker] Initializing AlvaAR...");
-    this.alva = await AlvaAR.Initialize(this.width, this.height);
+    // Initialize AlvaAR in its worker
+    console.log("[AlvaTracker] Initializing AlvaAR worker...");
+    this.createWorker();
+    await this.initializeAlva();
     console.log("[AlvaTracker] AlvaAR initialized successfully");
   }
 
+  /**
+   * Start the worker AlvaAR runs in
+   */
+  createWorker() {
+    const worker = new Worker(new URL("./AlvaWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.addEventListener("message", (event) =>
+      this.handleWorkerMessage(event)
+    );
+    worker.addEventListener("error", (event) => {
+      if (worker !== this.worker) return;
+      this.rejectPendingRequests(
+        new Error(`AlvaAR worker error: ${event.message}`)
+      );
+    });
+    this.worker = worker;
+    this.alvaReady = false;
+  }
+
+  /**
+   * Replace a worker that stopped answering, e.g. stuck in WASM
+   * Its map is lost; the next frame initializes AlvaAR in the new worker.
+   * @param {string} reason - Reason reported with the state change
+   */
+  restartWorker(reason) {
+    if (!this.worker) return;
+
+    console.warn(`[AlvaTracker] Restarting the AlvaAR worker: ${reason}`);
+    this.worker.terminate();
+    this.rejectPendingRequests(new Error(reason));
+    this.createWorker();
+    this.mapId++;
+    this.lastPose = null;
+    this.relocalization.reset();
+    this.quality.reset();
+    if (this.isRunning) {
+      this.setState(TrackingState.INITIALIZING, `worker restarted, ${reason}`);
+    }
+  }
+
+  /**
+   * (Re)initialize AlvaAR in the worker at the current processing size
+   * @returns {Promise<void>}
+   */
+  async initializeAlva() {
+    this.processingCanvas.width = this.width;
+    this.processingCanvas.height = this.height;
+    this.processingCanvas.style.aspectRatio = `${this.width / this.height}`;
+    this.alvaReady = false;
+    // Loading the WASM may take long on slow devices, so no timeout
+    await this.postToWorker(
+      "init",
+      {
+        width: this.width,
+        height: this.height,
+        fov: this.fov,
+        intrinsics: this.frameGeometry.getIntrinsics(this.width, this.height),
+        distortion: this.distortion,
+      },
+      [],
+      null
+    );
+    this.alvaReady = true;
+  }
+
+  /**
+   * Follow the frame budget preset and the frame geometry
+   * AlvaAR is re-initialized when the processing size, field of view or
+   * distortion changes, so the map is lost and tracking starts over
+   * @returns {Promise<void>}
+   */
+  async updateProcessingSize() {
+    const { width, height } = this.frameGeometry.getProcessingSize(
+      this.budget.getResolution()
+    );
+    const fov = this.frameGeometry.getFov();
+    const distortion = this.frameGeometry.getDistortion();
+    if (
+      width === this.width &&
+      height === this.height &&
+      fov === this.fov &&
+      JSON.stringify(distortion) === JSON.stringify(this.distortion)
+    ) {
+      return;
+    }
+
+    console.log(
+      `[AlvaTracker] Processing ${width}x${height} at ${fov.toFixed(1)}° FOV`
+    );
+    this.width = width;
+    this.height = height;
+    this.fov = fov;
+    this.distortion = distortion;
+    this.lastPose = null;
+    this.mapId++;
+    if (this.isRunning) {
+      this.setState(
+        TrackingState.INITIALIZING,
+        `resolution ${width}x${height}`
+      );
+    }
+    if (this.worker) {
+      await this.initializeAlva();
+    }
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} type - Message type, see AlvaWorker
+   * @param {Object} data - Message payload
+   * @param {Array<Transferable>} transfer - Objects to transfer instead of copy
+   * @param {number|null} timeout - ms after which the worker is restarted, null to wait
+   * @returns {Promise<Object>} The worker's reply
+   */
+  postToWorker(type, data = {}, transfer = [], timeout = this.workerTimeout) {
+    const id = ++this.nextRequestId;
+    return new Promise((resolve, reject) => {
+      const timer =
+        timeout === null
+          ? null
+          : setTimeout(
+              () => this.restartWorker(`no answer to ${type} in ${timeout}ms`),
+              timeout
+            );
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        callback(value);
+      };
+      this.pendingRequests.set(id, {
+        resolve: settle(resolve),
+        reject: settle(reject),
+      });
+      this.worker.postMessage({ id, type, ...data }, transfer);
+    });
+  }
+
+  /**
+   * Resolve the request a worker reply belongs to
+   * @param {MessageEvent} event - Worker message
+   */
+  handleWorkerMessage(event) {
+    const { id, error, ...result } = event.data;
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+
+    this.pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Fail every request still waiting for the worker
+   * @param {Error} error - Reason
+   */
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach((request) => request.reject(error));
+    this.pendingRequests.clear();
+  }
+
   /**
    * Process a single frame
    * @param {number} timestamp - Current timestamp
    */
   async processFrame() {
-    if (!this.isRunning || !this.ctx || !this.video || !this.alva) {
+    if (!this.isRunning || !this.ctx || !this.video || !this.worker) {
       console.log("[AlvaTracker] Frame processing stopped:", {
         isRunning: this.isRunning,
         hasContext: !!this.ctx,
         hasVideo: !!this.video,
-        hasAlva: !!this.alva,
+        hasWorker: !!this.worker,
       });
       return;
     }
 
+    // Back-pressure: never more than one frame in the worker
+    if (this.frameInFlight) return;
+
     const currentTime = performance.now();
     this.frameNumber++;
 
@@ -90,90 +303,266 @@ export class AlvaTracker {
         return;
       }
 
-      // Clear canvas
-      this.ctx.clearRect(0, 0, this.width, this.height);
-
-      // Draw video frame
-      this.ctx.imageSmoothingEnabled = false;
-      this.ctx.drawImage(
-        this.video,
-        0,
-        0,
-        this.video.videoWidth,
-        this.video.videoHeight,
-        0,
-        0,
-        this.width,
-        this.height
-      );
+      // Back-pressure covers re-initialization as well as the frame itself
+      this.frameInFlight = true;
+      let mapId;
+      let processingStart;
+      let result;
+      try {
+        // Pick up budget preset, video size or view size changes
+        this.frameGeometry.setSource(
+          this.video.videoWidth,
+          this.video.videoHeight,
+          this.videoLabel
+        );
+        await this.updateProcessingSize();
+        if (!this.alvaReady) {
+          // The worker was restarted
+          await this.initializeAlva();
+        }
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        // Draw the part of the video frame that is visible in the view
+        const crop = this.frameGeometry.getCrop();
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(
+          this.video,
+          crop.x,
+          crop.y,
+          crop.width,
+          crop.height,
+          0,
+          0,
+          this.width,
+          this.height
+        );
 
-      // Get frame data for pose estimation
-      const frame = this.ctx.getImageData(0, 0, this.width, this.height);
+        // Get frame data for pose estimation
+        const frame = this.ctx.getImageData(0, 0, this.width, this.height);
+
+        // Process frame with AlvaAR; the pixel buffer is transferred, not copied
+        mapId = this.mapId;
+        processingStart = performance.now();
+        result = await this.postToWorker(
+          "frame",
+          {
+            buffer: frame.data.buffer,
+            width: this.width,
+            height: this.height,
+            imu: this.takeIMUSamples(processingStart),
+          },
+          [frame.data.buffer]
+        );
+      } finally {
+        this.frameInFlight = false;
+      }
 
-      // Process frame with AlvaAR
-      const pose = this.alva.findCameraPose(frame);
+      // Tracking may have been stopped while the frame was processed
+      if (!this.isRunning) return;
 
-      if (pose) {
+      // A pose of a map that was reset meanwhile is in the wrong frame
+      if (mapId !== this.mapId) {
+        this.scheduleNextFrame();
+        return;
+      }
+
+      const processingEnd = performance.now();
+      this.budget.recordFrame(processingEnd - processingStart, processingEnd);
+
+      const { pose, points: dots } = result;
+      const convertedPose = pose
+        ? alvaPoseToThree(pose, { timestamp: currentTime })
+        : null;
+
+      if (convertedPose) {
         // Update camera pose if found
-        const convertedPose = this.convertPoseToThreeJS(pose);
         this.onPoseUpdate(convertedPose);
         this.lastPose = convertedPose;
-        this.consecutiveLostFrames = 0;
-
-        // Clear pose timeout
-        if (this.poseTimeout) {
-          clearTimeout(this.poseTimeout);
-        }
+        this.lastPoseTime = currentTime;
+        this.setState(TrackingState.TRACKING, "pose found");
 
         if (this.frameNumber % 30 === 0) {
           console.log(`[AlvaTracker] Frame ${this.frameNumber}: Pose found`);
         }
       } else {
-        // Handle lost camera tracking
-        this.consecutiveLostFrames++;
-
-        if (
-          this.lastPose &&
-          this.consecutiveLostFrames < this.maxConsecutiveLostFrames
-        ) {
-          // If we have a last known pose and haven't lost too many frames, use it
-          this.onPoseUpdate(this.lastPose);
-
-          // Set timeout to clear last pose if tracking doesn't recover
-          if (!this.poseTimeout) {
-            this.poseTimeout = setTimeout(() => {
-              this.lastPose = null;
-              this.onPoseUpdate(null);
-              if (this.frameNumber % 30 === 0) {
-                console.log(
-                  `[AlvaTracker] Frame ${this.frameNumber}: Lost tracking (timeout)`
-                );
-              }
-            }, this.poseTimeoutDuration);
-          }
-        } else {
-          this.onPoseUpdate(null);
-          if (this.frameNumber % 30 === 0) {
-            console.log(
-              `[AlvaTracker] Frame ${this.frameNumber}: Lost tracking`
-            );
-          }
-        }
+        this.handleMissingPose(currentTime, dots.length);
       }
 
-      // Always draw feature points for debugging
-      const dots = this.alva.getFramePoints();
-      for (const p of dots) {
-        this.ctx.fillStyle = "white";
-        this.ctx.fillRect(p.x, p.y, 4, 4); // Increased point size for better visibility
+      this.onQualityUpdate(
+        this.quality.update({
+          points: dots,
+          width: this.width,
+          height: this.height,
+          pose: convertedPose,
+          timestamp: currentTime,
+        })
+      );
+
+      const resetReason = this.relocalization.update(
+        this.state,
+        dots.length,
+        currentTime
+      );
+      if (resetReason) {
+        await this.reset(resetReason);
+      }
+
+      if (this.debugMode) {
+        drawFeaturePoints(this.ctx, dots, this.width, this.height);
       }
 
-      // Schedule next frame with fixed interval
+      // Step the resolution when frames keep missing (or beating) the budget,
+      // applied before the next frame
+      this.budget.checkResolution(processingEnd);
+
+      // Schedule next frame within the frame budget
       this.scheduleNextFrame();
     } catch (error) {
       console.error("[AlvaTracker] Error processing frame:", error);
-      this.scheduleNextFrame();
+      if (this.isRunning) this.scheduleNextFrame();
+    }
+  }
+
+  /**
+   * Find the dominant plane in the SLAM map
+   * @returns {Promise<Pose|null>} Plane pose in the tracker frame, its local z
+   *   axis is the plane normal; null if not tracking or no plane was found
+   */
+  async findPlane() {
+    if (!this.worker || this.state !== TrackingState.TRACKING) return null;
+
+    const { plane } = await this.postToWorker("findPlane");
+    return plane ? alvaPoseToThree(plane) : null;
+  }
+
+  /**
+   * Drop the SLAM map and start a new one
+   * Frames still in the worker are discarded; the TrackerManager anchors the
+   * new map to the previous one once it tracks.
+   * @param {string} reason - Reason reported with the state change
+   * @returns {Promise<void>}
+   */
+  async reset(reason = "reset requested") {
+    if (!this.worker) return;
+
+    console.log(`[AlvaTracker] Resetting map: ${reason}`);
+    this.mapId++;
+    this.lastPose = null;
+    this.relocalization.reset();
+    this.quality.reset();
+    if (this.isRunning) {
+      this.setState(TrackingState.INITIALIZING, `map reset, ${reason}`);
     }
+    // A restarted worker starts with an empty map anyway
+    if (this.alvaReady) await this.postToWorker("reset");
+  }
+
+  /**
+   * Switch IMU-aided tracking on or off
+   * IMU.Initialize() asks for motion sensor permission on iOS, which is only
+   * granted from a user gesture, so this runs synchronously within
+   * updateConfig. Without permission or sensors tracking stays vision-only.
+   * @param {boolean} enabled - Whether to track with the IMU
+   */
+  setIMUEnabled(enabled) {
+    this.imuEnabled = enabled;
+    if (!enabled || this.imu) return;
+
+    IMU.Initialize()
+      .then((imu) => {
+        this.imu = imu;
+        console.log("[AlvaTracker] IMU available");
+      })
+      .catch((error) => {
+        console.warn(
+          `[AlvaTracker] IMU unavailable, tracking vision-only: ${error}`
+        );
+      });
+  }
+
+  /**
+   * Take the IMU data for the next frame
+   * Each frame gets the buffered motion samples since the previous frame,
+   * at most imuTimeout ms worth. Falls back to vision-only tracking while
+   * no samples arrive for imuTimeout ms, e.g. on devices without sensors.
+   * @param {number} currentTime - Time of the frame
+   * @returns {{orientation: Object, motion: Array<Object>}|null} Null for vision-only tracking
+   */
+  takeIMUSamples(currentTime) {
+    const since = Math.max(
+      this.lastIMUFrameTime,
+      currentTime - this.imuTimeout
+    );
+    const motion = this.imu ? this.imu.samplesBetween(since, currentTime) : [];
+    this.lastIMUFrameTime = currentTime;
+    if (motion.length > 0) {
+      this.lastIMUSampleTime = currentTime;
+    }
+
+    const active =
+      this.imuEnabled &&
+      this.lastIMUSampleTime > 0 &&
+      currentTime - this.lastIMUSampleTime < this.imuTimeout;
+    if (active !== this.imuActive) {
+      console.log(
+        active
+          ? "[AlvaTracker] Tracking with IMU"
+          : "[AlvaTracker] Tracking vision-only"
+      );
+      this.imuActive = active;
+    }
+
+    return active ? { orientation: { ...this.imu.orientation }, motion } : null;
+  }
+
+  /**
+   * Handle a frame without a pose
+   * The last pose is held for limitedDuration ms, after which tracking is lost
+   * @param {number} currentTime - Time of the frame
+   * @param {number} pointCount - Number of feature points found in the frame
+   */
+  handleMissingPose(currentTime, pointCount) {
+    if (this.state === TrackingState.INITIALIZING) return;
+
+    if (
+      this.lastPose &&
+      currentTime - this.lastPoseTime < this.limitedDuration
+    ) {
+      // Hold the last known pose while tracking may still recover
+      this.setState(TrackingState.LIMITED, "pose not found, holding last pose");
+      this.onPoseUpdate({ ...this.lastPose, confidence: 0.5 });
+      return;
+    }
+
+    if (this.lastPose) {
+      this.lastPose = null;
+      this.setState(
+        TrackingState.LOST,
+        `no pose for ${this.limitedDuration}ms`
+      );
+      this.onPoseUpdate(null);
+      console.log(`[AlvaTracker] Frame ${this.frameNumber}: Lost tracking`);
+    } else if (pointCount >= this.relocalizeMinPoints) {
+      this.setState(
+        TrackingState.RELOCALIZING,
+        `${pointCount} features visible`
+      );
+    } else {
+      this.setState(TrackingState.LOST, `only ${pointCount} features visible`);
+    }
+  }
+
+  /**
+   * Update the tracking state, reporting transitions
+   * @param {string} state - New TrackingState
+   * @param {string} reason - Reason for the transition
+   */
+  setState(state, reason) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onStateChange(state, reason);
   }
 
   /**
@@ -185,7 +574,7 @@ export class AlvaTracker {
     }
     this.frameTimeout = setTimeout(() => {
       this.processFrame();
-    }, this.frameInterval);
+    }, this.budget.getNextDelay());
   }
 
   /**
@@ -237,14 +626,15 @@ export class AlvaTracker {
       // Wait for video to have valid dimensions
       await this.waitForVideoDimensions(video);
 
-      // Calculate video aspect ratio
-      this.videoAspectRatio = video.videoWidth / video.videoHeight;
-      console.log(`[AlvaTracker] Video aspect ratio: ${this.videoAspectRatio}`);
-
-      // Set the aspect ratio CSS property
-      this.processingCanvas.style.aspectRatio = `${this.videoAspectRatio}`;
+      // The calibration profile is looked up by camera label and resolution
+      this.videoLabel = getVideoLabel(video);
+      this.frameGeometry.setSource(
+        video.videoWidth,
+        video.videoHeight,
+        this.videoLabel
+      );
       console.log(
-        `[AlvaTracker] Set canvas aspect ratio to: ${this.videoAspectRatio}`
+        `[AlvaTracker] Video ${video.videoWidth}x${video.videoHeight}`
       );
 
       // Initialize tracking state
@@ -252,9 +642,7 @@ export class AlvaTracker {
       this.lastFrameTime = performance.now();
       this.frameNumber = 0;
       this.lastPose = null;
-      if (this.poseTimeout) {
-        clearTimeout(this.poseTimeout);
-      }
+      this.setState(TrackingState.INITIALIZING, "waiting for first pose");
 
       // Start frame processing loop with fixed interval
       this.processFrame();
@@ -274,49 +662,80 @@ export class AlvaTracker {
     if (this.frameTimeout) {
       clearTimeout(this.frameTimeout);
     }
-    if (this.poseTimeout) {
-      clearTimeout(this.poseTimeout);
+    this.setState(TrackingState.STOPPED, "stopped");
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.stop();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.imu) {
+      this.imu.dispose();
+      this.imu = null;
     }
+    this.rejectPendingRequests(new Error("AlvaTracker disposed"));
+    this.ctx = null;
+    this.video = null;
+    this.lastPose = null;
+  }
+
+  /**
+   * Get performance statistics of the frame processing
+   * @returns {Object} fps, frameTime, processingBacklog, skippedFrames, scaleFactor, resolution
+   *   and whether the IMU is in use (imuActive)
+   */
+  getPerformanceStats() {
+    return { ...this.budget.getStats(), imuActive: this.imuActive };
   }
 
   /**
-   * Convert AlvaAR pose to Three.js coordinate system
-   * @param {Array} pose - AlvaAR pose matrix
-   * @returns {Object} Converted pose with position and orientation
+   * Update tracker configuration
+   * @param {Object} config - Tracker options
+   * @param {boolean} config.debug - Enable debug output
+   * @param {Object} config.budget - FrameBudget options (targetFPS, presets, preset, adaptive, ...)
+   * @param {number} config.limitedDuration - ms the last pose is held before tracking is lost
+   * @param {number} config.relocalizeMinPoints - Feature points that indicate relocalization
+   * @param {Object} config.relocalization - RelocalizationPolicy options (enabled,
+   *   maxLostDuration, minFeatures, lowFeatureDuration)
+   * @param {Object} config.quality - TrackingQuality options (goodPoints, maxJitter, ...)
+   * @param {boolean} config.imu - Track with IMU support; enable from a user gesture for iOS
+   * @param {number} config.imuTimeout - ms without motion samples before tracking vision-only
+   * @param {number} config.workerTimeout - ms a worker request may take before the worker is restarted
    */
-  convertPoseToThreeJS(pose) {
-    // Create a copy of the pose matrix
-    const matrix = [...pose];
-
-    // Invert x and negate y,z for rotation
-    matrix[0] = -pose[0]; // Invert x
-    matrix[1] = pose[1]; // Keep y
-    matrix[2] = -pose[2]; // Negate z
-
-    // Invert y and z for translation
-    matrix[13] = -pose[13]; // Invert y
-    matrix[14] = -pose[14]; // Invert z
-
-    // Convert matrix to position and orientation
-    const position = {
-      x: matrix[12],
-      y: matrix[13],
-      z: matrix[14],
-    };
-
-    // Extract rotation from matrix
-    const rotation = {
-      x: Math.atan2(matrix[6], matrix[10]),
-      y: Math.atan2(
-        -matrix[2],
-        Math.sqrt(matrix[0] * matrix[0] + matrix[1] * matrix[1])
-      ),
-      z: Math.atan2(matrix[1], matrix[0]),
-    };
-
-    return {
-      position,
-      orientation: rotation,
-    };
+  updateConfig(config) {
+    if (config.debug !== undefined) {
+      this.debugMode = config.debug;
+    }
+    if (config.budget) {
+      // The next frame re-initializes AlvaAR if the resolution changed, so
+      // no frame reaches the worker while it initializes
+      this.budget.updateConfig(config.budget);
+    }
+    if (config.limitedDuration !== undefined) {
+      this.limitedDuration = config.limitedDuration;
+    }
+    if (config.relocalizeMinPoints !== undefined) {
+      this.relocalizeMinPoints = config.relocalizeMinPoints;
+    }
+    if (config.relocalization) {
+      this.relocalization.updateConfig(config.relocalization);
+    }
+    if (config.quality) {
+      this.quality.updateConfig(config.quality);
+    }
+    if (config.imuTimeout !== undefined) {
+      this.imuTimeout = config.imuTimeout;
+    }
+    if (config.workerTimeout !== undefined) {
+      this.workerTimeout = config.workerTimeout;
+    }
+    if (config.imu !== undefined) {
+      this.setIMUEnabled(config.imu);
+    }
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * AlvaWorker - Runs AlvaAR SLAM off the main thread
+ * Started by AlvaTracker. Every message carries an id and gets exactly one
+ * reply with the same id, either the result or an error message.
+ *
+ * Messages:
+ * - { type: "init", width, height, fov, intrinsics, distortion } -> {}
+ *   Frames are undistorted before tracking when distortion is given
+ * - { type: "frame", buffer, width, height, imu } -> { pose, points }
+ *   The RGBA frame buffer is transferred, not copied. With imu
+ *   ({ orientation, motion }: the device orientation and the motion samples
+ *   since the previous frame) the pose is found with IMU support.
+ * - { type: "findPlane" } -> { plane }
+ *   Pose of the dominant plane in the map after the last frame, or null
+ * - { type: "reset" } -> {}
+ *   Drops the map; the next frames initialize a new one
+ */
+import { AlvaAR } from "../../alva/assets/alva_ar.js";
+import {
+  createUndistortMap,
+  hasDistortion,
+  undistortFrame,
+} from "../camera/Distortion.js";
+
+let alva = null;
+let undistortMap = null;
+let undistorted = null;
+
+const handlers = {
+  async init({ width, height, fov, intrinsics, distortion }) {
+    alva = await AlvaAR.Initialize(width, height, fov);
+
+    if (hasDistortion(distortion)) {
+      undistortMap = createUndistortMap(width, height, intrinsics, distortion);
+      undistorted = new Uint8ClampedArray(width * height * 4);
+    } else {
+      undistortMap = null;
+      undistorted = null;
+    }
+    return {};
+  },
+
+  frame({ buffer, width, height, imu }) {
+    if (!alva) throw new Error("AlvaAR is not initialized");
+
+    let pixels = new Uint8ClampedArray(buffer);
+    if (undistortMap) {
+      undistortFrame(pixels, undistorted, undistortMap);
+      pixels = undistorted;
+    }
+
+    const frame = new ImageData(pixels, width, height);
+    const pose = imu
+      ? alva.findCameraPoseWithIMU(frame, imu.orientation, imu.motion)
+      : alva.findCameraPose(frame);
+    const points = alva.getFramePoints();
+
+    return { pose: pose ? Array.from(pose) : null, points };
+  },
+
+  findPlane() {
+    if (!alva) throw new Error("AlvaAR is not initialized");
+
+    const plane = alva.findPlane();
+    return { plane: plane ? Array.from(plane) : null };
+  },
+
+  reset() {
+    if (!alva) throw new Error("AlvaAR is not initialized");
+
+    alva.reset();
+    return {};
+  },
+};
+
+self.addEventListener("message", async (event) => {
+  const { id, type, ...data } = event.data;
+
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown message type "${type}"`);
+
+    const result = await handler(data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
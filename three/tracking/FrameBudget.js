@@ -0,0 +1,179 @@
+/**
+ * FrameBudget - Frame pacing and resolution control for SLAM processing
+ * Measures the processing time of each frame against a per-frame budget,
+ * schedules the next frame so slow frames skip camera frames instead of
+ * queueing them, and steps the processing resolution between presets.
+ */
+
+export const DEFAULT_RESOLUTION_PRESETS = Object.freeze([
+  { width: 320, height: 180 },
+  { width: 480, height: 270 },
+  { width: 640, height: 360 },
+  { width: 960, height: 540 },
+]);
+
+export class FrameBudget {
+  constructor(options = {}) {
+    this.options = {
+      targetFPS: 30, // Processed frames per second aimed for
+      presets: DEFAULT_RESOLUTION_PRESETS,
+      preset: 2, // Index of the starting preset
+      adaptive: true, // Step between presets automatically
+      sampleSize: 30, // Frames averaged for resolution decisions
+      stepDownRatio: 0.9, // Step down when average time > budget * ratio
+      stepUpRatio: 0.5, // Step up when average time < budget * ratio
+      cooldown: 5000, // Min ms between resolution changes
+      ...options,
+    };
+    this.presetIndex = this.clampPreset(this.options.preset);
+    this.reset();
+  }
+
+  /**
+   * Update budget options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+    if (options.preset !== undefined || options.presets !== undefined) {
+      this.presetIndex = this.clampPreset(options.preset ?? this.presetIndex);
+      this.reset();
+    }
+  }
+
+  /**
+   * Forget measurements, e.g. after the resolution changed
+   * @param {number} now - Current time
+   */
+  reset(now = performance.now()) {
+    this.processingTimes = [];
+    this.frameTimestamps = [];
+    this.lastSkipped = 0;
+    this.skippedFrames = 0;
+    this.lastChangeTime = now;
+  }
+
+  /**
+   * Per-frame time budget in ms
+   * @returns {number}
+   */
+  getBudget() {
+    return 1000 / this.options.targetFPS;
+  }
+
+  /**
+   * Processing resolution of the current preset
+   * @returns {{width: number, height: number}}
+   */
+  getResolution() {
+    return { ...this.options.presets[this.presetIndex] };
+  }
+
+  /**
+   * Record a processed frame
+   * @param {number} processingTime - ms spent processing the frame
+   * @param {number} now - Time processing finished
+   */
+  recordFrame(processingTime, now = performance.now()) {
+    this.processingTimes.push(processingTime);
+    if (this.processingTimes.length > this.options.sampleSize) {
+      this.processingTimes.shift();
+    }
+
+    this.frameTimestamps.push(now);
+    while (now - this.frameTimestamps[0] > 1000) {
+      this.frameTimestamps.shift();
+    }
+
+    // Camera frames that arrived while this one was processed are skipped
+    this.lastSkipped = Math.max(
+      0,
+      Math.ceil(processingTime / this.getBudget()) - 1
+    );
+    this.skippedFrames += this.lastSkipped;
+  }
+
+  /**
+   * Delay before the next frame should be captured
+   * Frames within budget wait for the rest of it; late frames continue
+   * immediately with the newest camera frame
+   * @returns {number} Delay in ms
+   */
+  getNextDelay() {
+    const last = this.processingTimes[this.processingTimes.length - 1] ?? 0;
+    return Math.max(0, this.getBudget() - last);
+  }
+
+  /**
+   * Average processing time over the sample window
+   * @returns {number} ms, 0 without samples
+   */
+  getAverageProcessingTime() {
+    if (this.processingTimes.length === 0) return 0;
+    return (
+      this.processingTimes.reduce((a, b) => a + b, 0) /
+      this.processingTimes.length
+    );
+  }
+
+  /**
+   * Decide whether the processing resolution should change
+   * @param {number} now - Current time
+   * @returns {{width: number, height: number}|null} New resolution, null to keep the current one
+   */
+  checkResolution(now = performance.now()) {
+    if (!this.options.adaptive) return null;
+    if (this.processingTimes.length < this.options.sampleSize) return null;
+    if (now - this.lastChangeTime < this.options.cooldown) return null;
+
+    const average = this.getAverageProcessingTime();
+    const budget = this.getBudget();
+    let index = this.presetIndex;
+
+    if (average > budget * this.options.stepDownRatio) {
+      index--;
+    } else if (average < budget * this.options.stepUpRatio) {
+      index++;
+    }
+
+    index = this.clampPreset(index);
+    if (index === this.presetIndex) return null;
+
+    console.log(
+      `[FrameBudget] ${average.toFixed(1)}ms per frame for a ${budget.toFixed(
+        1
+      )}ms budget, switching to preset ${index}`
+    );
+    this.presetIndex = index;
+    this.processingTimes = [];
+    this.lastChangeTime = now;
+    return this.getResolution();
+  }
+
+  /**
+   * Performance statistics
+   * @returns {Object} fps, frameTime, processingBacklog, skippedFrames and scaleFactor
+   */
+  getStats() {
+    const presets = this.options.presets;
+    const largest = presets[presets.length - 1];
+
+    return {
+      fps: this.frameTimestamps.length,
+      frameTime: this.getAverageProcessingTime(),
+      processingBacklog: this.lastSkipped,
+      skippedFrames: this.skippedFrames,
+      scaleFactor: presets[this.presetIndex].width / largest.width,
+      resolution: this.getResolution(),
+    };
+  }
+
+  /**
+   * Clamp a preset index to the configured presets
+   * @param {number} index - Preset index
+   * @returns {number}
+   */
+  clampPreset(index) {
+    return Math.min(Math.max(index, 0), this.options.presets.length - 1);
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * GPSFilter - Gates, rejects outliers from and smooths GPS fixes
+ * Works on world positions in metres (x = east, y = up, z = -north). A fix
+ * is dropped when its reported accuracy is too poor, or when reaching it from
+ * the current estimate would take an impossible speed, even allowing for the
+ * accuracy of both. Accepted fixes go through a constant-velocity Kalman
+ * filter per axis, weighted by their accuracy. The filter reports whether the
+ * estimate moved far enough since the last significant fix to be worth
+ * publishing.
+ */
+import { initKalman, stepKalman } from "./PoseFilter.js";
+
+export class GPSFilter {
+  constructor(options = {}) {
+    this.options = {
+      maxAccuracy: 50, // Metres, less accurate fixes are dropped
+      maxSpeed: 15, // m/s beyond the fix accuracy that counts as impossible
+      maxRejections: 5, // Consecutive outliers after which the filter restarts at the fix
+      processNoise: 0.1, // Acceleration noise density, (m/s^2)^2 per Hz
+      altitudeAccuracyFactor: 1.5, // Altitude accuracy relative to the horizontal one, if not reported
+      minDistance: 2, // Metres the estimate moves before a fix is significant
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Forget the estimate; the next fix starts a new one
+   */
+  reset() {
+    this.states = null; // Kalman state per axis
+    this.lastTime = null;
+    this.rejections = 0;
+    this.significantPosition = null; // Estimate at the last significant fix
+  }
+
+  /**
+   * Update filter options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Filter a GPS fix
+   * @param {Object} fix
+   * @param {Object} fix.position - World position { x, y, z } in metres
+   * @param {number} fix.accuracy - Horizontal accuracy in metres
+   * @param {number|null} [fix.altitudeAccuracy] - Vertical accuracy in metres
+   * @param {number} fix.timestamp - Time of the fix in ms
+   * @returns {Object} { accepted, reason, position, accuracy, significant }; position
+   *   and accuracy (metres) are the estimate, null if no fix was accepted yet
+   */
+  update({ position, accuracy, altitudeAccuracy = null, timestamp }) {
+    const o = this.options;
+
+    if (!Number.isFinite(accuracy) || accuracy > o.maxAccuracy) {
+      return this.result(false, `accuracy ${Math.round(accuracy)}m`);
+    }
+
+    const horizontal = accuracy * accuracy;
+    const vertical =
+      (altitudeAccuracy ?? accuracy * o.altitudeAccuracyFactor) ** 2;
+
+    if (this.states) {
+      const dt = (timestamp - this.lastTime) / 1000;
+      if (dt <= 0) return this.result(false, "not newer than the last fix");
+
+      const speed = this.impliedSpeed(position, accuracy, dt);
+      if (speed > o.maxSpeed) {
+        this.rejections++;
+        if (this.rejections < o.maxRejections) {
+          return this.result(false, `implies ${Math.round(speed)}m/s`);
+        }
+        // The fixes agree with each other, not with the estimate
+        console.warn(
+          "[GPSFilter] Restarting at the fix after repeated outliers"
+        );
+        this.reset();
+      }
+    }
+
+    if (!this.states) {
+      this.states = {
+        x: initKalman(position.x, horizontal),
+        y: initKalman(position.y, vertical),
+        z: initKalman(position.z, horizontal),
+      };
+    } else {
+      const dt = (timestamp - this.lastTime) / 1000;
+      stepKalman(this.states.x, position.x, dt, o.processNoise, horizontal);
+      stepKalman(this.states.y, position.y, dt, o.processNoise, vertical);
+      stepKalman(this.states.z, position.z, dt, o.processNoise, horizontal);
+    }
+    this.lastTime = timestamp;
+    this.rejections = 0;
+
+    const estimate = this.getPosition();
+    const significant =
+      !this.significantPosition ||
+      Math.hypot(
+        estimate.x - this.significantPosition.x,
+        estimate.y - this.significantPosition.y,
+        estimate.z - this.significantPosition.z
+      ) >= o.minDistance;
+    if (significant) this.significantPosition = estimate;
+
+    return this.result(true, "accepted", significant);
+  }
+
+  /**
+   * Speed needed to reach a fix from the estimate, beyond both accuracies
+   * @param {Object} position - World position of the fix
+   * @param {number} accuracy - Accuracy of the fix in metres
+   * @param {number} dt - Seconds since the last accepted fix
+   * @returns {number} m/s
+   */
+  impliedSpeed(position, accuracy, dt) {
+    const distance = Math.hypot(
+      position.x - this.states.x.x,
+      position.z - this.states.z.x
+    );
+    const slack = accuracy + this.getAccuracy();
+    return Math.max(0, distance - slack) / dt;
+  }
+
+  /**
+   * Move the estimate into a new world frame, e.g. after an origin reset
+   * @param {Object} offset - Position of the new origin in the previous frame
+   */
+  shiftOrigin(offset) {
+    if (this.states) {
+      this.states.x.x -= offset.x;
+      this.states.y.x -= offset.y;
+      this.states.z.x -= offset.z;
+    }
+    if (this.significantPosition) {
+      this.significantPosition = {
+        x: this.significantPosition.x - offset.x,
+        y: this.significantPosition.y - offset.y,
+        z: this.significantPosition.z - offset.z,
+      };
+    }
+  }
+
+  /**
+   * Current position estimate
+   * @returns {Object|null} World position { x, y, z }
+   */
+  getPosition() {
+    if (!this.states) return null;
+    return { x: this.states.x.x, y: this.states.y.x, z: this.states.z.x };
+  }
+
+  /**
+   * Horizontal accuracy of the estimate
+   * @returns {number|null} Metres, one standard deviation
+   */
+  getAccuracy() {
+    if (!this.states) return null;
+    return Math.sqrt(Math.max(this.states.x.p00, this.states.z.p00));
+  }
+
+  /**
+   * Build the result of update()
+   * @param {boolean} accepted - Whether the fix went into the estimate
+   * @param {string} reason - Why the fix was accepted or dropped
+   * @param {boolean} significant - Whether the estimate moved at least minDistance
+   * @returns {Object}
+   */
+  result(accepted, reason, significant = false) {
+    return {
+      accepted,
+      reason,
+      position: this.getPosition(),
+      accuracy: this.getAccuracy(),
+      significant,
+    };
+  }
+}
@@ -1,15 +1,46 @@
 /**
  * GPSTracker - Handles GPS location tracking and updates
- * Manages its own location updates and provides pose data
+ * Manages its own location updates and provides pose data in metres,
+ * projected into a local East-North-Up frame around a session origin.
+ * Fixes are gated, cleared of outliers and smoothed by a GPSFilter; the
+ * filtered pose is published when it moved significantly, the raw fixes
+ * are reported alongside for debugging. Fixes come from a LocationProvider:
+ * the browser's geolocation by default, or a replayed track or manual position.
+ * Poses carry no orientation: the fix heading is the direction of travel, not
+ * where the camera looks. It is reported as geo.course instead.
  */
+import { LocalProjection } from "../geo/LocalProjection.js";
+import { TrackingState } from "./TrackingState.js";
+import { GPSFilter } from "./GPSFilter.js";
+import { createLocationProvider } from "../geo/LocationProvider.js";
+import { geoPositionToPose, accuracyToConfidence } from "./PoseConversion.js";
+
 export class GPSTracker {
-  constructor(onPoseUpdate) {
+  /**
+   * @param {Function} onPoseUpdate - Called with each new pose
+   * @param {Object} options - Optional settings
+   * @param {LocalProjection} options.projection - Projection shared with other modules
+   * @param {boolean} options.autoResetOrigin - Move the origin once the user is far from it
+   * @param {Function} options.onOriginChange - Called with the new origin's position in the previous frame
+   * @param {Function} options.onStateChange - Called with a TrackingState and the reason for it
+   * @param {Function} options.onRawPose - Called with the pose of every raw fix and the
+   *   GPSFilter result for it
+   */
+  constructor(onPoseUpdate, options = {}) {
     this.onPoseUpdate = onPoseUpdate;
+    this.projection = options.projection || new LocalProjection();
+    this.autoResetOrigin = options.autoResetOrigin !== false;
+    this.onOriginChange = options.onOriginChange || null;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.onRawPose = options.onRawPose || (() => {});
+    this.state = TrackingState.STOPPED;
+    this.limitedAccuracy = 20; // Fixes less accurate than this (m) are limited
     this.isRunning = false;
-    this.watchId = null;
-    this.lastPosition = null;
+    this.provider = createLocationProvider(); // Source of the fixes
+    this.lastPosition = null; // Last accepted fix
+    this.filter = new GPSFilter(); // Accuracy gate, outlier rejection and smoothing
     this.lastUpdateTime = 0;
-    this.updateInterval = 1000; // Update every second
+    this.maxUpdateInterval = 5000; // ms after which a fix is published without a significant change
   }
 
   /**
@@ -18,17 +49,37 @@ export class GPSTracker {
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
+    this.setState(TrackingState.INITIALIZING, "waiting for first fix");
+    this.startProvider();
+  }
 
-    // Request high accuracy GPS updates
-    this.watchId = navigator.geolocation.watchPosition(
-      this.handlePositionUpdate.bind(this),
-      this.handleError.bind(this),
-      {
-        enableHighAccuracy: true,
-        timeout: 5000,
-        maximumAge: 0,
-      }
-    );
+  /**
+   * Start receiving fixes from the current provider
+   */
+  startProvider() {
+    const provider = this.provider;
+    Promise.resolve(
+      provider.start(
+        (position) => {
+          // Ignore fixes of a provider that was replaced or stopped meanwhile
+          if (this.isCurrent(provider)) this.handlePositionUpdate(position);
+        },
+        (error) => {
+          if (this.isCurrent(provider)) this.handleError(error);
+        }
+      )
+    ).catch((error) => {
+      if (this.isCurrent(provider)) this.handleError(error);
+    });
+  }
+
+  /**
+   * Whether fixes of a provider are still wanted
+   * @param {LocationProvider} provider
+   * @returns {boolean}
+   */
+  isCurrent(provider) {
+    return this.isRunning && this.provider === provider;
   }
 
   /**
@@ -37,57 +88,227 @@ export class GPSTracker {
   stop() {
     if (!this.isRunning) return;
     this.isRunning = false;
+    this.setState(TrackingState.STOPPED, "stopped");
+    this.provider.stop();
+  }
 
-    if (this.watchId !== null) {
-      navigator.geolocation.clearWatch(this.watchId);
-      this.watchId = null;
+  /**
+   * Switch to another source of fixes
+   * The filter restarts, as the new source may be anywhere.
+   * @param {LocationProvider} provider - Provider to use, see LocationProvider.js
+   */
+  setProvider(provider) {
+    this.provider.stop();
+    this.provider = provider;
+    this.filter.reset();
+    if (this.isRunning) {
+      this.setState(TrackingState.INITIALIZING, `switched to ${provider.type}`);
+      this.startProvider();
     }
   }
 
+  /**
+   * Get the source of fixes
+   * @returns {LocationProvider}
+   */
+  getProvider() {
+    return this.provider;
+  }
+
   /**
    * Handle position updates from GPS
    * @param {GeolocationPosition} position - GPS position data
    */
   handlePositionUpdate(position) {
-    const currentTime = Date.now();
+    const { latitude, longitude, accuracy, altitudeAccuracy } = position.coords;
+    const altitude = position.coords.altitude || 0;
+    // Fix timestamps are epoch based, poses use performance.now()
+    const timestamp = performance.now() - (Date.now() - position.timestamp);
+
+    if (!this.projection.hasOrigin()) {
+      this.projection.setOrigin(latitude, longitude, altitude);
+    }
+
+    // The direction of travel is only defined while moving
+    const { heading, speed } = position.coords;
+    const motion = {
+      course: speed > 0 && Number.isFinite(heading) ? heading : null,
+      speed: Number.isFinite(speed) ? speed : null,
+    };
+    const rawPose = geoPositionToPose(
+      this.projection.toWorld(latitude, longitude, altitude),
+      null,
+      {
+        source: "gps",
+        timestamp,
+        confidence: accuracyToConfidence(accuracy),
+        geo: {
+          latitude,
+          longitude,
+          altitude,
+          accuracy,
+          ...motion,
+        },
+      }
+    );
 
-    // Skip if update is too soon
-    if (currentTime - this.lastUpdateTime < this.updateInterval) {
+    if (position.jump) {
+      // Moved on purpose, not an outlier
+      this.filter.reset();
+    }
+    const result = this.filter.update({
+      position: rawPose.position,
+      accuracy,
+      altitudeAccuracy,
+      timestamp: position.timestamp,
+    });
+    this.onRawPose(rawPose, result);
+
+    if (!result.accepted) {
+      this.setState(TrackingState.LIMITED, `fix dropped, ${result.reason}`);
       return;
     }
+    this.lastPosition = position;
+
+    if (accuracy > this.limitedAccuracy) {
+      this.setState(TrackingState.LIMITED, `accuracy ${Math.round(accuracy)}m`);
+    } else {
+      this.setState(TrackingState.TRACKING, "fix received");
+    }
+
+    let significant = result.significant;
+    if (
+      this.autoResetOrigin &&
+      this.projection.shouldReset(
+        this.projection.toENU(latitude, longitude, altitude)
+      )
+    ) {
+      this.resetOrigin();
+      significant = true;
+    }
 
+    // Small moves are mostly noise; publish them only now and then
+    const currentTime = performance.now();
+    if (
+      !significant &&
+      currentTime - this.lastUpdateTime < this.maxUpdateInterval
+    ) {
+      return;
+    }
     this.lastUpdateTime = currentTime;
-    this.lastPosition = position;
 
-    // Convert GPS coordinates to pose data
-    const pose = {
-      position: {
-        x: position.coords.longitude,
-        y: position.coords.latitude,
-        z: position.coords.altitude || 0,
-      },
-      orientation: {
-        x: 0,
-        y: 0,
-        z: position.coords.heading || 0,
-      },
-      timestamp: position.timestamp,
-    };
+    // The fix accuracy is kept rather than the filter's: successive GPS
+    // errors are correlated, which makes the filter overconfident
+    const filtered = this.filter.getPosition();
+    const pose = geoPositionToPose(filtered, null, {
+      source: "gps",
+      timestamp,
+      confidence: accuracyToConfidence(accuracy),
+      geo: { ...this.projection.fromWorld(filtered), accuracy, ...motion },
+    });
 
     this.onPoseUpdate(pose);
   }
 
+  /**
+   * Update the tracking state, reporting transitions
+   * @param {string} state - New TrackingState
+   * @param {string} reason - Reason for the transition
+   */
+  setState(state, reason) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onStateChange(state, reason);
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.stop();
+    this.lastPosition = null;
+    this.filter.reset();
+  }
+
+  /**
+   * Update tracker configuration
+   * @param {Object} config - Tracker options
+   * @param {number} config.maxUpdateInterval - ms after which a fix is published
+   *   without a significant change
+   * @param {boolean} config.autoResetOrigin - Move the origin once the user is far from it
+   * @param {number} config.limitedAccuracy - Fixes less accurate than this (m) are limited
+   * @param {Object} config.filter - GPSFilter options (maxAccuracy, maxSpeed,
+   *   maxRejections, processNoise, minDistance, ...)
+   * @param {Object} config.provider - Location provider { type, ...options }, see
+   *   LocationProvider.js; options of the current type are applied in place
+   */
+  updateConfig(config) {
+    if (config.provider) {
+      const { type = this.provider.type, ...options } = config.provider;
+      if (type === this.provider.type && this.provider.updateConfig) {
+        this.provider.updateConfig(options);
+      } else {
+        this.setProvider(createLocationProvider({ type, ...options }));
+      }
+    }
+    if (config.maxUpdateInterval !== undefined) {
+      this.maxUpdateInterval = config.maxUpdateInterval;
+    }
+    if (config.filter) {
+      this.filter.updateConfig(config.filter);
+    }
+    if (config.autoResetOrigin !== undefined) {
+      this.autoResetOrigin = config.autoResetOrigin;
+    }
+    if (config.limitedAccuracy !== undefined) {
+      this.limitedAccuracy = config.limitedAccuracy;
+    }
+  }
+
+  /**
+   * Move the session origin to the last known position
+   * Local coordinates stay small, which keeps the ENU approximation and
+   * float precision in Three.js accurate once the user has moved far away
+   * @returns {Object|null} Position of the new origin in the previous world frame
+   */
+  resetOrigin() {
+    if (!this.lastPosition) return null;
+
+    const { latitude, longitude, altitude } = this.lastPosition.coords;
+    const offset = this.projection.resetOrigin(
+      latitude,
+      longitude,
+      altitude || 0
+    );
+    this.filter.shiftOrigin(offset);
+    console.log("[GPSTracker] Origin reset:", this.projection.getOrigin());
+
+    if (this.onOriginChange) {
+      this.onOriginChange(offset);
+    }
+    return offset;
+  }
+
+  /**
+   * Get the projection used to convert GPS coordinates to local metres
+   * @returns {LocalProjection}
+   */
+  getProjection() {
+    return this.projection;
+  }
+
   /**
    * Handle GPS errors
-   * @param {GeolocationPositionError} error - GPS error data
+   * @param {GeolocationPositionError|Object} error - { code, message } from the provider
    */
   handleError(error) {
     console.error("GPS Error:", error.message);
+    this.setState(TrackingState.LOST, error.message);
     this.onPoseUpdate(null);
   }
 
   /**
-   * Get the last known position
+   * Get the last accepted position
    * @returns {GeolocationPosition|null}
    */
   getLastPosition() {
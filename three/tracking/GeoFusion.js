@@ -0,0 +1,277 @@
+/**
+ * GeoFusion - Registers the AlvaAR SLAM frame against a local East-North-Up frame
+ * Estimates the yaw, translation and scale between the two frames from paired
+ * GPS fixes and Alva camera translations, and maps Alva poses into the
+ * geo-registered world frame (x = east, y = up, z = -north)
+ */
+import * as THREE from "three";
+import { composeMatrix } from "./PoseConversion.js";
+
+const _yAxis = new THREE.Vector3(0, 1, 0);
+
+export class GeoFusion {
+  constructor(options = {}) {
+    this.options = {
+      maxPairs: 30, // Number of GPS/Alva pairs kept for the estimate
+      minPairs: 3, // Pairs needed before a transform is estimated
+      minBaseline: 5, // RMS metres the GPS fixes must spread before the estimate is trusted
+      maxPairDelay: 250, // Max ms between an Alva sample and a GPS fix to pair them
+      smoothing: 0.3, // Blend factor applied to each new estimate (1 = no smoothing)
+      useAltitude: false, // GPS altitude is usually too noisy to register height
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Forget all pairs and the current transform
+   */
+  reset() {
+    this.pairs = [];
+    this.transform = null;
+    this.lastAlvaPosition = null;
+    this.lastAlvaTime = 0;
+    this.lastGeoPosition = null;
+    this.lastGeoTime = 0;
+  }
+
+  /**
+   * Update fusion options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Whether a transform between the Alva and world frames is available
+   * @returns {boolean}
+   */
+  isRegistered() {
+    return this.transform !== null;
+  }
+
+  /**
+   * Get the current Alva-to-world transform
+   * @returns {Object|null} { yaw, scale, translation } or null if not registered
+   */
+  getTransform() {
+    return this.transform;
+  }
+
+  /**
+   * Record the latest Alva camera translation
+   * @param {Object} position - Camera position in the Alva frame
+   * @param {number} timestamp - performance.now() time of the sample
+   */
+  addAlvaPosition(position, timestamp) {
+    this.lastAlvaPosition = { x: position.x, y: position.y, z: position.z };
+    this.lastAlvaTime = timestamp;
+  }
+
+  /**
+   * Record a GPS fix and pair it with the latest Alva sample
+   * @param {Object} position - Fix position in the world frame, in metres
+   * @param {number} accuracy - Horizontal accuracy of the fix in metres
+   * @param {number} timestamp - performance.now() time of the fix
+   */
+  addGPSFix(position, accuracy, timestamp) {
+    const world = { x: position.x, y: position.y, z: position.z };
+    this.lastGeoPosition = world;
+    this.lastGeoTime = timestamp;
+
+    if (
+      this.lastAlvaPosition &&
+      Math.abs(timestamp - this.lastAlvaTime) <= this.options.maxPairDelay
+    ) {
+      const sigma = Math.max(accuracy || 10, 1);
+      this.pairs.push({
+        alva: { ...this.lastAlvaPosition },
+        world,
+        weight: 1 / (sigma * sigma),
+      });
+      if (this.pairs.length > this.options.maxPairs) {
+        this.pairs.shift();
+      }
+      this.solve();
+    }
+  }
+
+  /**
+   * Follow a move of the world origin
+   * Pairs and the transform are shifted so the registration is kept
+   * @param {Object} offset - Position of the new origin in the previous world frame
+   */
+  shiftWorld(offset) {
+    const shift = (p) => ({
+      x: p.x - offset.x,
+      y: p.y - offset.y,
+      z: p.z - offset.z,
+    });
+
+    this.pairs.forEach((pair) => {
+      pair.world = shift(pair.world);
+    });
+    if (this.lastGeoPosition) {
+      this.lastGeoPosition = shift(this.lastGeoPosition);
+    }
+    if (this.transform) {
+      this.transform = {
+        ...this.transform,
+        translation: shift(this.transform.translation),
+      };
+    }
+  }
+
+  /**
+   * Estimate the Alva-to-world transform from the stored pairs
+   * Weighted 2D similarity (Umeyama) in the horizontal plane, with the
+   * height offset estimated separately
+   */
+  solve() {
+    const pairs = this.pairs;
+    if (pairs.length < this.options.minPairs) return;
+
+    let wSum = 0;
+    const ca = { x: 0, y: 0, z: 0 };
+    const cw = { x: 0, y: 0, z: 0 };
+    for (const p of pairs) {
+      wSum += p.weight;
+      ca.x += p.weight * p.alva.x;
+      ca.y += p.weight * p.alva.y;
+      ca.z += p.weight * p.alva.z;
+      cw.x += p.weight * p.world.x;
+      cw.y += p.weight * p.world.y;
+      cw.z += p.weight * p.world.z;
+    }
+    ca.x /= wSum;
+    ca.y /= wSum;
+    ca.z /= wSum;
+    cw.x /= wSum;
+    cw.y /= wSum;
+    cw.z /= wSum;
+
+    // Spread of the GPS track, and the cross terms of the horizontal fit
+    let spread = 0;
+    let alvaVariance = 0;
+    let dot = 0;
+    let cross = 0;
+    for (const p of pairs) {
+      const ax = p.alva.x - ca.x;
+      const az = p.alva.z - ca.z;
+      const wx = p.world.x - cw.x;
+      const wz = p.world.z - cw.z;
+      spread += p.weight * (wx * wx + wz * wz);
+      alvaVariance += p.weight * (ax * ax + az * az);
+      dot += p.weight * (ax * wx + az * wz);
+      cross += p.weight * (ax * wz - az * wx);
+    }
+
+    if (Math.sqrt(spread / wSum) < this.options.minBaseline) return;
+    if (alvaVariance <= 1e-9) return;
+
+    // Rotation in the x/z plane; a rotation about +Y by yaw maps
+    // (x, z) to (x cos + z sin, -x sin + z cos), hence the sign
+    const yaw = -Math.atan2(cross, dot);
+    const scale = Math.sqrt(dot * dot + cross * cross) / alvaVariance;
+
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const translation = {
+      x: cw.x - scale * (ca.x * cos + ca.z * sin),
+      y: this.options.useAltitude ? cw.y - scale * ca.y : 0,
+      z: cw.z - scale * (-ca.x * sin + ca.z * cos),
+    };
+
+    this.blendTransform({ yaw, scale, translation });
+  }
+
+  /**
+   * Blend a new estimate into the current transform to avoid visible jumps
+   * @param {Object} estimate - New { yaw, scale, translation } estimate
+   */
+  blendTransform(estimate) {
+    if (!this.transform) {
+      this.transform = estimate;
+      return;
+    }
+
+    const k = this.options.smoothing;
+    const current = this.transform;
+    const dYaw = Math.atan2(
+      Math.sin(estimate.yaw - current.yaw),
+      Math.cos(estimate.yaw - current.yaw)
+    );
+
+    this.transform = {
+      yaw: current.yaw + k * dYaw,
+      scale: current.scale * Math.pow(estimate.scale / current.scale, k),
+      translation: {
+        x:
+          current.translation.x +
+          k * (estimate.translation.x - current.translation.x),
+        y:
+          current.translation.y +
+          k * (estimate.translation.y - current.translation.y),
+        z:
+          current.translation.z +
+          k * (estimate.translation.z - current.translation.z),
+      },
+    };
+  }
+
+  /**
+   * Map a world position back into the Alva frame
+   * @param {Object} position - Position in the world frame
+   * @returns {Object} Position in the Alva frame
+   */
+  worldToAlva(position) {
+    const { yaw, scale, translation } = this.transform;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const x = (position.x - translation.x) / scale;
+    const z = (position.z - translation.z) / scale;
+
+    return {
+      x: x * cos - z * sin,
+      y: (position.y - translation.y) / scale,
+      z: x * sin + z * cos,
+    };
+  }
+
+  /**
+   * Map an Alva pose into the world frame
+   * @param {Pose} pose - Pose in the Alva frame
+   * @returns {Pose} Pose in the world frame
+   */
+  applyToPose(pose) {
+    const { yaw, scale, translation } = this.transform;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const p = pose.position;
+
+    const position = {
+      x: scale * (p.x * cos + p.z * sin) + translation.x,
+      y: scale * p.y + translation.y,
+      z: scale * (-p.x * sin + p.z * cos) + translation.z,
+    };
+
+    let quaternion = pose.quaternion;
+    if (quaternion) {
+      const q = new THREE.Quaternion(
+        quaternion.x,
+        quaternion.y,
+        quaternion.z,
+        quaternion.w
+      ).premultiply(new THREE.Quaternion().setFromAxisAngle(_yAxis, yaw));
+      quaternion = { x: q.x, y: q.y, z: q.z, w: q.w };
+    }
+
+    return {
+      ...pose,
+      position,
+      quaternion,
+      matrix: quaternion ? composeMatrix(position, quaternion) : null,
+    };
+  }
+}
@@ -1,6 +1,12 @@
 /**
  * ImageTracker - Handles AR.js image tracking
- * Manages marker detection and pose updates
+ * Tracks any number of markers at once, each with its own id, physical size
+ * and pose stream. The camera pose is published in the frame of the primary
+ * marker, the visible one found first; the pose of every visible marker and
+ * its found/lost transitions are reported by marker id, so content can be
+ * bound to each printed image. The markers are listed in a manifest, see
+ * MarkerManifest.js, loaded at startup; markers can be added and removed
+ * while tracking.
  */
 import * as THREE from "three";
 import {
@@ -8,33 +14,76 @@ import {
   ArToolkitContext,
   ArMarkerControls,
 } from "@ar-js-org/ar.js/three.js/build/ar-threex.js";
+import { TrackingState } from "./TrackingState.js";
+import { matrixToPose } from "./PoseConversion.js";
+import { loadMarkerManifest, MarkerType } from "./MarkerManifest.js";
+
+/**
+ * A marker to track
+ * @typedef {Object} MarkerDefinition
+ * @property {string} id - Unique id, reported with its poses and events
+ * @property {string} [type] - One of MarkerType, defaults to nft
+ * @property {string} [descriptorsUrl] - NFT descriptors without extension
+ * @property {string} [patternUrl] - .patt file of a pattern marker
+ * @property {number} [barcodeValue] - Value of a barcode marker
+ * @property {number} [size] - Physical width in metres
+ * @property {Object} [content] - What the app shows on the marker, not used by the tracker
+ * Any other ArMarkerControls parameter (type, patternUrl, ...) overrides the
+ * shared marker configuration for this marker.
+ */
 
 export class ImageTracker {
-  constructor(onPoseUpdate) {
+  /**
+   * @param {Function} onPoseUpdate - Called with each pose, null when no marker is visible
+   * @param {Function} onStateChange - Called with a TrackingState and the reason for it
+   * @param {Object} options - Optional callbacks
+   * @param {Function} options.onMarkerChange - Called with a marker id and whether it was found or lost
+   * @param {Function} options.onMarkerPose - Called with a marker id and the camera pose in its frame,
+   *   for every visible marker on every frame
+   * @param {Function} options.onMarkersChange - Called with the tracked markers, see getMarkers(),
+   *   when markers are added, removed or replaced
+   */
+  constructor(onPoseUpdate, onStateChange = () => {}, options = {}) {
     this.onPoseUpdate = onPoseUpdate;
+    this.onStateChange = onStateChange;
+    this.onMarkerChange = options.onMarkerChange || (() => {});
+    this.onMarkerPose = options.onMarkerPose || (() => {});
+    this.onMarkersChange = options.onMarkersChange || (() => {});
+    this.state = TrackingState.STOPPED;
     this.isRunning = false;
     this.arToolkitSource = null;
     this.arToolkitContext = null;
-    this.markerControls = null;
     this.video = null;
     this.tempCamera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
     this.frameInterval = 30; // 30ms interval for frame processing
-    this._isMarkerVisible = false;
+    this.debugMode = false;
 
-    // Default marker configuration
+    // Marker configuration shared by all markers
     this.markerControlsConfig = {
       type: "nft",
-      descriptorsUrl: "data/markers/test3/pinball",
       changeMatrixMode: "cameraTransformMatrix",
       smoothCount: 5,
       smoothTolerance: 0.01,
       smoothThreshold: 2,
       size: 0.06,
     };
+    // Tracked markers, id -> { definition, controls, object3d, visible, foundAt }
+    this.markers = new Map();
+    // Manifest the markers are loaded from, null when they are set directly
+    this.manifestUrl = "data/markers/manifest.json";
+    this.manifestLoad = null; // Promise of the latest manifest load
+
+    this.handleMarkerFound = (e) => this.setMarkerVisible(e.detail, true);
+    this.handleMarkerLost = (e) => this.setMarkerVisible(e.detail, false);
   }
 
   async initialize() {
+    this.setState(TrackingState.INITIALIZING, "loading AR.js");
     try {
+      if (this.manifestUrl) {
+        await this.loadManifest(this.manifestUrl);
+      }
+
       // Initialize AR.js source
       this.arToolkitSource = new ArToolkitSource({
         sourceType: "webcam",
@@ -45,7 +94,8 @@ export class ImageTracker {
       // Initialize AR.js context
       this.arToolkitContext = new ArToolkitContext(
         {
-          detectionMode: "mono",
+          // Barcodes are only decoded in the matrix modes
+          detectionMode: this.hasBarcodeMarkers() ? "mono_and_matrix" : "mono",
           canvasWidth: 480,
           canvasHeight: 640,
         },
@@ -63,20 +113,8 @@ export class ImageTracker {
       });
 
       // Add marker detection event listeners
-      window.addEventListener("markerFound", (e) => {
-        if (e.detail.object3d === this.tempCamera) {
-          console.log("Marker tracked");
-          this._isMarkerVisible = true;
-        }
-      });
-
-      window.addEventListener("markerLost", (e) => {
-        if (e.detail.object3d === this.tempCamera) {
-          console.log("Marker lost");
-          this._isMarkerVisible = false;
-          this.onPoseUpdate(null);
-        }
-      });
+      window.addEventListener("markerFound", this.handleMarkerFound);
+      window.addEventListener("markerLost", this.handleMarkerLost);
 
       // Initialize source and context
       await new Promise((resolve) => {
@@ -90,51 +128,136 @@ export class ImageTracker {
       });
 
       // Initialize marker controls
-      this.markerControls = new ArMarkerControls(
-        this.arToolkitContext,
-        this.tempCamera,
-        this.markerControlsConfig
+      await Promise.all(
+        Array.from(this.markers.values(), (marker) =>
+          this.createMarkerControls(marker)
+        )
       );
+    } catch (error) {
+      console.error("[ImageTracker] Initialization failed:", error);
+      this.dispose();
+      throw error;
+    }
+  }
 
-      // Log marker configuration status
-      console.log("[ImageTracker] Marker configuration:", {
-        type: this.markerControlsConfig.type,
-        descriptorsUrl: this.markerControlsConfig.descriptorsUrl,
-        markerControlsReady: !!this.markerControls,
-        contextReady: !!this.arToolkitContext.arController,
-      });
+  /**
+   * Start tracking a marker in the AR.js context
+   * @param {Object} marker - Entry of this.markers
+   */
+  async createMarkerControls(marker) {
+    const parameters = this.getMarkerParameters(marker.definition);
+    if (
+      parameters.type === MarkerType.BARCODE &&
+      this.arToolkitContext.parameters.detectionMode !== "mono_and_matrix"
+    ) {
+      console.warn(
+        `[ImageTracker] Barcode ${marker.definition.id} is detected after a restart`
+      );
+    }
+    // Each marker moves its own object; with cameraTransformMatrix its
+    // matrix is the camera pose in the marker's frame
+    marker.object3d = new THREE.Object3D();
+    marker.controls = new ArMarkerControls(
+      this.arToolkitContext,
+      marker.object3d,
+      parameters
+    );
 
-      // Verify NFT marker files are accessible
-      if (
-        this.markerControlsConfig.type === "nft" &&
-        this.markerControlsConfig.descriptorsUrl
-      ) {
-        const baseUrl = this.markerControlsConfig.descriptorsUrl;
-        const filesToCheck = [".fset", ".fset3", ".iset"].map(
-          (ext) => baseUrl + ext
+    // Log marker configuration status
+    console.log(`[ImageTracker] Marker ${marker.definition.id}:`, {
+      type: parameters.type,
+      url: parameters.descriptorsUrl || parameters.patternUrl,
+      size: parameters.size,
+      contextReady: !!this.arToolkitContext.arController,
+    });
+
+    // Verify NFT marker files are accessible
+    if (parameters.type === MarkerType.NFT && parameters.descriptorsUrl) {
+      const filesToCheck = [".fset", ".fset3", ".iset"].map(
+        (ext) => parameters.descriptorsUrl + ext
+      );
+
+      try {
+        await Promise.all(
+          filesToCheck.map(async (url) => {
+            const response = await fetch(url, { method: "HEAD" });
+            if (!response.ok) throw new Error(`Failed to load ${url}`);
+          })
         );
+      } catch (error) {
+        console.error("[ImageTracker] Failed to verify marker files:", error);
+      }
+    }
+  }
 
-        console.log("[ImageTracker] Checking NFT marker files:", filesToCheck);
-
-        try {
-          await Promise.all(
-            filesToCheck.map(async (url) => {
-              const response = await fetch(url, { method: "HEAD" });
-              if (!response.ok) throw new Error(`Failed to load ${url}`);
-              console.log(
-                `[ImageTracker] Successfully verified marker file: ${url}`
-              );
-            })
-          );
-        } catch (error) {
-          console.error("[ImageTracker] Failed to verify marker files:", error);
-        }
+  /**
+   * ArMarkerControls parameters of a marker
+   * @param {MarkerDefinition} definition
+   * @returns {Object}
+   */
+  getMarkerParameters(definition) {
+    const { id, content, ...parameters } = definition;
+    return { ...this.markerControlsConfig, ...parameters };
+  }
+
+  /**
+   * Whether any marker is a barcode
+   * @returns {boolean}
+   */
+  hasBarcodeMarkers() {
+    return Array.from(this.markers.values()).some(
+      (marker) =>
+        this.getMarkerParameters(marker.definition).type === MarkerType.BARCODE
+    );
+  }
+
+  /**
+   * Record a marker found or lost by AR.js
+   * @param {ArMarkerControls} controls - Controls of the marker
+   * @param {boolean} visible - Whether it was found
+   */
+  setMarkerVisible(controls, visible) {
+    const marker = Array.from(this.markers.values()).find(
+      (entry) => entry.object3d && entry.object3d === controls.object3d
+    );
+    if (!marker || marker.visible === visible) return;
+
+    const { id } = marker.definition;
+    console.log(`[ImageTracker] Marker ${id} ${visible ? "found" : "lost"}`);
+    marker.visible = visible;
+    marker.foundAt = visible ? performance.now() : null;
+    this.onMarkerChange(id, visible);
+    this.updateState(`marker ${id} ${visible ? "found" : "lost"}`);
+
+    if (!this.getPrimaryMarker()) {
+      this.onPoseUpdate(null);
+    }
+  }
+
+  /**
+   * Tracking while any marker is visible
+   * @param {string} reason - Reason for a transition
+   */
+  updateState(reason) {
+    if (!this.isRunning) return;
+    this.setState(
+      this.getPrimaryMarker() ? TrackingState.TRACKING : TrackingState.LOST,
+      reason
+    );
+  }
+
+  /**
+   * The visible marker found first, whose frame the camera pose is in
+   * @returns {Object|null} Entry of this.markers
+   */
+  getPrimaryMarker() {
+    let primary = null;
+    for (const marker of this.markers.values()) {
+      if (marker.visible && (!primary || marker.foundAt < primary.foundAt)) {
+        primary = marker;
       }
-    } catch (error) {
-      console.error("[ImageTracker] Initialization failed:", error);
-      this.dispose();
-      throw error;
     }
+    return primary;
   }
 
   async start(video) {
@@ -149,11 +272,26 @@ export class ImageTracker {
     });
 
     this.isRunning = true;
+    this.updateState(
+      this.getPrimaryMarker() ? "marker visible" : "searching for markers"
+    );
     this.processFrame();
   }
 
   stop() {
     this.isRunning = false;
+    this.setState(TrackingState.STOPPED, "stopped");
+  }
+
+  /**
+   * Update the tracking state, reporting transitions
+   * @param {string} state - New TrackingState
+   * @param {string} reason - Reason for the transition
+   */
+  setState(state, reason) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onStateChange(state, reason);
   }
 
   async processFrame() {
@@ -162,31 +300,19 @@ export class ImageTracker {
     try {
       this.arToolkitContext.update(this.video);
 
-      // Update pose if marker is visible
-      if (this._isMarkerVisible && this.tempCamera) {
-        const matrix = this.tempCamera.matrix;
-        const position = new THREE.Vector3();
-        const rotation = new THREE.Euler();
-        const scale = new THREE.Vector3();
-
-        matrix.decompose(
-          position,
-          new THREE.Quaternion().setFromEuler(rotation),
-          scale
-        );
-
-        this.onPoseUpdate({
-          position: {
-            x: position.x,
-            y: position.y,
-            z: position.z,
-          },
-          orientation: {
-            x: rotation.x,
-            y: rotation.y,
-            z: rotation.z,
-          },
-        });
+      // The camera pose in the primary marker's frame, then every marker's
+      const timestamp = performance.now();
+      const primary = this.getPrimaryMarker();
+      if (primary) {
+        this.onPoseUpdate(this.getMarkerPose(primary, timestamp));
+      }
+      for (const marker of this.markers.values()) {
+        if (marker.visible) {
+          this.onMarkerPose(
+            marker.definition.id,
+            this.getMarkerPose(marker, timestamp)
+          );
+        }
       }
 
       setTimeout(() => this.processFrame(), this.frameInterval);
@@ -196,26 +322,227 @@ export class ImageTracker {
     }
   }
 
+  /**
+   * Camera pose in a marker's frame
+   * @param {Object} marker - Entry of this.markers
+   * @param {number} timestamp - performance.now() time of the frame
+   * @returns {Pose} Pose with the marker id in its marker field
+   */
+  getMarkerPose(marker, timestamp) {
+    return matrixToPose(marker.object3d.matrix, {
+      source: "image",
+      marker: marker.definition.id,
+      timestamp,
+    });
+  }
+
+  /**
+   * Update tracker configuration
+   * @param {Object} config - Marker control options shared by all markers, plus
+   *   manifest: URL of a marker manifest to track, markers: the MarkerDefinitions
+   *   to track instead of a manifest, and the shared debug flag
+   */
   updateConfig(config) {
-    this.markerControlsConfig = { ...this.markerControlsConfig, ...config };
-    if (this.markerControls) {
-      Object.assign(this.markerControls.parameters, this.markerControlsConfig);
-      console.log("[ImageTracker] Updated marker configuration:", {
-        type: this.markerControlsConfig.type,
-        descriptorsUrl: this.markerControlsConfig.descriptorsUrl,
-      });
+    const { debug, manifest, markers, ...markerConfig } = config;
+    if (debug !== undefined) {
+      this.debugMode = debug;
+    }
+    if (Object.keys(markerConfig).length > 0) {
+      const previous = new Map(
+        Array.from(this.markers.values(), (marker) => [
+          marker,
+          JSON.stringify(this.getMarkerParameters(marker.definition)),
+        ])
+      );
+      this.markerControlsConfig = {
+        ...this.markerControlsConfig,
+        ...markerConfig,
+      };
+      // AR.js reads the parameters when the controls are created, so the
+      // markers whose parameters changed are created anew
+      let changed = false;
+      for (const [marker, parameters] of previous) {
+        if (
+          marker.controls &&
+          JSON.stringify(this.getMarkerParameters(marker.definition)) !==
+            parameters
+        ) {
+          this.createMarker(marker.definition);
+          changed = true;
+        }
+      }
+      if (changed) this.onMarkersChange(this.getMarkers());
+    }
+    if (markers) {
+      this.manifestUrl = null;
+      this.manifestLoad = null;
+      this.setMarkers(markers);
+    } else if (manifest !== undefined && manifest !== this.manifestUrl) {
+      this.manifestUrl = manifest;
+      this.manifestLoad = null;
+      // Before initialize() the manifest is loaded there
+      if (manifest && this.arToolkitContext) {
+        this.loadManifest(manifest);
+      }
+    }
+  }
+
+  /**
+   * Track the markers of a manifest instead of the current ones
+   * Markers that did not change keep tracking. If the manifest cannot be
+   * loaded the current markers are kept.
+   * @param {string} url - Manifest URL
+   * @returns {Promise<Array<MarkerDefinition>>} The markers now tracked
+   */
+  async loadManifest(url) {
+    const load = loadMarkerManifest(url);
+    this.manifestUrl = url;
+    this.manifestLoad = load;
+    try {
+      const markers = await load;
+      // Skip loads superseded meanwhile, e.g. by setting markers directly
+      if (this.manifestLoad === load) {
+        console.log(
+          `[ImageTracker] Loaded ${markers.length} markers from ${url}`
+        );
+        this.setMarkers(markers);
+      }
+    } catch (error) {
+      console.error(`[ImageTracker] Failed to load manifest ${url}:`, error);
+    }
+    return this.getMarkers();
+  }
+
+  /**
+   * Track exactly these markers
+   * Markers whose definition did not change keep tracking.
+   * @param {Array<MarkerDefinition>} definitions
+   */
+  setMarkers(definitions) {
+    let changed = false;
+    const ids = new Set(definitions.map((definition) => definition.id));
+    for (const id of this.markers.keys()) {
+      if (!ids.has(id)) changed = this.dropMarker(id) || changed;
+    }
+    for (const definition of definitions) {
+      const current = this.markers.get(definition.id);
+      if (
+        !current ||
+        JSON.stringify(current.definition) !== JSON.stringify(definition)
+      ) {
+        this.createMarker(definition);
+        changed = true;
+      }
+    }
+    if (changed) this.onMarkersChange(this.getMarkers());
+  }
+
+  /**
+   * Start tracking a marker, replacing one with the same id
+   * The marker's descriptors or pattern are loaded anew, also when only its
+   * parameters changed.
+   * @param {MarkerDefinition} definition
+   */
+  addMarker(definition) {
+    this.createMarker(definition);
+    this.onMarkersChange(this.getMarkers());
+  }
+
+  /**
+   * Stop tracking a marker
+   * @param {string} id - Marker id
+   */
+  removeMarker(id) {
+    if (this.dropMarker(id)) this.onMarkersChange(this.getMarkers());
+  }
+
+  /**
+   * Add a marker without reporting the change
+   * @param {MarkerDefinition} definition
+   */
+  createMarker(definition) {
+    if (!definition.id) throw new Error("A marker needs an id");
+    this.dropMarker(definition.id);
+
+    const marker = {
+      definition: { ...definition },
+      controls: null,
+      object3d: null,
+      visible: false,
+      foundAt: null,
+    };
+    this.markers.set(definition.id, marker);
+    if (this.arToolkitContext && this.arToolkitContext.arController) {
+      this.createMarkerControls(marker);
+    }
+  }
+
+  /**
+   * Remove a marker without reporting the change
+   * @param {string} id - Marker id
+   * @returns {boolean} Whether the marker was tracked
+   */
+  dropMarker(id) {
+    const marker = this.markers.get(id);
+    if (!marker) return false;
+
+    this.markers.delete(id);
+    if (marker.controls) {
+      marker.controls.dispose();
     }
+    if (marker.visible) {
+      this.onMarkerChange(id, false);
+      this.updateState(`marker ${id} removed`);
+      if (!this.getPrimaryMarker()) this.onPoseUpdate(null);
+    }
+    return true;
+  }
+
+  /**
+   * Track only one NFT marker, reloading its descriptors
+   * @param {string} markerPath - NFT descriptors without extension
+   * @param {string} id - Marker id, defaults to the file name
+   */
+  setMarker(markerPath, id = markerPath.replace(/^.*\//, "")) {
+    this.manifestUrl = null;
+    this.manifestLoad = null;
+    this.setMarkers([{ id, descriptorsUrl: markerPath }]);
   }
 
-  setMarker(markerPath) {
-    this.updateConfig({ descriptorsUrl: markerPath });
+  /**
+   * Get the tracked markers
+   * @returns {Array<Object>} { id, content, visible, ...MarkerDefinition } per marker
+   */
+  getMarkers() {
+    return Array.from(this.markers.values(), (marker) => ({
+      ...marker.definition,
+      visible: marker.visible,
+    }));
+  }
+
+  /**
+   * Get the ids of the visible markers, the primary marker first
+   * @returns {Array<string>}
+   */
+  getVisibleMarkers() {
+    return Array.from(this.markers.values())
+      .filter((marker) => marker.visible)
+      .sort((a, b) => a.foundAt - b.foundAt)
+      .map((marker) => marker.definition.id);
   }
 
   dispose() {
     this.stop();
-    if (this.markerControls) {
-      this.markerControls.dispose();
-      this.markerControls = null;
+    window.removeEventListener("markerFound", this.handleMarkerFound);
+    window.removeEventListener("markerLost", this.handleMarkerLost);
+    for (const marker of this.markers.values()) {
+      if (marker.controls) {
+        marker.controls.dispose();
+        marker.controls = null;
+        marker.object3d = null;
+      }
+      marker.visible = false;
+      marker.foundAt = null;
     }
     if (this.arToolkitContext) {
       this.arToolkitContext.dispose();
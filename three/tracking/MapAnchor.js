@@ -0,0 +1,307 @@
+/**
+ * MapAnchor - Keeps one session frame across SLAM map resets
+ * Every new AlvaAR map starts in a frame of its own. The anchor is the rigid
+ * transform from the current map into the session frame, chosen when the new
+ * map starts tracking so the camera continues where it was. Cues, best first:
+ * - Marker: an image marker seen in the previous map gives the full camera pose
+ * - Compass: if both maps are aligned to north, the rotation carries over
+ * - GPS: a fix further from the last pose than its accuracy gives the position
+ * - Last pose: the camera is assumed where (and as) it was when tracking was lost
+ * Better cues arriving shortly after the new map started re-anchor it.
+ */
+import {
+  IDENTITY_QUATERNION,
+  invertQuaternion,
+  rotateVector,
+  transformPose,
+} from "./RigidTransform.js";
+import { Quaternion } from "../../alva/assets/imu.js";
+
+export const AnchorSource = Object.freeze({
+  NONE: "none", // First map, it defines the session frame
+  LAST_POSE: "last pose",
+  GPS: "gps",
+  COMPASS: "compass",
+  MARKER: "marker",
+});
+
+// Higher is better
+const SOURCE_RANK = {
+  [AnchorSource.NONE]: 0,
+  [AnchorSource.LAST_POSE]: 1,
+  [AnchorSource.GPS]: 2,
+  [AnchorSource.COMPASS]: 2,
+  [AnchorSource.MARKER]: 3,
+};
+
+/**
+ * Cues for anchoring a new map, all in the session frame
+ * @typedef {Object} AnchorCues
+ * @property {Object|null} [marker] - Camera pose { position, quaternion } from a
+ *   visible marker of known session pose
+ * @property {Object|null} [gps] - { position, accuracy } of the latest GPS fix;
+ *   only the horizontal position is used
+ * @property {boolean} [northAligned] - Whether the new map is aligned to north
+ */
+
+export class MapAnchor {
+  constructor(options = {}) {
+    this.options = {
+      headingTimeout: 2000, // Max ms a new map waits for its north alignment
+      realignWindow: 10000, // ms after anchoring in which better cues re-anchor
+      maxCueAge: 250, // Max ms between a map pose and the marker pose paired with it
+      maxGPSAge: 2000, // Max age in ms of a GPS fix used as a cue
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Forget the session frame; the next map defines it
+   */
+  reset() {
+    this.transform = {
+      position: { x: 0, y: 0, z: 0 },
+      quaternion: IDENTITY_QUATERNION,
+    };
+    this.lastPose = null; // Last session pose of the previous map
+    this.previousRotation = IDENTITY_QUATERNION; // Anchor rotation of the previous map
+    this.previousNorthAligned = false;
+    this.pending = false;
+    this.waitForHeading = false;
+    this.startTime = 0; // First pose of the new map
+    this.anchorTime = 0;
+    this.rotationSource = AnchorSource.NONE;
+    this.positionSource = AnchorSource.NONE;
+    this.maps = 1;
+  }
+
+  /**
+   * Update anchor options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Remember a published session pose of the current map
+   * @param {Pose} pose - Camera pose in the session frame
+   */
+  recordPose(pose) {
+    if (this.pending || !pose.quaternion) return;
+    this.lastPose = { position: pose.position, quaternion: pose.quaternion };
+  }
+
+  /**
+   * The current map was dropped; anchor the next one when it tracks
+   * @param {Object} options
+   * @param {boolean} options.northAligned - Whether the dropped map was aligned to north
+   * @param {boolean} options.waitForHeading - Whether the new map will be aligned to north
+   */
+  startNewMap({ northAligned = false, waitForHeading = false } = {}) {
+    if (!this.lastPose) return; // Nothing was published, the next map can define the frame
+    if (this.pending) return; // Already waiting, the previous map never tracked
+
+    this.previousRotation = this.transform.quaternion;
+    this.previousNorthAligned = northAligned;
+    this.waitForHeading = northAligned && waitForHeading;
+    this.pending = true;
+    this.startTime = 0;
+    this.maps++;
+  }
+
+  /**
+   * Whether the anchor of the current map is final
+   * Until then better cues may still move the map, so nothing should be
+   * registered against its session poses.
+   * @param {number} time - performance.now() time
+   * @returns {boolean}
+   */
+  isSettled(time) {
+    if (this.pending) return false;
+    if (this.maps === 1 || this.positionSource === AnchorSource.MARKER) {
+      return true;
+    }
+    return time - this.anchorTime >= this.options.realignWindow;
+  }
+
+  /**
+   * Anchor the current map from a pose of it, or improve the anchor
+   * @param {Pose} pose - Camera pose in the current map's frame
+   * @param {AnchorCues} cues - What is known about the camera in the session frame
+   * @param {number} time - performance.now() time of the pose
+   * @returns {boolean} Whether the map is anchored
+   */
+  update(pose, cues, time) {
+    if (!pose.quaternion) return !this.pending;
+
+    if (this.pending) {
+      if (!this.startTime) this.startTime = time;
+      if (
+        this.waitForHeading &&
+        !cues.northAligned &&
+        time - this.startTime < this.options.headingTimeout
+      ) {
+        return false;
+      }
+      this.anchorTime = time;
+      this.anchor(pose, cues);
+      return true;
+    }
+
+    // Re-anchor with better cues that show up soon after the new map started
+    if (
+      this.maps > 1 &&
+      time - this.anchorTime < this.options.realignWindow &&
+      this.improves(cues)
+    ) {
+      this.anchor(pose, cues);
+    }
+    return true;
+  }
+
+  /**
+   * Whether cues would anchor the map with a better source
+   * @param {AnchorCues} cues
+   * @returns {boolean}
+   */
+  improves(cues) {
+    const { rotation, position } = this.chooseSources(cues);
+    return (
+      SOURCE_RANK[rotation] > SOURCE_RANK[this.rotationSource] ||
+      SOURCE_RANK[position] > SOURCE_RANK[this.positionSource]
+    );
+  }
+
+  /**
+   * Best sources for the rotation and position of the anchor
+   * @param {AnchorCues} cues
+   * @returns {Object} { rotation, position } AnchorSources
+   */
+  chooseSources(cues) {
+    if (cues.marker) {
+      return { rotation: AnchorSource.MARKER, position: AnchorSource.MARKER };
+    }
+
+    const rotation =
+      this.previousNorthAligned && cues.northAligned
+        ? AnchorSource.COMPASS
+        : AnchorSource.LAST_POSE;
+
+    let position = AnchorSource.LAST_POSE;
+    if (cues.gps) {
+      const dx = cues.gps.position.x - this.lastPose.position.x;
+      const dz = cues.gps.position.z - this.lastPose.position.z;
+      // Within its accuracy a fix says less than the last pose
+      if (Math.hypot(dx, dz) > cues.gps.accuracy) position = AnchorSource.GPS;
+    }
+    return { rotation, position };
+  }
+
+  /**
+   * Set the anchor so the pose lands on the camera pose given by the cues
+   * When re-anchoring, parts whose source does not improve are kept.
+   * @param {Pose} pose - Camera pose in the current map's frame
+   * @param {AnchorCues} cues
+   */
+  anchor(pose, cues) {
+    const sources = this.chooseSources(cues);
+    const current = this.pending ? null : this.applyToPose(pose);
+    const reference = current || this.lastPose;
+
+    let rotation;
+    if (
+      current &&
+      SOURCE_RANK[sources.rotation] <= SOURCE_RANK[this.rotationSource]
+    ) {
+      rotation = this.transform.quaternion;
+      sources.rotation = this.rotationSource;
+    } else if (sources.rotation === AnchorSource.COMPASS) {
+      // Both maps face north, the rotation of the previous map carries over
+      rotation = this.previousRotation;
+    } else {
+      const target =
+        sources.rotation === AnchorSource.MARKER
+          ? cues.marker.quaternion
+          : this.lastPose.quaternion;
+      rotation = Quaternion.multiply(target, invertQuaternion(pose.quaternion));
+    }
+
+    let position;
+    if (
+      current &&
+      SOURCE_RANK[sources.position] <= SOURCE_RANK[this.positionSource]
+    ) {
+      position = current.position;
+      sources.position = this.positionSource;
+    } else if (sources.position === AnchorSource.MARKER) {
+      position = cues.marker.position;
+    } else if (sources.position === AnchorSource.GPS) {
+      // GPS altitude is too noisy, keep the height
+      position = {
+        x: cues.gps.position.x,
+        y: reference.position.y,
+        z: cues.gps.position.z,
+      };
+    } else {
+      position = this.lastPose.position;
+    }
+
+    // The anchor maps the map pose onto the session pose
+    const offset = rotateVector(rotation, pose.position);
+    this.transform = {
+      position: {
+        x: position.x - offset.x,
+        y: position.y - offset.y,
+        z: position.z - offset.z,
+      },
+      quaternion: rotation,
+    };
+    this.pending = false;
+    this.rotationSource = sources.rotation;
+    this.positionSource = sources.position;
+  }
+
+  /**
+   * Keep session poses in place while the current map's poses move
+   * Used when the map's scale changes: poses are scaled about the map's
+   * origin, so without this the camera and everything registered against it
+   * would jump.
+   * @param {Object} offset - How far the camera's map position moved
+   */
+  shiftMap(offset) {
+    if (this.pending) return; // The anchor is chosen from the next pose
+    const p = rotateVector(this.transform.quaternion, offset);
+    this.transform = {
+      ...this.transform,
+      position: {
+        x: this.transform.position.x - p.x,
+        y: this.transform.position.y - p.y,
+        z: this.transform.position.z - p.z,
+      },
+    };
+  }
+
+  /**
+   * Map a pose of the current map into the session frame
+   * @param {Pose} pose - Pose in the current map's frame
+   * @returns {Pose} Pose in the session frame
+   */
+  applyToPose(pose) {
+    return transformPose(this.transform, pose);
+  }
+
+  /**
+   * Anchor summary
+   * @returns {Object} { maps, pending, rotationSource, positionSource }
+   */
+  getState() {
+    return {
+      maps: this.maps,
+      pending: this.pending,
+      rotationSource: this.rotationSource,
+      positionSource: this.positionSource,
+    };
+  }
+}
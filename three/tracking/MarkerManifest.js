@@ -0,0 +1,115 @@
+/**
+ * MarkerManifest - JSON lists of the markers the ImageTracker tracks
+ * A manifest keeps marker sets out of the code, so they can be changed
+ * without a rebuild:
+ *
+ *   {
+ *     "markers": [
+ *       {
+ *         "id": "pinball",
+ *         "type": "nft",
+ *         "url": "test3/pinball",
+ *         "width": 0.06,
+ *         "content": { "type": "box", "color": "#ff00ff" }
+ *       }
+ *     ]
+ *   }
+ *
+ * url is the NFT descriptor base path (without .fset/.fset3/.iset) or the
+ * .patt file of a pattern marker, relative to the manifest; barcode markers
+ * give their value instead. width is the physical width in metres. content
+ * is passed on untouched, for the app to build what is shown on the marker.
+ * Markers with "enabled": false are listed but not tracked.
+ */
+
+export const MarkerType = Object.freeze({
+  NFT: "nft", // Natural feature tracking of an image
+  PATTERN: "pattern", // ARToolKit pattern in a black square
+  BARCODE: "barcode", // ARToolKit matrix code
+});
+
+/**
+ * Load a marker manifest
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Array<MarkerDefinition>>} Enabled markers, see ImageTracker.js
+ */
+export async function loadMarkerManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return parseMarkerManifest(await response.json(), url);
+}
+
+/**
+ * Turn a manifest into marker definitions
+ * Entries that are invalid are skipped with a warning.
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {string} baseUrl - URL marker paths are relative to, usually the manifest's
+ * @returns {Array<MarkerDefinition>} Enabled markers
+ */
+export function parseMarkerManifest(manifest, baseUrl = document.baseURI) {
+  if (!manifest || !Array.isArray(manifest.markers)) {
+    throw new Error("a marker manifest needs a markers array");
+  }
+
+  const ids = new Set();
+  const markers = [];
+  for (const entry of manifest.markers) {
+    if (entry.enabled === false) continue;
+    try {
+      const marker = manifestEntryToMarker(entry, baseUrl);
+      if (ids.has(marker.id)) throw new Error("duplicate id");
+      ids.add(marker.id);
+      markers.push(marker);
+    } catch (error) {
+      console.warn(
+        `[MarkerManifest] Skipped marker ${entry.id}: ${error.message}`
+      );
+    }
+  }
+  return markers;
+}
+
+/**
+ * Turn one manifest entry into a marker definition
+ * @param {Object} entry - { id, type, url or value, width, content }
+ * @param {string} baseUrl - URL the entry's url is relative to
+ * @returns {MarkerDefinition}
+ */
+export function manifestEntryToMarker(entry, baseUrl = document.baseURI) {
+  const {
+    id,
+    type = MarkerType.NFT,
+    url,
+    value,
+    width,
+    content = null,
+  } = entry;
+  if (!id) throw new Error("no id");
+  if (!(width > 0)) throw new Error("no physical width");
+
+  const marker = { id: String(id), type, size: width, content };
+  switch (type) {
+    case MarkerType.NFT:
+      if (!url) throw new Error("no descriptor url");
+      marker.descriptorsUrl = resolveUrl(url, baseUrl);
+      break;
+    case MarkerType.PATTERN:
+      if (!url) throw new Error("no pattern url");
+      marker.patternUrl = resolveUrl(url, baseUrl);
+      break;
+    case MarkerType.BARCODE:
+      if (!Number.isInteger(value)) throw new Error("no barcode value");
+      marker.barcodeValue = value;
+      break;
+    default:
+      throw new Error(`unknown type "${type}"`);
+  }
+  return marker;
+}
+
+/**
+ * Resolve a path against a possibly relative base URL
+ */
+function resolveUrl(path, baseUrl) {
+  return new URL(path, new URL(baseUrl, document.baseURI)).href;
+}
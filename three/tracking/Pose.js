@@ -0,0 +1,44 @@
+/**
+ * Pose - The pose representation shared by every tracker and the SceneManager
+ * Everything is in the Three.js convention: y up, cameras looking down -z.
+ * Use the helpers in PoseConversion.js to build poses from tracker output.
+ */
+
+/**
+ * @typedef {Object} Pose
+ * @property {{x: number, y: number, z: number}} position - Camera position
+ * @property {{x: number, y: number, z: number, w: number}|null} quaternion - Camera
+ *   orientation, null for position-only sources
+ * @property {Array<number>|null} matrix - Optional column-major 4x4 camera-to-world matrix
+ * @property {number} timestamp - performance.now() time the pose was observed
+ * @property {string} source - Id of the tracker (or "fused") that produced the pose
+ * @property {string} [tracker] - Id of the odometry tracker driving a fused pose
+ * @property {number} confidence - 0 (unreliable) to 1 (fully trusted)
+ */
+
+/**
+ * Create a pose, filling in defaults
+ * @param {Object} fields - Pose fields, see {@link Pose}
+ * @returns {Pose}
+ */
+export function createPose({
+  position,
+  quaternion = null,
+  matrix = null,
+  timestamp = performance.now(),
+  source = "unknown",
+  confidence = 1,
+  ...extra
+}) {
+  return {
+    ...extra,
+    position: { x: position.x, y: position.y, z: position.z },
+    quaternion: quaternion
+      ? { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+      : null,
+    matrix,
+    timestamp,
+    source,
+    confidence,
+  };
+}
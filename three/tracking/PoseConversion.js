@@ -0,0 +1,118 @@
+/**
+ * PoseConversion - Converts tracker output into the shared Pose type
+ * AlvaAR, AR.js and GPS poses all end up in the Three.js convention used by
+ * AlvaARConnectorTHREE and ARCamView
+ */
+import * as THREE from "three";
+import { createPose } from "./Pose.js";
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _yAxis = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Convert an AlvaAR camera pose to a Three.js pose
+ * Applies the same axis flips as AlvaARConnectorTHREE
+ * @param {Array<number>|Float32Array} pose - Column-major 4x4 AlvaAR pose
+ * @param {Object} fields - Extra pose fields (timestamp, source, confidence)
+ * @returns {Pose}
+ */
+export function alvaPoseToThree(pose, fields = {}) {
+  _matrix.fromArray(pose);
+  _quaternion.setFromRotationMatrix(_matrix);
+
+  const position = { x: pose[12], y: -pose[13], z: -pose[14] };
+  const quaternion = {
+    x: -_quaternion.x,
+    y: _quaternion.y,
+    z: _quaternion.z,
+    w: _quaternion.w,
+  };
+
+  return createPose({
+    source: "alva",
+    ...fields,
+    position,
+    quaternion,
+    matrix: composeMatrix(position, quaternion),
+  });
+}
+
+/**
+ * Convert a Three.js transform matrix (e.g. from AR.js) to a pose
+ * @param {THREE.Matrix4} matrix - Camera-to-world matrix
+ * @param {Object} fields - Extra pose fields (timestamp, source, confidence)
+ * @returns {Pose}
+ */
+export function matrixToPose(matrix, fields = {}) {
+  matrix.decompose(_position, _quaternion, _scale);
+
+  return createPose({
+    ...fields,
+    position: _position,
+    quaternion: _quaternion,
+    matrix: matrix.toArray(),
+  });
+}
+
+/**
+ * Build a pose from a position in the local world frame
+ * @param {Object} position - World position { x, y, z } in metres
+ * @param {number|null} heading - Degrees clockwise from north, null if unknown
+ * @param {Object} fields - Extra pose fields (timestamp, source, confidence)
+ * @returns {Pose} Pose with a yaw-only quaternion, or none without a heading
+ */
+export function geoPositionToPose(position, heading = null, fields = {}) {
+  const quaternion = Number.isFinite(heading)
+    ? headingToQuaternion(heading)
+    : null;
+
+  return createPose({
+    ...fields,
+    position,
+    quaternion,
+    matrix: quaternion ? composeMatrix(position, quaternion) : null,
+  });
+}
+
+/**
+ * Convert a compass heading to a yaw rotation about +Y
+ * With -z pointing north, a clockwise heading is a negative yaw
+ * @param {number} heading - Degrees clockwise from north
+ * @returns {Object} Quaternion { x, y, z, w }
+ */
+export function headingToQuaternion(heading) {
+  _quaternion.setFromAxisAngle(_yAxis, (-heading * Math.PI) / 180);
+  return {
+    x: _quaternion.x,
+    y: _quaternion.y,
+    z: _quaternion.z,
+    w: _quaternion.w,
+  };
+}
+
+/**
+ * Compose a column-major 4x4 matrix from a position and quaternion
+ * @param {Object} position - Position { x, y, z }
+ * @param {Object} quaternion - Orientation { x, y, z, w }
+ * @returns {Array<number>}
+ */
+export function composeMatrix(position, quaternion) {
+  _position.set(position.x, position.y, position.z);
+  _quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+  _scale.set(1, 1, 1);
+  return _matrix.compose(_position, _quaternion, _scale).toArray();
+}
+
+/**
+ * Map a horizontal accuracy in metres to a 0-1 confidence
+ * @param {number} accuracy - Accuracy radius in metres
+ * @param {number} reference - Accuracy considered fully trusted
+ * @returns {number}
+ */
+export function accuracyToConfidence(accuracy, reference = 5) {
+  if (!Number.isFinite(accuracy) || accuracy <= 0) return 0;
+  return Math.min(1, reference / accuracy);
+}
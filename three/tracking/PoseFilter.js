@@ -0,0 +1,398 @@
+/**
+ * PoseFilter - Smoothing filters for tracker poses
+ * Filters positions per axis and orientations on the quaternion sphere.
+ * Use createPoseFilter() to build one from a { type, ...parameters } config.
+ */
+import * as THREE from "three";
+
+const _from = new THREE.Quaternion();
+const _to = new THREE.Quaternion();
+
+export const FilterType = Object.freeze({
+  NONE: "none",
+  EXPONENTIAL: "exponential",
+  ONE_EURO: "oneEuro",
+  KALMAN: "kalman",
+});
+
+/**
+ * Create a pose filter
+ * @param {Object} config - Filter config
+ * @param {string} config.type - One of FilterType
+ * @returns {PoseFilter}
+ */
+export function createPoseFilter(config = {}) {
+  const { type = FilterType.NONE, ...parameters } = config;
+
+  switch (type) {
+    case FilterType.NONE:
+      return new PoseFilter(parameters);
+    case FilterType.EXPONENTIAL:
+      return new ExponentialPoseFilter(parameters);
+    case FilterType.ONE_EURO:
+      return new OneEuroPoseFilter(parameters);
+    case FilterType.KALMAN:
+      return new KalmanPoseFilter(parameters);
+    default:
+      throw new Error(`Unknown pose filter type "${type}"`);
+  }
+}
+
+/**
+ * Base filter, passes poses through unchanged
+ */
+export class PoseFilter {
+  constructor(parameters = {}) {
+    this.type = FilterType.NONE;
+    this.parameters = { ...this.defaults(), ...parameters };
+    this.reset();
+  }
+
+  /**
+   * Default parameters of the filter
+   * @returns {Object}
+   */
+  defaults() {
+    return {};
+  }
+
+  /**
+   * Change filter parameters without losing the filter state
+   * @param {Object} parameters - Parameters to merge
+   */
+  updateParameters(parameters) {
+    this.parameters = { ...this.parameters, ...parameters };
+  }
+
+  /**
+   * Forget the filter state, e.g. after tracking was lost
+   */
+  reset() {
+    this.lastTimestamp = null;
+    this.position = null;
+    this.quaternion = null;
+  }
+
+  /**
+   * Filter a pose
+   * @param {Pose} pose - Raw pose
+   * @returns {Pose} Filtered pose
+   */
+  filter(pose) {
+    const dt =
+      this.lastTimestamp === null
+        ? 0
+        : (pose.timestamp - this.lastTimestamp) / 1000;
+
+    // Repeated (held) poses carry no new information
+    if (this.lastTimestamp !== null && dt <= 0) {
+      return this.output(pose);
+    }
+    this.lastTimestamp = pose.timestamp;
+
+    this.position = this.filterPosition(pose.position, dt);
+    if (pose.quaternion) {
+      this.quaternion = this.filterQuaternion(
+        alignHemisphere(pose.quaternion, this.quaternion),
+        dt
+      );
+    }
+    return this.output(pose);
+  }
+
+  /**
+   * Build the output pose from the filter state
+   * @param {Pose} pose - Raw pose the output is based on
+   * @returns {Pose}
+   */
+  output(pose) {
+    return {
+      ...pose,
+      position: { ...this.position },
+      quaternion: pose.quaternion ? { ...this.quaternion } : null,
+      // The raw matrix no longer matches the filtered pose
+      matrix: null,
+    };
+  }
+
+  /**
+   * Filter a position
+   * @param {Object} position - Raw position { x, y, z }
+   * @param {number} dt - Seconds since the previous sample, 0 for the first one
+   * @returns {Object} Filtered position
+   */
+  filterPosition(position, dt) {
+    return { ...position };
+  }
+
+  /**
+   * Filter a quaternion
+   * @param {Object} quaternion - Raw quaternion, in the same hemisphere as the last estimate
+   * @param {number} dt - Seconds since the previous sample, 0 for the first one
+   * @returns {Object} Filtered quaternion
+   */
+  filterQuaternion(quaternion, dt) {
+    return { ...quaternion };
+  }
+}
+
+/**
+ * Exponential smoothing with fixed blend factors
+ */
+export class ExponentialPoseFilter extends PoseFilter {
+  constructor(parameters) {
+    super(parameters);
+    this.type = FilterType.EXPONENTIAL;
+  }
+
+  defaults() {
+    return {
+      positionAlpha: 0.5, // Weight of a new position (1 = no smoothing)
+      rotationAlpha: 0.5, // Weight of a new orientation (1 = no smoothing)
+    };
+  }
+
+  filterPosition(position) {
+    if (!this.position) return { ...position };
+    return lerpVector(this.position, position, this.parameters.positionAlpha);
+  }
+
+  filterQuaternion(quaternion) {
+    if (!this.quaternion) return { ...quaternion };
+    return slerp(this.quaternion, quaternion, this.parameters.rotationAlpha);
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012)
+ * Smooths heavily when still and follows quickly when moving. Orientations
+ * use the angular speed to adapt the cutoff and slerp to blend.
+ */
+export class OneEuroPoseFilter extends PoseFilter {
+  constructor(parameters) {
+    super(parameters);
+    this.type = FilterType.ONE_EURO;
+  }
+
+  defaults() {
+    return {
+      minCutoff: 1.0, // Hz, position cutoff when still
+      beta: 0.5, // Cutoff increase per m/s
+      dCutoff: 1.0, // Hz, cutoff for the speed estimate
+      rotationMinCutoff: 1.0, // Hz, orientation cutoff when still
+      rotationBeta: 0.3, // Cutoff increase per rad/s
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.angularSpeed = 0;
+  }
+
+  filterPosition(position, dt) {
+    if (!this.position || dt <= 0) return { ...position };
+
+    const { minCutoff, beta, dCutoff } = this.parameters;
+    const rawVelocity = {
+      x: (position.x - this.position.x) / dt,
+      y: (position.y - this.position.y) / dt,
+      z: (position.z - this.position.z) / dt,
+    };
+    this.velocity = lerpVector(
+      this.velocity,
+      rawVelocity,
+      smoothingFactor(dt, dCutoff)
+    );
+
+    const speed = Math.hypot(this.velocity.x, this.velocity.y, this.velocity.z);
+    const cutoff = minCutoff + beta * speed;
+    return lerpVector(this.position, position, smoothingFactor(dt, cutoff));
+  }
+
+  filterQuaternion(quaternion, dt) {
+    if (!this.quaternion || dt <= 0) return { ...quaternion };
+
+    const { rotationMinCutoff, rotationBeta, dCutoff } = this.parameters;
+    const rawSpeed = angleBetween(this.quaternion, quaternion) / dt;
+    this.angularSpeed +=
+      smoothingFactor(dt, dCutoff) * (rawSpeed - this.angularSpeed);
+
+    const cutoff = rotationMinCutoff + rotationBeta * this.angularSpeed;
+    return slerp(this.quaternion, quaternion, smoothingFactor(dt, cutoff));
+  }
+}
+
+/**
+ * Constant-velocity Kalman filter
+ * Runs an independent position/velocity filter per axis, and per component
+ * of the hemisphere-aligned quaternion (renormalized after each step).
+ * Measurement noise is scaled by 1 / pose.confidence.
+ */
+export class KalmanPoseFilter extends PoseFilter {
+  constructor(parameters) {
+    super(parameters);
+    this.type = FilterType.KALMAN;
+  }
+
+  defaults() {
+    return {
+      processNoise: 1.0, // Acceleration noise density, (m/s^2)^2 per Hz
+      measurementNoise: 0.01, // Position measurement variance, m^2
+      rotationProcessNoise: 1.0, // Angular acceleration noise density
+      rotationMeasurementNoise: 0.001, // Quaternion component variance
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.positionStates = null;
+    this.quaternionStates = null;
+  }
+
+  filter(pose) {
+    this.confidence = Math.max(pose.confidence ?? 1, 0.05);
+    return super.filter(pose);
+  }
+
+  filterPosition(position, dt) {
+    const { processNoise, measurementNoise } = this.parameters;
+    const r = measurementNoise / this.confidence;
+    const axes = ["x", "y", "z"];
+
+    if (!this.positionStates) {
+      this.positionStates = axes.map((axis) => initKalman(position[axis], r));
+      return { ...position };
+    }
+
+    const result = {};
+    axes.forEach((axis, i) => {
+      result[axis] = stepKalman(
+        this.positionStates[i],
+        position[axis],
+        dt,
+        processNoise,
+        r
+      );
+    });
+    return result;
+  }
+
+  filterQuaternion(quaternion, dt) {
+    const { rotationProcessNoise, rotationMeasurementNoise } = this.parameters;
+    const r = rotationMeasurementNoise / this.confidence;
+    const components = ["x", "y", "z", "w"];
+
+    if (!this.quaternionStates) {
+      this.quaternionStates = components.map((c) =>
+        initKalman(quaternion[c], r)
+      );
+      return { ...quaternion };
+    }
+
+    const result = {};
+    components.forEach((c, i) => {
+      result[c] = stepKalman(
+        this.quaternionStates[i],
+        quaternion[c],
+        dt,
+        rotationProcessNoise,
+        r
+      );
+    });
+    return normalizeQuaternion(result);
+  }
+}
+
+/**
+ * Initial state of a 1D constant-velocity Kalman filter
+ * @param {number} value - First measured value
+ * @param {number} variance - Variance of the first measurement
+ * @returns {Object} Filter state, x is the estimate and p00 its variance
+ */
+export function initKalman(value, variance) {
+  return { x: value, v: 0, p00: variance, p01: 0, p11: 1 };
+}
+
+/**
+ * Predict and update a 1D constant-velocity Kalman filter in place
+ * @param {Object} state - State from initKalman()
+ * @param {number} measurement - Measured value
+ * @param {number} dt - Seconds since the previous measurement
+ * @param {number} q - Acceleration noise density
+ * @param {number} r - Measurement variance
+ * @returns {number} Filtered value
+ */
+export function stepKalman(state, measurement, dt, q, r) {
+  // Predict
+  state.x += state.v * dt;
+  const dt2 = dt * dt;
+  const p00 =
+    state.p00 + dt * (2 * state.p01 + dt * state.p11) + (q * dt2 * dt) / 3;
+  const p01 = state.p01 + dt * state.p11 + (q * dt2) / 2;
+  const p11 = state.p11 + q * dt;
+
+  // Update with the measured value
+  const s = p00 + r;
+  const k0 = p00 / s;
+  const k1 = p01 / s;
+  const innovation = measurement - state.x;
+  state.x += k0 * innovation;
+  state.v += k1 * innovation;
+  state.p00 = (1 - k0) * p00;
+  state.p01 = (1 - k0) * p01;
+  state.p11 = p11 - k1 * p01;
+
+  return state.x;
+}
+
+/**
+ * Smoothing factor of a first-order low-pass filter
+ * @param {number} dt - Seconds since the previous sample
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @returns {number}
+ */
+function smoothingFactor(dt, cutoff) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+function lerpVector(a, b, t) {
+  return {
+    x: a.x + t * (b.x - a.x),
+    y: a.y + t * (b.y - a.y),
+    z: a.z + t * (b.z - a.z),
+  };
+}
+
+/**
+ * Flip a quaternion into the hemisphere of a reference, q and -q being the
+ * same rotation, so component-wise filters do not average across the sign flip
+ */
+function alignHemisphere(q, reference) {
+  if (!reference) return q;
+  const dot =
+    q.x * reference.x +
+    q.y * reference.y +
+    q.z * reference.z +
+    q.w * reference.w;
+  return dot < 0 ? { x: -q.x, y: -q.y, z: -q.z, w: -q.w } : q;
+}
+
+function slerp(a, b, t) {
+  _from.set(a.x, a.y, a.z, a.w);
+  _to.set(b.x, b.y, b.z, b.w);
+  _from.slerp(_to, t);
+  return { x: _from.x, y: _from.y, z: _from.z, w: _from.w };
+}
+
+function angleBetween(a, b) {
+  _from.set(a.x, a.y, a.z, a.w);
+  _to.set(b.x, b.y, b.z, b.w);
+  return _from.angleTo(_to);
+}
+
+function normalizeQuaternion(q) {
+  const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
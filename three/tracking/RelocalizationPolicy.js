@@ -0,0 +1,81 @@
+/**
+ * RelocalizationPolicy - Decides when a SLAM map is beyond recovery
+ * AlvaAR keeps trying to relocalize in its old map for as long as tracking is
+ * lost, which rarely succeeds once the camera has moved on. The policy asks for
+ * a reset (a new map) after being lost for too long, or when too few features
+ * are visible to keep tracking. It counts nothing while a map initializes.
+ */
+import { TrackingState } from "./TrackingState.js";
+
+export class RelocalizationPolicy {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      maxLostDuration: 3000, // ms lost or relocalizing before the map is reset
+      minFeatures: 20, // Feature points below which the map is at risk
+      lowFeatureDuration: 1500, // ms below minFeatures before the map is reset
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Restart the timers, e.g. after a reset
+   */
+  reset() {
+    this.lostSince = null;
+    this.lowFeaturesSince = null;
+  }
+
+  /**
+   * Update policy options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Check a processed frame
+   * @param {string} state - TrackingState of the tracker after the frame
+   * @param {number} featureCount - Feature points found in the frame
+   * @param {number} time - performance.now() time of the frame
+   * @returns {string|null} Reason to reset the map, null to keep it
+   */
+  update(state, featureCount, time) {
+    if (
+      !this.options.enabled ||
+      state === TrackingState.INITIALIZING ||
+      state === TrackingState.STOPPED
+    ) {
+      this.reset();
+      return null;
+    }
+
+    const lost =
+      state === TrackingState.LOST || state === TrackingState.RELOCALIZING;
+    this.lostSince = lost ? (this.lostSince ?? time) : null;
+    this.lowFeaturesSince =
+      featureCount < this.options.minFeatures
+        ? (this.lowFeaturesSince ?? time)
+        : null;
+
+    let reason = null;
+    if (
+      this.lostSince !== null &&
+      time - this.lostSince >= this.options.maxLostDuration
+    ) {
+      reason = `lost for ${Math.round(time - this.lostSince)}ms`;
+    } else if (
+      this.lowFeaturesSince !== null &&
+      time - this.lowFeaturesSince >= this.options.lowFeatureDuration
+    ) {
+      reason = `fewer than ${this.options.minFeatures} features for ${Math.round(
+        time - this.lowFeaturesSince
+      )}ms`;
+    }
+
+    if (reason) this.reset();
+    return reason;
+  }
+}
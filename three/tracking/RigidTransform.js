@@ -0,0 +1,117 @@
+/**
+ * RigidTransform - Rotation and translation helpers on plain { x, y, z, w } objects
+ * Poses double as transforms: { position, quaternion } maps points from the
+ * pose's local frame into its parent frame. No Three.js dependency, so the
+ * A-Frame components can share the modules built on it.
+ */
+import { Quaternion } from "../../alva/assets/imu.js";
+
+export const IDENTITY_QUATERNION = Object.freeze({ x: 0, y: 0, z: 0, w: 1 });
+
+/**
+ * Rotate a vector by a unit quaternion
+ * @param {Object} q - Quaternion { x, y, z, w }
+ * @param {Object} v - Vector { x, y, z }
+ * @returns {Object} Rotated vector
+ */
+export function rotateVector(q, v) {
+  // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+  const tx = 2 * (q.y * v.z - q.z * v.y);
+  const ty = 2 * (q.z * v.x - q.x * v.z);
+  const tz = 2 * (q.x * v.y - q.y * v.x);
+  return {
+    x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+    y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+    z: v.z + q.w * tz + (q.x * ty - q.y * tx),
+  };
+}
+
+/**
+ * Inverse of a unit quaternion
+ * @param {Object} q - Quaternion { x, y, z, w }
+ * @returns {Object}
+ */
+export function invertQuaternion(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+/**
+ * Compose two transforms: the result applies b first, then a
+ * @param {Object} a - { position, quaternion }
+ * @param {Object} b - { position, quaternion }
+ * @returns {Object} { position, quaternion }
+ */
+export function multiplyTransforms(a, b) {
+  const p = rotateVector(a.quaternion, b.position);
+  return {
+    position: {
+      x: a.position.x + p.x,
+      y: a.position.y + p.y,
+      z: a.position.z + p.z,
+    },
+    quaternion: Quaternion.multiply(a.quaternion, b.quaternion),
+  };
+}
+
+/**
+ * Inverse of a transform
+ * @param {Object} t - { position, quaternion }
+ * @returns {Object} { position, quaternion }
+ */
+export function invertTransform(t) {
+  const quaternion = invertQuaternion(t.quaternion);
+  const p = rotateVector(quaternion, t.position);
+  return { position: { x: -p.x, y: -p.y, z: -p.z }, quaternion };
+}
+
+/**
+ * Map a pose through a transform, keeping its other fields
+ * @param {Object} transform - { position, quaternion }
+ * @param {Pose} pose - Pose in the transform's local frame
+ * @returns {Pose} Pose in the transform's parent frame
+ */
+export function transformPose(transform, pose) {
+  const p = rotateVector(transform.quaternion, pose.position);
+  const position = {
+    x: transform.position.x + p.x,
+    y: transform.position.y + p.y,
+    z: transform.position.z + p.z,
+  };
+  const quaternion = pose.quaternion
+    ? Quaternion.multiply(transform.quaternion, pose.quaternion)
+    : null;
+  return {
+    ...pose,
+    position,
+    quaternion,
+    matrix: quaternion ? toMatrix(position, quaternion) : null,
+  };
+}
+
+/**
+ * Column-major 4x4 matrix from a position and unit quaternion
+ * @param {Object} p - Position { x, y, z }
+ * @param {Object} q - Quaternion { x, y, z, w }
+ * @returns {Array<number>}
+ */
+export function toMatrix(p, q) {
+  const { x, y, z, w } = q;
+  return [
+    1 - 2 * (y * y + z * z),
+    2 * (x * y + w * z),
+    2 * (x * z - w * y),
+    0,
+    2 * (x * y - w * z),
+    1 - 2 * (x * x + z * z),
+    2 * (y * z + w * x),
+    0,
+    2 * (x * z + w * y),
+    2 * (y * z - w * x),
+    1 - 2 * (x * x + y * y),
+    0,
+    p.x,
+    p.y,
+    p.z,
+    1,
+  ];
+}
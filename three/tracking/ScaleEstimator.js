@@ -0,0 +1,288 @@
+/**
+ * ScaleEstimator - Recovers metres per unit of a monocular SLAM map
+ * AlvaAR translations are in arbitrary map units. Three sources measure the
+ * scale, each with a relative error:
+ * - GPS: straight-line displacement of GPS fixes against the odometry
+ *   displacement over the same stretch of a walk
+ * - Marker: camera displacement in the frame of a marker of known physical
+ *   size (metric poses from ImageTracker) against the odometry displacement
+ * - Height: a user-entered device height above a detected ground plane
+ *   against the camera's distance to that plane in map units
+ * Measurements are combined by inverse variance in log space.
+ */
+import { composeMatrix } from "./PoseConversion.js";
+
+export const ScaleSource = Object.freeze({
+  GPS: "gps",
+  MARKER: "marker",
+  HEIGHT: "height",
+});
+
+/**
+ * @typedef {Object} ScaleEstimate
+ * @property {number} scale - Metres per odometry unit, 1 until measured
+ * @property {number} confidence - 0 (unmeasured) to 1, see toConfidence()
+ * @property {number} relativeError - Estimated relative error of the scale
+ * @property {Array<string>} sources - ScaleSources that contributed
+ */
+
+export class ScaleEstimator {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      minGPSDistance: 10, // Metres of GPS displacement before measuring
+      defaultGPSAccuracy: 10, // Metres, for fixes without an accuracy
+      minMarkerBaseline: 0.15, // Metres of marker-frame displacement before measuring
+      markerNoise: 0.01, // Metres of position noise of marker poses
+      deviceHeight: null, // Metres above the ground, null if unknown
+      heightError: 0.1, // Relative error of a height measurement
+      maxPairDelay: 250, // Max ms between an odometry sample and a reference sample
+      smoothing: 0.3, // Blend factor applied to each new estimate (1 = no smoothing)
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Forget all measurements, e.g. when the SLAM map is reset
+   */
+  reset() {
+    this.measurements = {}; // ScaleSource -> { scale, relativeError }
+    this.references = {}; // ScaleSource -> first { odometry, reference, noise } sample
+    this.lastOdometryPosition = null;
+    this.lastOdometryTime = 0;
+    this.estimate = null;
+  }
+
+  /**
+   * Update estimator options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Record the latest odometry camera position, in map units
+   * @param {Object} position - Unscaled camera position
+   * @param {number} timestamp - performance.now() time of the sample
+   */
+  addOdometryPosition(position, timestamp) {
+    this.lastOdometryPosition = { x: position.x, y: position.y, z: position.z };
+    this.lastOdometryTime = timestamp;
+  }
+
+  /**
+   * Measure the scale from a GPS fix
+   * @param {Object} position - Fix position in the local world frame, in metres
+   * @param {number} accuracy - Horizontal accuracy of the fix in metres
+   * @param {number} timestamp - performance.now() time of the fix
+   */
+  addGPSFix(position, accuracy, timestamp) {
+    const sigma = accuracy || this.options.defaultGPSAccuracy;
+    // GPS altitude is too noisy, compare horizontal displacements only
+    this.addDisplacement(
+      ScaleSource.GPS,
+      { x: position.x, y: 0, z: position.z },
+      sigma,
+      this.options.minGPSDistance,
+      timestamp
+    );
+  }
+
+  /**
+   * Follow a move of the world origin, see GeoFusion.shiftWorld()
+   * @param {Object} offset - Position of the new origin in the previous world frame
+   */
+  shiftWorld(offset) {
+    const first = this.references[ScaleSource.GPS];
+    if (!first) return;
+
+    first.reference = {
+      x: first.reference.x - offset.x,
+      y: first.reference.y,
+      z: first.reference.z - offset.z,
+    };
+  }
+
+  /**
+   * Measure the scale from a metric camera pose in a marker's frame
+   * @param {Object} position - Camera position relative to the marker, in metres
+   * @param {number} timestamp - performance.now() time of the pose
+   * @param {string|null} frame - Id of the marker; displacements are only
+   *   measured within one marker's frame
+   */
+  addMarkerPosition(position, timestamp, frame = null) {
+    this.addDisplacement(
+      ScaleSource.MARKER,
+      position,
+      this.options.markerNoise,
+      this.options.minMarkerBaseline,
+      timestamp,
+      frame
+    );
+  }
+
+  /**
+   * Measure the scale from the camera's distance to the ground
+   * Only measures when a deviceHeight is configured.
+   * @param {number} distance - Camera to ground plane distance in map units
+   */
+  addGroundDistance(distance) {
+    const { deviceHeight, heightError } = this.options;
+    if (!(deviceHeight > 0) || !(distance > 0)) return;
+
+    this.addMeasurement(
+      ScaleSource.HEIGHT,
+      deviceHeight / distance,
+      heightError
+    );
+  }
+
+  /**
+   * Compare the displacement since the first sample of a source in metres
+   * with the odometry displacement over the same time
+   * @param {string} source - ScaleSource
+   * @param {Object} position - Metric position of the reference
+   * @param {number} noise - Position noise of the reference in metres
+   * @param {number} minDistance - Metric displacement needed for a measurement
+   * @param {number} timestamp - performance.now() time of the sample
+   * @param {string|null} frame - Frame of the position; a sample in another
+   *   frame than the first starts over from it
+   */
+  addDisplacement(
+    source,
+    position,
+    noise,
+    minDistance,
+    timestamp,
+    frame = null
+  ) {
+    if (
+      !this.lastOdometryPosition ||
+      Math.abs(timestamp - this.lastOdometryTime) > this.options.maxPairDelay
+    ) {
+      return;
+    }
+
+    const sample = {
+      odometry: { ...this.lastOdometryPosition },
+      reference: { x: position.x, y: position.y, z: position.z },
+      noise,
+      frame,
+    };
+    const first = this.references[source];
+    if (!first || first.frame !== frame) {
+      this.references[source] = sample;
+      return;
+    }
+
+    const metric = distance(first.reference, sample.reference);
+    const mapUnits = distance(first.odometry, sample.odometry);
+    if (metric < minDistance || mapUnits <= 1e-9) return;
+
+    // Noise of both endpoints relative to the displacement
+    const relativeError =
+      Math.sqrt(first.noise * first.noise + noise * noise) / metric;
+    this.addMeasurement(source, metric / mapUnits, relativeError);
+  }
+
+  /**
+   * Replace the measurement of a source and update the combined estimate
+   * @param {string} source - ScaleSource
+   * @param {number} scale - Metres per map unit
+   * @param {number} relativeError - Relative error of the measurement
+   */
+  addMeasurement(source, scale, relativeError) {
+    if (!(scale > 0) || !Number.isFinite(scale)) return;
+
+    this.measurements[source] = { scale, relativeError };
+    this.combine();
+  }
+
+  /**
+   * Inverse-variance weighted mean of the log scales
+   */
+  combine() {
+    let weightSum = 0;
+    let logSum = 0;
+    Object.values(this.measurements).forEach(({ scale, relativeError }) => {
+      // The relative error is the standard deviation of the log scale
+      const weight = 1 / Math.max(relativeError * relativeError, 1e-6);
+      weightSum += weight;
+      logSum += weight * Math.log(scale);
+    });
+    if (weightSum === 0) return;
+
+    const scale = Math.exp(logSum / weightSum);
+    const relativeError = Math.sqrt(1 / weightSum);
+    const current = this.estimate;
+    const k = this.options.smoothing;
+
+    this.estimate = {
+      scale: current
+        ? current.scale * Math.pow(scale / current.scale, k)
+        : scale,
+      relativeError,
+      sources: Object.keys(this.measurements),
+    };
+  }
+
+  /**
+   * Current scale estimate
+   * @returns {ScaleEstimate}
+   */
+  getEstimate() {
+    if (!this.estimate) {
+      return { scale: 1, confidence: 0, relativeError: Infinity, sources: [] };
+    }
+    return {
+      ...this.estimate,
+      confidence: toConfidence(this.estimate.relativeError),
+    };
+  }
+
+  /**
+   * Scale applyToPose() multiplies positions by
+   * @returns {number} Metres per odometry unit, 1 while unmeasured or disabled
+   */
+  getAppliedScale() {
+    return this.options.enabled && this.estimate ? this.estimate.scale : 1;
+  }
+
+  /**
+   * Scale an odometry pose to metres
+   * Positions are scaled about the origin of the map; unchanged while the
+   * estimator is disabled or nothing was measured
+   * @param {Pose} pose - Pose in map units
+   * @returns {Pose} Pose in metres
+   */
+  applyToPose(pose) {
+    if (!this.options.enabled || !this.estimate) return pose;
+
+    const { scale } = this.estimate;
+    const position = {
+      x: pose.position.x * scale,
+      y: pose.position.y * scale,
+      z: pose.position.z * scale,
+    };
+    return {
+      ...pose,
+      position,
+      matrix: pose.quaternion ? composeMatrix(position, pose.quaternion) : null,
+    };
+  }
+}
+
+/**
+ * Map a relative error to a 0-1 confidence; 10% error is 0.5
+ * @param {number} relativeError
+ * @returns {number}
+ */
+function toConfidence(relativeError) {
+  return 1 / (1 + relativeError / 0.1);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
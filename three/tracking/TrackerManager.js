@@ -1,25 +1,113 @@
 /**
  * TrackerManager - Coordinates between different tracking systems
- * Manages AlvaAR, GPS, and Image tracking, providing a unified pose interface
+ * Keeps a registry of trackers (AlvaAR, GPS and Image tracking are built in),
+ * providing a unified pose interface and tracking state events
  */
 import { AlvaTracker } from "./AlvaTracker.js";
 import { GPSTracker } from "./GPSTracker.js";
 import { ImageTracker } from "./ImageTracker.js";
+import { GeoFusion } from "./GeoFusion.js";
+import { ScaleEstimator } from "./ScaleEstimator.js";
+import { WorldAlignment } from "./WorldAlignment.js";
+import { MapAnchor } from "./MapAnchor.js";
+import { multiplyTransforms, invertTransform } from "./RigidTransform.js";
+import { headingToQuaternion, composeMatrix } from "./PoseConversion.js";
+import { CompassHeading } from "../sensors/CompassHeading.js";
+import { DebugOverlay } from "../debug/DebugOverlay.js";
+import { IMU } from "../../alva/assets/imu.js";
+import { LocalProjection } from "../geo/LocalProjection.js";
+import { FrameGeometry } from "../camera/FrameGeometry.js";
+import { createPoseFilter, FilterType } from "./PoseFilter.js";
+import {
+  TrackingState,
+  TrackerEvent,
+  TrackingStateEvent,
+  combineTrackingStates,
+} from "./TrackingState.js";
 
-export class TrackerManager {
+/**
+ * Interface implemented by every registered tracker
+ * @typedef {Object} Tracker
+ * @property {function(): Promise<void>} [initialize] - Load resources, awaited once before the first start
+ * @property {function(HTMLVideoElement): (void|Promise<void>)} start - Start producing poses
+ * @property {function(): void} stop - Stop producing poses, keeping resources for a restart
+ * @property {function(): void} dispose - Release all resources
+ * @property {function(Object): void} [updateConfig] - Apply tracker specific options
+ * @property {function(): Object} [getPerformanceStats] - Frame processing stats of odometry trackers
+ * @property {function(): Promise<Pose|null>} [findPlane] - Dominant plane of odometry trackers, local z is the normal
+ * @property {function(string): Promise<void>} [reset] - Drop the map of odometry trackers and start a new one
+ */
+
+/**
+ * Context handed to a tracker factory
+ * @typedef {Object} TrackerContext
+ * @property {string} id - Id the tracker was registered under
+ * @property {HTMLCanvasElement} canvas - Main rendering canvas
+ * @property {LocalProjection} projection - Shared WGS84 to local world projection
+ * @property {FrameGeometry} frameGeometry - Shared crop and intrinsics of the camera frames
+ * @property {function(Object|null): void} onPoseUpdate - Pose callback, null when tracking is lost
+ * @property {function(string, string): void} onStateChange - Report a TrackingState and the reason for it;
+ *   trackers that never call it get their state inferred from poses
+ * @property {function(Object): void} onOriginChange - Call when the tracker moves the projection origin
+ * @property {function(Quality): void} onQualityUpdate - Report the tracking quality of a frame,
+ *   see TrackingQuality.js
+ * @property {function(Pose, Object): void} onRawPose - Report an unfiltered measurement and what
+ *   the tracker's own filtering made of it, e.g. the GPSFilter result of a fix
+ * @property {function(string, boolean): void} onMarkerChange - Report that a marker was found
+ *   (true) or lost (false), by marker id
+ * @property {function(string, Pose): void} onMarkerPose - Report the camera pose in a marker's
+ *   frame, by marker id; trackers of several markers publish only one of them as their pose
+ * @property {function(Array<Object>): void} onMarkersChange - Report the tracked markers after
+ *   markers were added, removed or replaced
+ */
+
+/**
+ * Registration of a tracker with the manager
+ * @typedef {Object} TrackerDefinition
+ * @property {string} [label] - Name shown in the UI, defaults to the id
+ * @property {string} [role] - "odometry" (smooth, arbitrary frame) or "geo" (metric world position);
+ *   one of each is fused into a geo-registered pose. Any other tracker overrides the pose directly.
+ * @property {boolean} [metric] - Poses are in metres in a frame of their own (e.g. a marker of known
+ *   size); their displacement is used to recover the odometry scale
+ * @property {function(TrackerContext): Tracker} create - Factory for the tracker
+ */
+
+export class TrackerManager extends EventTarget {
   constructor(canvas, onPoseUpdate) {
+    super();
     this.canvas = canvas;
     this.onPoseUpdate = onPoseUpdate;
-    this.trackers = {
-      alva: null,
-      gps: null,
-      image: null,
-    };
+    this.registry = new Map(); // id -> TrackerDefinition
+    this.trackers = {}; // id -> Tracker, created on first enable
+    this.trackerStates = {}; // id -> { state, reason, timestamp, reported }
+    this.filters = {}; // id -> PoseFilter, created from config.filters
+    this.state = TrackingState.STOPPED;
     this.config = {
-      pose: {
-        alva: false,
-        gps: false,
-        image: false,
+      pose: {},
+      trackers: {}, // Tracker specific options, keyed by id
+      // Pose filter per tracker id: { type, ...parameters }, see PoseFilter.js
+      filters: {
+        alva: { type: FilterType.ONE_EURO },
+        gps: { type: FilterType.NONE }, // GPSTracker smooths fixes by their accuracy
+        image: { type: FilterType.NONE },
+      },
+      fusion: {
+        enabled: true,
+        odometryTimeout: 1000, // ms after which the geo tracker alone drives the fused pose
+      },
+      // Metric scale of odometry poses, see ScaleEstimator.js
+      scale: {
+        enabled: true,
+        deviceHeight: null, // Metres above the ground, measured against detected planes
+      },
+      // Level odometry poses with gravity and turn them north, see WorldAlignment.js
+      alignment: {
+        enabled: false,
+      },
+      // Compass heading, see CompassHeading.js; gives GPS-only poses their yaw
+      heading: {
+        enabled: true,
+        maxAge: 500, // ms after which a reading is too old to orient a pose
       },
       debug: false,
       performance: {
@@ -28,11 +116,160 @@ export class TrackerManager {
       },
     };
     this.currentPose = null;
+    this.projection = new LocalProjection();
+    this.frameGeometry = new FrameGeometry();
+    this.fusion = new GeoFusion();
+    this.scaleEstimator = new ScaleEstimator(this.config.scale);
+    this.alignment = new WorldAlignment(this.config.alignment);
+    this.compass = null; // Started with the alignment or a geo tracker
+    this.heading = null; // Latest HeadingReading of the compass
+    this.alignmentIMU = null;
+    this.alignmentIMUStarted = false;
+    this.mapAnchor = new MapAnchor(); // Session frame across odometry map resets
+    this.lastSessionPose = null; // { pose, time } of the last anchored odometry pose
+    this.odometryScale = null; // Scale applied to the last odometry pose
+    this.fusionScale = { scale: 1, measured: false }; // Scale the fusion pairs are at
+    this.lastMetricPose = null; // { id (metric frame), pose, time } of the last metric tracker pose
+    this.markerAnchors = {}; // Metric frame (see getMetricFrame) -> its frame in the session frame
+    this.poseFrames = {}; // Tracker id -> marker id of its last pose, to reset filters on a switch
+    this.lastGeoAccuracy = null;
+    this.lastOdometryPoseTime = 0;
+    this.quality = null; // Latest Quality reported by a tracker, with its id
+    this.debugOverlay = null; // Created when debug mode is first enabled
     this.video = null;
     this.performanceStats = {
       fps: 0,
       frameTime: 0,
+      processingBacklog: 0,
+      scaleFactor: 1,
+      imuActive: false,
+    };
+
+    this.registerBuiltInTrackers();
+  }
+
+  /**
+   * Register the trackers that ship with the app
+   */
+  registerBuiltInTrackers() {
+    this.registerTracker("alva", {
+      label: "AlvaAR",
+      role: "odometry",
+      create: ({
+        canvas,
+        onPoseUpdate,
+        onStateChange,
+        frameGeometry,
+        onQualityUpdate,
+      }) =>
+        new AlvaTracker(
+          canvas,
+          onPoseUpdate,
+          onStateChange,
+          frameGeometry,
+          onQualityUpdate
+        ),
+    });
+
+    this.registerTracker("gps", {
+      label: "GPS",
+      role: "geo",
+      create: ({
+        onPoseUpdate,
+        onStateChange,
+        projection,
+        onOriginChange,
+        onRawPose,
+      }) =>
+        new GPSTracker(onPoseUpdate, {
+          projection,
+          onOriginChange,
+          onStateChange,
+          onRawPose,
+        }),
+    });
+
+    this.registerTracker("image", {
+      label: "Image",
+      metric: true,
+      create: ({
+        onPoseUpdate,
+        onStateChange,
+        onMarkerChange,
+        onMarkerPose,
+        onMarkersChange,
+      }) =>
+        new ImageTracker(onPoseUpdate, onStateChange, {
+          onMarkerChange,
+          onMarkerPose,
+          onMarkersChange,
+        }),
+    });
+  }
+
+  /**
+   * Register a tracker so it can be enabled through the config
+   * @param {string} id - Unique tracker id, used as key in config.pose
+   * @param {TrackerDefinition} definition - Tracker definition
+   */
+  registerTracker(id, definition) {
+    if (this.registry.has(id)) {
+      throw new Error(`Tracker "${id}" is already registered`);
+    }
+    if (typeof definition.create !== "function") {
+      throw new Error(`Tracker "${id}" needs a create() factory`);
+    }
+
+    this.registry.set(id, { label: id, ...definition });
+    this.trackerStates[id] = {
+      state: TrackingState.STOPPED,
+      reason: "registered",
+      timestamp: performance.now(),
+      reported: false,
     };
+    if (!(id in this.config.pose)) {
+      this.config.pose[id] = false;
+    }
+  }
+
+  /**
+   * Remove a tracker from the registry, disposing it if it was created
+   * @param {string} id - Tracker id
+   */
+  unregisterTracker(id) {
+    const tracker = this.trackers[id];
+    if (tracker) {
+      tracker.stop();
+      tracker.dispose();
+    }
+    delete this.trackers[id];
+    delete this.trackerStates[id];
+    delete this.config.pose[id];
+    this.registry.delete(id);
+    this.updateOverallState("unregistered");
+  }
+
+  /**
+   * List registered trackers
+   * @returns {Array<Object>} { id, label, role, enabled, state } for each tracker
+   */
+  getRegisteredTrackers() {
+    return [...this.registry].map(([id, definition]) => ({
+      id,
+      label: definition.label,
+      role: definition.role || null,
+      enabled: !!this.config.pose[id],
+      state: this.trackerStates[id].state,
+    }));
+  }
+
+  /**
+   * Get a tracker instance, if it has been created
+   * @param {string} id - Tracker id
+   * @returns {Tracker|null}
+   */
+  getTracker(id) {
+    return this.trackers[id] || null;
   }
 
   /**
@@ -59,9 +296,10 @@ export class TrackerManager {
    */
   stop() {
     // Stop all initialized trackers
-    Object.values(this.trackers).forEach((tracker) => {
+    Object.entries(this.trackers).forEach(([id, tracker]) => {
       if (tracker) {
         tracker.stop();
+        this.setTrackerState(id, TrackingState.STOPPED, "stopped");
       }
     });
   }
@@ -78,113 +316,729 @@ export class TrackerManager {
         this.trackers[key] = null;
       }
     });
+    if (this.compass) {
+      this.compass.stop();
+      this.compass = null;
+    }
+    if (this.alignmentIMU) {
+      this.alignmentIMU.dispose();
+      this.alignmentIMU = null;
+    }
+    this.alignmentIMUStarted = false;
+    if (this.debugOverlay) {
+      this.debugOverlay.dispose();
+      this.debugOverlay = null;
+    }
   }
 
   /**
    * Update tracking configuration
    * @param {Object} config - New configuration object
+   * @param {Object} config.pose - Enabled flag per tracker id
+   * @param {Object} config.trackers - Tracker specific options per tracker id
    */
   async updateConfig(config) {
-    this.config = { ...this.config, ...config };
-
-    // Handle tracker state changes based on new config
-    if (this.config.pose.alva) {
-      if (!this.trackers.alva) {
-        // Initialize AlvaAR tracker if not already initialized
-        this.trackers.alva = new AlvaTracker(this.canvas, (pose) => {
-          if (this.config.pose.alva) {
-            this.handleAlvaPose(pose);
-          }
-        });
-        await this.trackers.alva.initialize();
+    const wasAligned = this.config.alignment.enabled;
+    this.config = {
+      ...this.config,
+      ...config,
+      pose: { ...this.config.pose, ...config.pose },
+      trackers: mergeById(this.config.trackers, config.trackers),
+      filters: mergeById(this.config.filters, config.filters),
+      fusion: { ...this.config.fusion, ...config.fusion },
+      scale: { ...this.config.scale, ...config.scale },
+      alignment: { ...this.config.alignment, ...config.alignment },
+      heading: { ...this.config.heading, ...config.heading },
+    };
+    this.fusion.updateConfig(this.config.fusion);
+    this.scaleEstimator.updateConfig(this.config.scale);
+    this.alignment.updateConfig(this.config.alignment);
+    if (this.config.alignment.enabled) {
+      this.startAlignmentSensors();
+    }
+    if (this.config.heading.enabled && this.getActiveTrackerId("geo")) {
+      this.startCompass();
+    }
+    if (this.config.alignment.enabled !== wasAligned) {
+      // Earlier pairs were registered from the other Alva frame
+      this.fusion.reset();
+    }
+    if (config.filters) {
+      this.updateFilters(Object.keys(config.filters));
+    }
+    if ("debug" in config) {
+      this.updateDebugOverlay();
+    }
+
+    // Handle tracker state changes based on new config. Tracker options are
+    // applied before anything is awaited, so a tracker can still ask for
+    // permissions (e.g. motion sensors on iOS) within the user gesture.
+    for (const id of this.registry.keys()) {
+      if (this.config.pose[id]) {
+        await this.enableTracker(id, config);
+      } else if (this.trackers[id]) {
+        this.trackers[id].stop();
+        this.setTrackerState(id, TrackingState.STOPPED, "disabled");
       }
-      this.trackers.alva.start(this.video);
-    } else if (this.trackers.alva) {
-      this.trackers.alva.stop();
     }
+  }
 
-    if (this.config.pose.gps) {
-      if (!this.trackers.gps) {
-        // Initialize GPS tracker if not already initialized
-        this.trackers.gps = new GPSTracker((pose) => {
-          if (this.config.pose.gps) {
-            this.handleGPSPose(pose);
-          }
-        });
+  /**
+   * Start the compass and IMU used by the world alignment
+   * Called synchronously from updateConfig, so iOS can ask for sensor
+   * permission within the user gesture. Without a sensor the alignment
+   * keeps the Alva frame on that axis.
+   */
+  startAlignmentSensors() {
+    this.startCompass();
+    if (this.alignmentIMUStarted) return;
+    this.alignmentIMUStarted = true;
+
+    IMU.Initialize()
+      .then((imu) => {
+        if (!this.alignmentIMUStarted) {
+          imu.dispose();
+          return;
+        }
+        this.alignmentIMU = imu;
+        this.alignment.setSensors({ imu });
+      })
+      .catch((error) => {
+        console.warn(
+          "[TrackerManager] No gravity, the alignment keeps the Alva tilt:",
+          error
+        );
+      });
+  }
+
+  /**
+   * Start the compass, once
+   * Called synchronously from updateConfig for the iOS permission request.
+   * Its readings refine the world alignment and orient GPS-only poses.
+   */
+  startCompass() {
+    if (this.compass) return;
+
+    const compass = new CompassHeading((reading) =>
+      this.handleHeading(reading)
+    );
+    this.compass = compass;
+    this.alignment.setSensors({ compass });
+
+    const geo = this.currentPose && this.currentPose.geo;
+    if (geo) {
+      compass.setLocation(geo.latitude, geo.longitude, geo.altitude || 0);
+    }
+
+    CompassHeading.requestPermission().then((granted) => {
+      if (!granted) {
+        console.warn("[TrackerManager] No compass, headings are unavailable");
+      } else if (this.compass === compass) {
+        compass.start();
       }
-      this.trackers.gps.start();
-    } else if (this.trackers.gps) {
-      this.trackers.gps.stop();
+    });
+  }
+
+  /**
+   * Publish a compass reading
+   * @param {HeadingReading} reading - Reading of the compass
+   */
+  handleHeading(reading) {
+    this.heading = reading;
+    this.dispatchEvent(
+      new CustomEvent(TrackerEvent.HEADING, { detail: reading })
+    );
+  }
+
+  /**
+   * Latest compass reading recent enough to orient a pose
+   * @returns {HeadingReading|null}
+   */
+  getFreshHeading() {
+    const reading = this.heading;
+    if (
+      !this.config.heading.enabled ||
+      !reading ||
+      performance.now() - reading.timestamp > this.config.heading.maxAge
+    ) {
+      return null;
     }
+    return reading;
+  }
 
-    if (this.config.pose.image) {
-      if (!this.trackers.image) {
-        // Initialize Image tracker if not already initialized
-        this.trackers.image = new ImageTracker((pose) => {
-          if (this.config.pose.image) {
-            this.handleImagePose(pose);
-          }
-        });
-        await this.trackers.image.initialize();
-        // Set the marker path
-        //this.trackers.image.setMarker("data/markers/qr/frame");
+  /**
+   * Show the debug overlay in debug mode, hide it otherwise
+   */
+  updateDebugOverlay() {
+    if (this.config.debug && !this.debugOverlay) {
+      this.debugOverlay = new DebugOverlay();
+    }
+    if (this.debugOverlay) {
+      this.debugOverlay.setVisible(this.config.debug);
+    }
+  }
+
+  /**
+   * Apply filter config changes, switching filter types at runtime
+   * @param {Array<string>} ids - Tracker ids whose filter config changed
+   */
+  updateFilters(ids) {
+    ids.forEach((id) => {
+      const filter = this.filters[id];
+      const { type = FilterType.NONE, ...parameters } =
+        this.config.filters[id] || {};
+
+      if (filter && filter.type === type) {
+        filter.updateParameters(parameters);
+      } else {
+        // Created on the next pose with the stored config
+        delete this.filters[id];
       }
-      this.trackers.image.start(this.video);
-      // Update image tracker specific config
-      if (config.image) {
-        this.trackers.image.updateConfig(config.image);
+    });
+  }
+
+  /**
+   * Filter a pose with the tracker's configured filter
+   * @param {string} id - Tracker id
+   * @param {Pose} pose - Raw pose
+   * @returns {Pose} Filtered pose
+   */
+  filterPose(id, pose) {
+    if (!this.filters[id]) {
+      this.filters[id] = createPoseFilter(this.config.filters[id]);
+    }
+    return this.filters[id].filter(pose);
+  }
+
+  /**
+   * Create, initialize and start a tracker
+   * @param {string} id - Tracker id
+   * @param {Object} config - Config passed to the current updateConfig call
+   */
+  async enableTracker(id, config) {
+    let tracker = this.trackers[id];
+
+    if (!tracker) {
+      // Create the tracker on first use, with its stored options
+      this.setTrackerState(id, TrackingState.INITIALIZING, "created");
+      tracker = this.registry.get(id).create({
+        id,
+        canvas: this.canvas,
+        projection: this.projection,
+        frameGeometry: this.frameGeometry,
+        onPoseUpdate: (pose) => {
+          if (this.config.pose[id]) {
+            this.inferTrackerState(id, pose);
+            this.handlePose(id, pose);
+          }
+        },
+        onStateChange: (state, reason) => {
+          this.trackerStates[id].reported = true;
+          this.setTrackerState(id, state, reason);
+        },
+        onOriginChange: (offset) => this.handleOriginChange(offset),
+        onQualityUpdate: (quality) => {
+          if (this.config.pose[id]) this.handleQuality(id, quality);
+        },
+        onRawPose: (pose, result) => {
+          this.dispatchEvent(
+            new CustomEvent(TrackerEvent.RAW_POSE, {
+              detail: { tracker: id, pose, result },
+            })
+          );
+        },
+        onMarkerChange: (marker, found) => {
+          if (!this.config.pose[id]) return;
+          this.dispatchEvent(
+            new CustomEvent(
+              found ? TrackerEvent.MARKER_FOUND : TrackerEvent.MARKER_LOST,
+              { detail: { tracker: id, marker } }
+            )
+          );
+        },
+        onMarkerPose: (marker, pose) => {
+          if (!this.config.pose[id]) return;
+          this.dispatchEvent(
+            new CustomEvent(TrackerEvent.MARKER_POSE, {
+              detail: { tracker: id, marker, pose },
+            })
+          );
+        },
+        onMarkersChange: (markers) => {
+          this.dispatchEvent(
+            new CustomEvent(TrackerEvent.MARKERS_CHANGE, {
+              detail: { tracker: id, markers },
+            })
+          );
+        },
+      });
+      this.trackers[id] = tracker;
+      this.applyTrackerConfig(id, this.config.trackers[id]);
+
+      if (tracker.initialize) {
+        await tracker.initialize();
       }
-    } else if (this.trackers.image) {
-      this.trackers.image.stop();
+    } else if (this.trackerStates[id].state === TrackingState.STOPPED) {
+      // Options may have changed while the tracker was disabled
+      this.applyTrackerConfig(id, this.config.trackers[id]);
+    } else if (config.trackers && config.trackers[id]) {
+      this.applyTrackerConfig(id, config.trackers[id]);
+    } else if ("debug" in config) {
+      this.applyTrackerConfig(id, {});
+    }
+
+    if (this.trackerStates[id].state === TrackingState.STOPPED) {
+      this.setTrackerState(id, TrackingState.INITIALIZING, "started");
+    }
+    try {
+      await tracker.start(this.video);
+    } catch (error) {
+      console.error(`[TrackerManager] Failed to start ${id}:`, error);
+      this.setTrackerState(
+        id,
+        TrackingState.STOPPED,
+        `failed to start: ${error.message}`
+      );
     }
   }
 
   /**
-   * Handle pose updates from AlvaAR
-   * @param {Object} pose - AlvaAR pose data
+   * Set the state of a tracker and dispatch the transition
+   * @param {string} id - Tracker id
+   * @param {string} state - New TrackingState
+   * @param {string} reason - Reason for the transition
    */
-  handleAlvaPose(pose) {
-    if (!pose) return;
+  setTrackerState(id, state, reason) {
+    const current = this.trackerStates[id];
+    if (!current || current.state === state) return;
 
-    this.currentPose = {
-      ...this.currentPose,
-      ...pose,
-      source: "alva",
-    };
+    const timestamp = performance.now();
+    const previousState = current.state;
+    this.trackerStates[id] = { ...current, state, reason, timestamp };
 
-    this.onPoseUpdate(this.currentPose);
+    // A (re)initialized odometry tracker starts a map with a new scale and orientation
+    if (
+      this.registry.get(id)?.role === "odometry" &&
+      (state === TrackingState.INITIALIZING || state === TrackingState.STOPPED)
+    ) {
+      // The new map is anchored to the session frame once it tracks
+      this.mapAnchor.startNewMap({
+        northAligned:
+          this.config.alignment.enabled && this.alignment.isNorthAligned(),
+        waitForHeading: this.config.alignment.enabled,
+      });
+      this.scaleEstimator.reset();
+      this.odometryScale = null;
+      this.alignment.reset();
+    }
+
+    // Don't smooth across a tracking gap
+    if (
+      state !== TrackingState.TRACKING &&
+      state !== TrackingState.LIMITED &&
+      this.filters[id]
+    ) {
+      this.filters[id].reset();
+    }
+
+    this.dispatchEvent(
+      new TrackingStateEvent(TrackerEvent.TRACKER_STATE_CHANGE, {
+        tracker: id,
+        state,
+        previousState,
+        reason,
+        timestamp,
+      })
+    );
+    this.updateOverallState(`${id}: ${reason}`);
   }
 
   /**
-   * Handle pose updates from GPS
-   * @param {Object} pose - GPS pose data
+   * Publish the tracking quality of a tracker's frame
+   * @param {string} id - Tracker id
+   * @param {Quality} quality - Quality reported by the tracker
    */
-  handleGPSPose(pose) {
-    if (!pose) return;
+  handleQuality(id, quality) {
+    this.quality = { ...quality, tracker: id };
+    if (this.debugOverlay) {
+      this.debugOverlay.update(this.quality);
+    }
+    this.dispatchEvent(
+      new CustomEvent(TrackerEvent.QUALITY, { detail: this.quality })
+    );
+  }
 
-    this.currentPose = {
-      ...this.currentPose,
-      ...pose,
-      source: "gps",
-    };
+  /**
+   * Derive the state of trackers that do not report one from their poses
+   * @param {string} id - Tracker id
+   * @param {Object|null} pose - Pose reported by the tracker
+   */
+  inferTrackerState(id, pose) {
+    if (this.trackerStates[id].reported) return;
 
-    this.onPoseUpdate(this.currentPose);
+    if (pose) {
+      this.setTrackerState(id, TrackingState.TRACKING, "pose received");
+    } else {
+      this.setTrackerState(id, TrackingState.LOST, "pose lost");
+    }
+  }
+
+  /**
+   * Recompute the overall state from the enabled trackers
+   * @param {string} reason - Reason for the recomputation
+   */
+  updateOverallState(reason) {
+    const states = [...this.registry.keys()]
+      .filter((id) => this.config.pose[id])
+      .map((id) => this.trackerStates[id].state);
+    const state = combineTrackingStates(states);
+    if (state === this.state) return;
+
+    const previousState = this.state;
+    this.state = state;
+    this.dispatchEvent(
+      new TrackingStateEvent(TrackerEvent.STATE_CHANGE, {
+        tracker: null,
+        state,
+        previousState,
+        reason,
+        timestamp: performance.now(),
+      })
+    );
+  }
+
+  /**
+   * Get the overall tracking state
+   * @returns {string} TrackingState
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the state of one tracker
+   * @param {string} id - Tracker id
+   * @returns {Object|null} { state, reason, timestamp }
+   */
+  getTrackerState(id) {
+    const entry = this.trackerStates[id];
+    if (!entry) return null;
+    const { state, reason, timestamp } = entry;
+    return { state, reason, timestamp };
+  }
+
+  /**
+   * Pass tracker specific options, plus the shared debug flag, to a tracker
+   * @param {string} id - Tracker id
+   * @param {Object} options - Tracker specific options
+   */
+  applyTrackerConfig(id, options = {}) {
+    const tracker = this.trackers[id];
+    if (tracker && tracker.updateConfig) {
+      tracker.updateConfig({ debug: this.config.debug, ...options });
+    }
+  }
+
+  /**
+   * Get the id of the enabled tracker registered with a role
+   * @param {string} role - "odometry" or "geo"
+   * @returns {string|null}
+   */
+  getActiveTrackerId(role) {
+    for (const [id, definition] of this.registry) {
+      if (definition.role === role && this.config.pose[id]) return id;
+    }
+    return null;
   }
 
   /**
-   * Handle pose updates from Image tracking
-   * @param {Object} pose - Image tracking pose data
+   * Whether odometry and geo poses should be fused into one world pose
+   * @returns {boolean}
    */
-  handleImagePose(pose) {
+  isFusionActive() {
+    return (
+      this.config.fusion.enabled &&
+      this.getActiveTrackerId("odometry") !== null &&
+      this.getActiveTrackerId("geo") !== null
+    );
+  }
+
+  /**
+   * Route a pose update to the handler for the tracker's role
+   * @param {string} id - Tracker id
+   * @param {Pose} pose - Pose data
+   */
+  handlePose(id, pose) {
     if (!pose) return;
 
+    // Poses of another marker are in another frame
+    if (pose.marker !== this.poseFrames[id]) {
+      this.poseFrames[id] = pose.marker;
+      if (this.filters[id]) this.filters[id].reset();
+    }
+
+    // Odometry is filtered once in metres, see handleOdometryPose
+    const definition = this.registry.get(id);
+    if (definition.role !== "odometry") pose = this.filterPose(id, pose);
+    if (definition.metric) {
+      const frame = getMetricFrame(id, pose);
+      this.scaleEstimator.addMarkerPosition(
+        pose.position,
+        performance.now(),
+        frame
+      );
+      this.recordMarkerAnchor(frame, pose, performance.now());
+    }
+
+    switch (definition.role) {
+      case "odometry":
+        this.handleOdometryPose(id, pose);
+        break;
+      case "geo":
+        this.handleGeoPose(id, pose);
+        break;
+      default:
+        this.publishPose({ ...pose, source: id });
+    }
+  }
+
+  /**
+   * Restart the fusion when odometry positions change units
+   * Its pairs keep the scale they were registered at, so the fused pose
+   * would jump until they are replaced. Changes within the relative error of
+   * the estimate are kept, as smoothing refines the scale on every measurement.
+   * @param {number} scale - Scale applied to the current odometry pose
+   */
+  updateFusionScale(scale) {
+    const { relativeError } = this.scaleEstimator.getEstimate();
+    const measured =
+      this.config.scale.enabled && Number.isFinite(relativeError);
+    const current = this.fusionScale;
+    if (
+      measured !== current.measured ||
+      Math.abs(Math.log(scale / current.scale)) > relativeError
+    ) {
+      this.fusion.reset();
+      this.fusionScale = { scale, measured };
+    }
+  }
+
+  /**
+   * Handle pose updates from an odometry tracker such as AlvaAR
+   * @param {string} id - Tracker id
+   * @param {Pose} pose - Pose in the tracker's own frame
+   */
+  handleOdometryPose(id, pose) {
+    const now = performance.now();
+    this.lastOdometryPoseTime = now;
+
+    // Scale map units to metres and level the map before fusion
+    this.scaleEstimator.addOdometryPosition(pose.position, now);
+    const scale = this.scaleEstimator.getAppliedScale();
+    const rawPosition = pose.position;
+    pose = this.scaleEstimator.applyToPose(pose);
+    if (this.config.alignment.enabled) {
+      this.alignment.update(pose.quaternion, now);
+    }
+    pose = this.alignment.applyToPose(pose);
+
+    // A new scale moves the map about its origin; the session frame is
+    // held at the camera instead, so placed content stays where it was
+    if (this.odometryScale !== null && scale !== this.odometryScale) {
+      const change = scale - this.odometryScale;
+      const { position } = this.alignment.applyToPose({
+        position: {
+          x: rawPosition.x * change,
+          y: rawPosition.y * change,
+          z: rawPosition.z * change,
+        },
+        quaternion: null,
+      });
+      this.mapAnchor.shiftMap(position);
+    }
+    this.odometryScale = scale;
+
+    // Continue the session frame of earlier maps; nothing is published while
+    // a new map waits for its anchor
+    if (!this.mapAnchor.update(pose, this.getAnchorCues(now), now)) return;
+    pose = this.mapAnchor.applyToPose(pose);
+    // Filter parameters are in metres, and the session frame does not jump
+    // when the scale or the map changes
+    pose = this.filterPose(id, pose);
+    this.mapAnchor.recordPose(pose);
+    this.lastSessionPose = { pose, time: now };
+
+    this.updateFusionScale(scale);
+    this.fusion.addAlvaPosition(pose.position, now);
+
+    if (this.isFusionActive() && this.fusion.isRegistered()) {
+      // Odometry drives the fused pose, registered into the GPS world frame
+      this.publishPose({
+        ...this.fusion.applyToPose(pose),
+        source: "fused",
+        tracker: id,
+      });
+    } else {
+      this.publishPose({ ...pose, source: id });
+    }
+  }
+
+  /**
+   * Handle pose updates from a geo tracker such as GPS
+   * @param {string} id - Tracker id
+   * @param {Pose} pose - Pose in the local world frame
+   */
+  handleGeoPose(id, pose) {
+    this.lastGeoAccuracy = pose.geo.accuracy;
+    if (this.compass) {
+      // Declination for true north headings
+      this.compass.setLocation(
+        pose.geo.latitude,
+        pose.geo.longitude,
+        pose.geo.altitude || 0
+      );
+    }
+    this.scaleEstimator.addGPSFix(
+      pose.position,
+      pose.geo.accuracy,
+      performance.now()
+    );
+
+    if (this.isFusionActive()) {
+      this.fusion.addGPSFix(
+        pose.position,
+        pose.geo.accuracy,
+        performance.now()
+      );
+
+      // While odometry is tracking it drives the pose; GPS only refines the
+      // registration. Without odometry, fall back to the GPS world position.
+      const odometryTracking =
+        performance.now() - this.lastOdometryPoseTime <
+        this.config.fusion.odometryTimeout;
+      if (odometryTracking) return;
+
+      if (this.fusion.isRegistered()) {
+        // Keep the last fused orientation, GPS only provides a position
+        this.publishPose({
+          position: pose.position,
+          matrix: null,
+          geo: pose.geo,
+          timestamp: pose.timestamp,
+          confidence: pose.confidence,
+          source: id,
+        });
+        return;
+      }
+    }
+
+    // GPS gives no orientation; the compass heading gives its yaw
+    const reading = this.getFreshHeading();
+    if (reading) {
+      const quaternion = headingToQuaternion(reading.heading);
+      pose = {
+        ...pose,
+        quaternion,
+        matrix: composeMatrix(pose.position, quaternion),
+      };
+    }
+    this.publishPose({ ...pose, source: id });
+  }
+
+  /**
+   * Register a metric tracker's frame (e.g. an image marker) in the session frame
+   * Pairs its pose with the odometry pose of the same moment, so the marker
+   * can anchor a later map. Only done while odometry is metric and its map
+   * anchor is final.
+   * @param {string} id - Metric frame, see getMetricFrame
+   * @param {Pose} pose - Camera pose in the tracker's frame, in metres
+   * @param {number} time - performance.now() time of the pose
+   */
+  recordMarkerAnchor(id, pose, time) {
+    if (!pose.quaternion) return;
+    this.lastMetricPose = { id, pose, time };
+
+    const session = this.lastSessionPose;
+    if (
+      !session ||
+      time - session.time > this.mapAnchor.options.maxCueAge ||
+      !this.mapAnchor.isSettled(time) ||
+      !(this.scaleEstimator.getEstimate().confidence > 0)
+    ) {
+      return;
+    }
+    this.markerAnchors[id] = multiplyTransforms(
+      session.pose,
+      invertTransform(pose)
+    );
+  }
+
+  /**
+   * Collect what is known about the camera pose in the session frame
+   * @param {number} time - performance.now() time of the odometry pose
+   * @returns {AnchorCues}
+   */
+  getAnchorCues(time) {
+    const { maxCueAge, maxGPSAge } = this.mapAnchor.options;
+
+    let marker = null;
+    const metric = this.lastMetricPose;
+    if (
+      metric &&
+      time - metric.time <= maxCueAge &&
+      this.markerAnchors[metric.id]
+    ) {
+      marker = multiplyTransforms(this.markerAnchors[metric.id], metric.pose);
+    }
+
+    let gps = null;
+    if (
+      this.isFusionActive() &&
+      this.fusion.isRegistered() &&
+      this.fusion.lastGeoPosition &&
+      time - this.fusion.lastGeoTime <= maxGPSAge
+    ) {
+      gps = {
+        position: this.fusion.worldToAlva(this.fusion.lastGeoPosition),
+        accuracy:
+          (this.lastGeoAccuracy || 10) / this.fusion.getTransform().scale,
+      };
+    }
+
+    return {
+      marker,
+      gps,
+      northAligned:
+        this.config.alignment.enabled && this.alignment.isNorthAligned(),
+    };
+  }
+
+  /**
+   * Merge a pose into the current pose and notify the listener
+   * @param {Pose} pose - Pose data, partial poses keep the current values
+   */
+  publishPose(pose) {
     this.currentPose = {
       ...this.currentPose,
       ...pose,
-      source: "image",
     };
 
     this.onPoseUpdate(this.currentPose);
+    this.dispatchEvent(
+      new CustomEvent(TrackerEvent.POSE, { detail: this.currentPose })
+    );
+  }
+
+  /**
+   * Handle a move of the GPS session origin
+   * @param {Object} offset - Position of the new origin in the previous world frame
+   */
+  handleOriginChange(offset) {
+    this.fusion.shiftWorld(offset);
+    this.scaleEstimator.shiftWorld(offset);
+    this.dispatchEvent(
+      new CustomEvent(TrackerEvent.ORIGIN_CHANGE, { detail: offset })
+    );
   }
 
   /**
@@ -195,17 +1049,178 @@ export class TrackerManager {
     return this.currentPose;
   }
 
+  /**
+   * Get the transform registering the AlvaAR frame to the GPS world frame
+   * @returns {Object|null} { yaw, scale, translation } or null if not registered
+   */
+  getWorldTransform() {
+    return this.fusion.getTransform();
+  }
+
+  /**
+   * Get the projection between WGS84 and the local world frame
+   * @returns {LocalProjection}
+   */
+  getProjection() {
+    return this.projection;
+  }
+
+  /**
+   * Get the geometry shared by the camera frames, SLAM and the view
+   * @returns {FrameGeometry}
+   */
+  getFrameGeometry() {
+    return this.frameGeometry;
+  }
+
   /**
    * Get performance statistics
    * @returns {Object} Performance statistics
    */
   getPerformanceStats() {
-    if (this.trackers.alva) {
+    // Report the odometry tracker, which does the per-frame processing
+    const id = this.getActiveTrackerId("odometry");
+    const tracker = id ? this.trackers[id] : null;
+    if (tracker && typeof tracker.getPerformanceStats === "function") {
       this.performanceStats = {
-        fps: 30, // Fixed frame rate since we removed FPS tracking
-        frameTime: 33.33, // Fixed frame time (1000ms / 30fps)
+        ...this.performanceStats,
+        ...tracker.getPerformanceStats(),
       };
     }
     return this.performanceStats;
   }
+
+  /**
+   * Detect the dominant plane in the odometry tracker's map
+   * The plane is mapped into the same world frame as the published poses
+   * and dispatched as a TrackerEvent.PLANE event.
+   * @returns {Promise<Pose|null>} Plane pose, its local z axis is the plane
+   *   normal; null if the odometry tracker found none or cannot detect planes
+   */
+  async findPlane() {
+    const id = this.getActiveTrackerId("odometry");
+    const tracker = id ? this.trackers[id] : null;
+    if (!tracker || typeof tracker.findPlane !== "function") return null;
+
+    let plane = await tracker.findPlane();
+    if (!plane) return null;
+
+    // With a known device height the plane, taken as the ground, measures the scale
+    const camera = this.scaleEstimator.lastOdometryPosition;
+    if (camera) {
+      this.scaleEstimator.addGroundDistance(planeDistance(plane, camera));
+    }
+    plane = this.scaleEstimator.applyToPose(plane);
+    plane = this.alignment.applyToPose(plane);
+    plane = this.mapAnchor.applyToPose(plane);
+
+    if (this.isFusionActive() && this.fusion.isRegistered()) {
+      plane = this.fusion.applyToPose(plane);
+    }
+    plane = { ...plane, source: id };
+
+    this.dispatchEvent(new CustomEvent(TrackerEvent.PLANE, { detail: plane }));
+    return plane;
+  }
+
+  /**
+   * Get the latest tracking quality
+   * @returns {Quality|null} Quality with the id of the tracker that reported it
+   *   (tracker), null before the first processed frame
+   */
+  getTrackingQuality() {
+    return this.quality;
+  }
+
+  /**
+   * Get the latest compass reading
+   * @returns {HeadingReading|null} Null until the compass reported a heading
+   */
+  getHeading() {
+    return this.heading;
+  }
+
+  /**
+   * Get the metric scale applied to odometry poses
+   * @returns {ScaleEstimate}
+   */
+  getScaleEstimate() {
+    return this.scaleEstimator.getEstimate();
+  }
+
+  /**
+   * Drop the odometry tracker's map and start a new one
+   * The new map is anchored to the current session frame once it tracks.
+   * @returns {Promise<void>}
+   */
+  async resetMap() {
+    const id = this.getActiveTrackerId("odometry");
+    const tracker = id ? this.trackers[id] : null;
+    if (!tracker || typeof tracker.reset !== "function") return;
+
+    await tracker.reset("reset requested");
+  }
+
+  /**
+   * Get how the current odometry map is anchored to the session frame
+   * @returns {Object} { maps, pending, rotationSource, positionSource }
+   */
+  getMapAnchor() {
+    return this.mapAnchor.getState();
+  }
+
+  /**
+   * Get the gravity and compass alignment applied to odometry poses
+   * @returns {Object} { enabled, levelled, northAligned, yaw, quaternion }, see
+   *   WorldAlignment.getState()
+   */
+  getAlignment() {
+    return {
+      enabled: this.config.alignment.enabled,
+      ...this.alignment.getState(),
+    };
+  }
+}
+
+/**
+ * Distance of a point from a plane pose, whose local z axis is the normal
+ * @param {Pose} plane - Plane pose
+ * @param {Object} point - Point in the same frame
+ * @returns {number}
+ */
+function planeDistance(plane, point) {
+  const { x, y, z, w } = plane.quaternion;
+  const nx = 2 * (x * z + w * y);
+  const ny = 2 * (y * z - w * x);
+  const nz = 1 - 2 * (x * x + y * y);
+  const p = plane.position;
+
+  return Math.abs(
+    nx * (point.x - p.x) + ny * (point.y - p.y) + nz * (point.z - p.z)
+  );
+}
+
+/**
+ * Key of the frame a metric pose is in: the tracker id, with the marker id
+ * for trackers of several markers
+ * @param {string} id - Tracker id
+ * @param {Pose} pose - Pose of the tracker
+ * @returns {string}
+ */
+function getMetricFrame(id, pose) {
+  return pose.marker ? `${id}/${pose.marker}` : id;
+}
+
+/**
+ * Merge options keyed by id, merging the options of each id
+ * @param {Object} current - Options per id
+ * @param {Object} [updates] - Options per id to merge in
+ * @returns {Object}
+ */
+function mergeById(current, updates = {}) {
+  const merged = { ...current };
+  for (const [id, options] of Object.entries(updates)) {
+    merged[id] = { ...current[id], ...options };
+  }
+  return merged;
 }
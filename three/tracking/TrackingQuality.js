@@ -0,0 +1,195 @@
+/**
+ * TrackingQuality - Per-frame score of how well visual tracking is doing
+ * Combines the number of feature points, how much of the frame they cover and
+ * how jittery the camera rotation is into a 0-1 score, with a hint for the user
+ * when one of them is poor. Rotation is used for jitter because, unlike SLAM
+ * translations, it does not depend on the map scale.
+ */
+import { invertQuaternion } from "./RigidTransform.js";
+import { Quaternion } from "../../alva/assets/imu.js";
+
+export const QualityHint = Object.freeze({
+  NONE: "none",
+  ADD_TEXTURE: "add-texture", // Too few or too clustered features
+  MOVE_SLOWLY: "move-slowly", // Fast or shaky camera motion
+});
+
+/**
+ * @typedef {Object} Quality
+ * @property {number} score - 0 (unusable) to 1 (ideal)
+ * @property {number} pointCount - Feature points in the frame
+ * @property {number} coverage - Fraction of grid cells holding a feature point
+ * @property {number} jitter - Smoothed change of the rotation step, degrees per frame
+ * @property {number} angularSpeed - Degrees per second the camera turns
+ * @property {number} pointScore - 0-1 score of the point count
+ * @property {number} spreadScore - 0-1 score of the coverage
+ * @property {number} jitterScore - 0-1 score of the jitter, 0 without a pose
+ * @property {string} hint - QualityHint
+ * @property {number} timestamp - performance.now() time of the frame
+ */
+
+export class TrackingQuality {
+  constructor(options = {}) {
+    this.options = {
+      minPoints: 10, // Points at or below which the point score is 0
+      goodPoints: 150, // Points from which the point score is 1
+      columns: 6, // Grid for the coverage
+      rows: 4,
+      goodCoverage: 0.5, // Fraction of covered cells scoring 1
+      maxJitter: 2, // Degrees per frame at which the jitter score is 0
+      maxAngularSpeed: 120, // Degrees per second above which motion blur is likely
+      smoothing: 0.2, // Blend factor of each frame's jitter
+      hintThreshold: 0.3, // Part scores below this produce a hint
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Forget the pose history, e.g. when tracking is lost
+   */
+  reset() {
+    this.lastQuaternion = null;
+    this.lastStep = null; // Rotation vector between the last two poses
+    this.lastTime = 0;
+    this.jitter = 0;
+    this.angularSpeed = 0;
+  }
+
+  /**
+   * Update options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Score a processed frame
+   * @param {Object} frame
+   * @param {Array<{x: number, y: number}>} frame.points - Feature points in pixels
+   * @param {number} frame.width - Frame width in pixels
+   * @param {number} frame.height - Frame height in pixels
+   * @param {Pose|null} frame.pose - Camera pose found in the frame
+   * @param {number} frame.timestamp - performance.now() time of the frame
+   * @returns {Quality}
+   */
+  update({ points, width, height, pose, timestamp }) {
+    const o = this.options;
+
+    const pointCount = points.length;
+    const pointScore = clamp01(
+      (pointCount - o.minPoints) / (o.goodPoints - o.minPoints)
+    );
+
+    const cells = countPointsPerCell(points, width, height, o.columns, o.rows);
+    const coverage =
+      cells.filter((count) => count > 0).length / (o.columns * o.rows);
+    const spreadScore = clamp01(coverage / o.goodCoverage);
+
+    let jitterScore = 0;
+    if (pose && pose.quaternion) {
+      this.updateMotion(pose.quaternion, timestamp);
+      jitterScore = 1 - clamp01(this.jitter / o.maxJitter);
+    } else {
+      this.reset();
+    }
+
+    let hint = QualityHint.NONE;
+    if (pointScore < o.hintThreshold || spreadScore < o.hintThreshold) {
+      hint = QualityHint.ADD_TEXTURE;
+    } else if (
+      pose &&
+      (jitterScore < o.hintThreshold || this.angularSpeed > o.maxAngularSpeed)
+    ) {
+      hint = QualityHint.MOVE_SLOWLY;
+    }
+
+    return {
+      score: 0.4 * pointScore + 0.3 * spreadScore + 0.3 * jitterScore,
+      pointCount,
+      coverage,
+      jitter: this.jitter,
+      angularSpeed: this.angularSpeed,
+      pointScore,
+      spreadScore,
+      jitterScore,
+      hint,
+      timestamp,
+    };
+  }
+
+  /**
+   * Update angular speed and jitter from a new camera orientation
+   * Jitter is how much the rotation step changes from frame to frame, so
+   * steady turning is not penalized but shaking is.
+   * @param {Object} quaternion - Camera orientation
+   * @param {number} timestamp - performance.now() time of the pose
+   */
+  updateMotion(quaternion, timestamp) {
+    if (this.lastQuaternion) {
+      const step = rotationVector(this.lastQuaternion, quaternion);
+      const angle = Math.hypot(step.x, step.y, step.z);
+      const dt = (timestamp - this.lastTime) / 1000;
+      if (dt > 0) this.angularSpeed = angle / dt;
+
+      if (this.lastStep) {
+        const change = Math.hypot(
+          step.x - this.lastStep.x,
+          step.y - this.lastStep.y,
+          step.z - this.lastStep.z
+        );
+        this.jitter += this.options.smoothing * (change - this.jitter);
+      }
+      this.lastStep = step;
+    }
+    this.lastQuaternion = quaternion;
+    this.lastTime = timestamp;
+  }
+}
+
+/**
+ * Count feature points in a grid of cells over the frame
+ * @param {Array<{x: number, y: number}>} points - Points in pixels
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} columns - Grid columns
+ * @param {number} rows - Grid rows
+ * @returns {Array<number>} Count per cell, row by row
+ */
+export function countPointsPerCell(points, width, height, columns, rows) {
+  const counts = new Array(columns * rows).fill(0);
+  for (const { x, y } of points) {
+    const column = Math.floor((x / width) * columns);
+    const row = Math.floor((y / height) * rows);
+    if (column < 0 || column >= columns || row < 0 || row >= rows) continue;
+    counts[row * columns + column]++;
+  }
+  return counts;
+}
+
+/**
+ * Rotation from one orientation to the next as axis * angle in degrees
+ * @param {Object} from - Quaternion
+ * @param {Object} to - Quaternion
+ * @returns {{x: number, y: number, z: number}}
+ */
+function rotationVector(from, to) {
+  // Relative rotation in the world frame, the shortest way round
+  let { x, y, z, w } = Quaternion.multiply(to, invertQuaternion(from));
+  if (w < 0) {
+    x = -x;
+    y = -y;
+    z = -z;
+    w = -w;
+  }
+
+  const sin = Math.hypot(x, y, z);
+  if (sin < 1e-9) return { x: 0, y: 0, z: 0 };
+  const angle = (2 * Math.atan2(sin, w) * 180) / Math.PI;
+  return { x: (x / sin) * angle, y: (y / sin) * angle, z: (z / sin) * angle };
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,76 @@
+/**
+ * TrackingState - Tracking states reported per tracker and for the TrackerManager
+ * Also defines the typed events the TrackerManager dispatches
+ */
+export const TrackingState = Object.freeze({
+  INITIALIZING: "initializing", // Started, no pose yet
+  TRACKING: "tracking", // Reliable poses
+  LIMITED: "limited", // Poses available but degraded (held, inaccurate)
+  LOST: "lost", // No pose
+  RELOCALIZING: "relocalizing", // No pose, actively trying to recover
+  STOPPED: "stopped", // Not running
+});
+
+/**
+ * Event types dispatched by the TrackerManager
+ */
+export const TrackerEvent = Object.freeze({
+  POSE: "pose", // CustomEvent, detail is the published pose
+  TRACKER_STATE_CHANGE: "trackerstatechange", // TrackingStateEvent for one tracker
+  STATE_CHANGE: "statechange", // TrackingStateEvent for the overall state
+  ORIGIN_CHANGE: "originchange", // CustomEvent, detail is the origin offset
+  PLANE: "plane", // CustomEvent, detail is the detected plane pose
+  QUALITY: "quality", // CustomEvent, detail is the tracking Quality of a frame
+  RAW_POSE: "rawpose", // CustomEvent, detail is { tracker, pose, result } of an unfiltered measurement
+  HEADING: "heading", // CustomEvent, detail is the HeadingReading of the compass
+  MARKER_FOUND: "markerfound", // CustomEvent, detail is { tracker, marker } of a marker that came into view
+  MARKER_LOST: "markerlost", // CustomEvent, detail is { tracker, marker } of a marker that went out of view
+  MARKER_POSE: "markerpose", // CustomEvent, detail is { tracker, marker, pose }, the camera pose in a marker's frame
+  MARKERS_CHANGE: "markerschange", // CustomEvent, detail is { tracker, markers } after markers were added, removed or replaced
+});
+
+// Best first; the overall state is the best state of any enabled tracker
+const STATE_RANK = [
+  TrackingState.TRACKING,
+  TrackingState.LIMITED,
+  TrackingState.RELOCALIZING,
+  TrackingState.INITIALIZING,
+  TrackingState.LOST,
+  TrackingState.STOPPED,
+];
+
+/**
+ * Combine per-tracker states into an overall state
+ * @param {Array<string>} states - States of the enabled trackers
+ * @returns {string} Overall state, STOPPED if there are none
+ */
+export function combineTrackingStates(states) {
+  let best = STATE_RANK.length - 1;
+  for (const state of states) {
+    best = Math.min(best, STATE_RANK.indexOf(state));
+  }
+  return STATE_RANK[best];
+}
+
+/**
+ * Event describing a tracking state transition
+ */
+export class TrackingStateEvent extends Event {
+  /**
+   * @param {string} type - TrackerEvent.TRACKER_STATE_CHANGE or TrackerEvent.STATE_CHANGE
+   * @param {Object} init - Event details
+   * @param {string|null} init.tracker - Tracker id, null for the overall state
+   * @param {string} init.state - New state
+   * @param {string} init.previousState - State before the transition
+   * @param {string} init.reason - Human readable reason for the transition
+   * @param {number} init.timestamp - performance.now() time of the transition
+   */
+  constructor(type, { tracker, state, previousState, reason, timestamp }) {
+    super(type);
+    this.tracker = tracker;
+    this.state = state;
+    this.previousState = previousState;
+    this.reason = reason;
+    this.timestamp = timestamp;
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * WorldAlignment - Levels the AlvaAR frame and turns it to face north
+ * AlvaAR starts its map in whatever orientation the camera had. Gravity from
+ * the IMU, seen in the camera frame, gives "up" in the Alva frame; a compass
+ * heading of the camera gives north. The alignment rotates Alva poses so +Y
+ * is up and -Z is north (true north once the compass knows the location),
+ * and keeps refining the yaw as headings come in. It has no Three.js
+ * dependency, so the A-Frame components can use it.
+ */
+import { Quaternion } from "../../alva/assets/imu.js";
+import {
+  IDENTITY_QUATERNION,
+  rotateVector,
+  transformPose,
+} from "./RigidTransform.js";
+
+const GRAVITY = 9.81;
+const ORIGIN = Object.freeze({ x: 0, y: 0, z: 0 });
+
+export class WorldAlignment {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      gravitySmoothing: 0.05, // Blend factor of each gravity sample
+      headingSmoothing: 0.02, // Blend factor of each heading, low as compasses are noisy
+      minGravitySamples: 10, // Samples before the frame counts as levelled
+      gravityTolerance: 1.5, // m/s^2 from 1 g within which the device counts as still
+      maxRotationRate: 1, // rad/s above which IMU and camera are too far out of sync
+      maxSampleAge: 150, // Max ms between a pose and the sensor reading used with it
+      minHorizontal: 0.5, // Horizontal part of the view direction needed for a heading
+      maxHeadingAccuracy: 30, // Degrees, less accurate headings are ignored
+      ...options,
+    };
+    this.imu = null;
+    this.compass = null;
+    this.reset();
+  }
+
+  /**
+   * Forget the alignment, e.g. when the SLAM map is reset
+   */
+  reset() {
+    this.up = null; // Smoothed up direction in the Alva frame
+    this.gravitySamples = 0;
+    this.level = IDENTITY_QUATERNION; // Rotation taking up to +Y
+    this.yaw = null; // Radians about +Y after levelling, null until a heading arrived
+    this.quaternion = IDENTITY_QUATERNION;
+  }
+
+  /**
+   * Update alignment options
+   * @param {Object} options - Options to merge into the current ones
+   */
+  updateConfig(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Set the sensors read by update()
+   * @param {Object} sensors
+   * @param {IMU|null} sensors.imu - Gravity source
+   * @param {CompassHeading|null} sensors.compass - Heading source
+   */
+  setSensors({ imu = this.imu, compass = this.compass }) {
+    this.imu = imu;
+    this.compass = compass;
+  }
+
+  /**
+   * Refine the alignment with the latest sensor readings
+   * @param {Object} cameraQuaternion - Camera orientation in the Alva frame,
+   *   Three.js convention
+   * @param {number} timestamp - performance.now() time of the camera pose
+   */
+  update(cameraQuaternion, timestamp = performance.now()) {
+    if (!cameraQuaternion) return;
+    const maxAge = this.options.maxSampleAge;
+
+    const sample = this.imu ? this.imu.latestSample() : null;
+    if (sample && Math.abs(timestamp - sample.timestamp) <= maxAge) {
+      this.addGravity(
+        cameraQuaternion,
+        deviceToCamera({ x: sample.agx, y: sample.agy, z: sample.agz }),
+        Math.hypot(sample.gx, sample.gy, sample.gz)
+      );
+    }
+
+    const reading = this.compass ? this.compass.getReading() : null;
+    if (reading && Math.abs(timestamp - reading.timestamp) <= maxAge) {
+      this.addHeading(cameraQuaternion, reading.heading, reading.accuracy);
+    }
+  }
+
+  /**
+   * Refine "up" from an accelerometer reading
+   * @param {Object} cameraQuaternion - Camera orientation in the Alva frame
+   * @param {Object} up - Acceleration including gravity in the camera frame, m/s^2;
+   *   points up when the device is still
+   * @param {number} rotationRate - Device rotation rate in rad/s
+   */
+  addGravity(cameraQuaternion, up, rotationRate = 0) {
+    const { gravityTolerance, maxRotationRate, gravitySmoothing } =
+      this.options;
+    const norm = Math.hypot(up.x, up.y, up.z);
+    // Away from 1 g the device accelerates and the reading is not just gravity
+    if (Math.abs(norm - GRAVITY) > gravityTolerance) return;
+    if (rotationRate > maxRotationRate) return;
+
+    const measured = rotateVector(cameraQuaternion, {
+      x: up.x / norm,
+      y: up.y / norm,
+      z: up.z / norm,
+    });
+    this.up = this.up
+      ? blendDirection(this.up, measured, gravitySmoothing)
+      : measured;
+    this.gravitySamples++;
+
+    this.level = fromUnitVectors(this.up, { x: 0, y: 1, z: 0 });
+    this.updateQuaternion();
+  }
+
+  /**
+   * Refine the yaw from a compass heading of the camera
+   * Only used once the frame is levelled.
+   * @param {Object} cameraQuaternion - Camera orientation in the Alva frame
+   * @param {number} heading - Degrees clockwise from north the camera looks
+   * @param {number|null} accuracy - Heading accuracy in degrees, null if unknown
+   */
+  addHeading(cameraQuaternion, heading, accuracy = null) {
+    if (!this.isLevelled() || !Number.isFinite(heading)) return;
+    if (accuracy !== null && accuracy > this.options.maxHeadingAccuracy) return;
+
+    // View direction in the levelled frame; its heading is undefined when
+    // looking up or down
+    const forward = rotateVector(
+      Quaternion.multiply(this.level, cameraQuaternion),
+      {
+        x: 0,
+        y: 0,
+        z: -1,
+      }
+    );
+    if (Math.hypot(forward.x, forward.z) < this.options.minHorizontal) return;
+
+    // A rotation about +Y by yaw turns a heading by -yaw (clockwise headings)
+    const levelledHeading = Math.atan2(forward.x, -forward.z);
+    const target = levelledHeading - (heading * Math.PI) / 180;
+
+    if (this.yaw === null) {
+      this.yaw = wrapAngle(target);
+    } else {
+      this.yaw = wrapAngle(
+        this.yaw + this.options.headingSmoothing * wrapAngle(target - this.yaw)
+      );
+    }
+    this.updateQuaternion();
+  }
+
+  /**
+   * Combine levelling and yaw
+   */
+  updateQuaternion() {
+    this.quaternion =
+      this.yaw === null
+        ? this.level
+        : Quaternion.multiply(
+            Quaternion.fromAxisAngle(0, 1, 0, this.yaw),
+            this.level
+          );
+  }
+
+  /**
+   * Whether enough gravity was seen for +Y to be up
+   * @returns {boolean}
+   */
+  isLevelled() {
+    return this.gravitySamples >= this.options.minGravitySamples;
+  }
+
+  /**
+   * Whether a compass heading has turned -Z to north
+   * @returns {boolean}
+   */
+  isNorthAligned() {
+    return this.yaw !== null;
+  }
+
+  /**
+   * Rotation from the Alva frame into the aligned frame
+   * @returns {Object} Quaternion { x, y, z, w }
+   */
+  getQuaternion() {
+    return { ...this.quaternion };
+  }
+
+  /**
+   * Alignment summary
+   * @returns {Object} { levelled, northAligned, yaw (degrees), quaternion }
+   */
+  getState() {
+    return {
+      levelled: this.isLevelled(),
+      northAligned: this.isNorthAligned(),
+      yaw: this.yaw === null ? null : (this.yaw * 180) / Math.PI,
+      quaternion: this.getQuaternion(),
+    };
+  }
+
+  /**
+   * Rotate an Alva pose into the aligned frame, about the Alva origin
+   * Unchanged while disabled
+   * @param {Pose} pose - Pose in the Alva frame
+   * @returns {Pose} Aligned pose
+   */
+  applyToPose(pose) {
+    if (!this.options.enabled) return pose;
+
+    return transformPose(
+      { position: ORIGIN, quaternion: this.quaternion },
+      pose
+    );
+  }
+}
+
+/**
+ * Rotate device-frame readings into the camera frame
+ * Both have x right and y up, but the screen (and with it the video) turns
+ * with the display orientation.
+ * @param {Object} v - Vector in the device frame
+ * @returns {Object} Vector in the camera frame
+ */
+function deviceToCamera(v) {
+  const angle =
+    ((window.screen?.orientation?.angle ?? window.orientation ?? 0) * Math.PI) /
+    180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos, z: v.z };
+}
+
+/**
+ * Shortest rotation taking unit vector a to unit vector b
+ */
+function fromUnitVectors(a, b) {
+  const w = 1 + a.x * b.x + a.y * b.y + a.z * b.z;
+  if (w < 1e-6) {
+    // Opposite vectors, half a turn about any perpendicular axis
+    return Math.abs(a.x) > Math.abs(a.z)
+      ? normalize({ x: -a.y, y: a.x, z: 0, w: 0 })
+      : normalize({ x: 0, y: -a.z, z: a.y, w: 0 });
+  }
+  return normalize({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+    w,
+  });
+}
+
+/**
+ * Move a unit vector towards another by a blend factor
+ */
+function blendDirection(from, to, k) {
+  const x = from.x + k * (to.x - from.x);
+  const y = from.y + k * (to.y - from.y);
+  const z = from.z + k * (to.z - from.z);
+  const norm = Math.hypot(x, y, z) || 1;
+  return { x: x / norm, y: y / norm, z: z / norm };
+}
+
+function normalize(q) {
+  const norm = Math.hypot(q.x, q.y, q.z, q.w);
+  return { x: q.x / norm, y: q.y / norm, z: q.z / norm, w: q.w / norm };
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -6,10 +6,13 @@ module.exports = {
   mode: "development",
   entry: {
     three: path.resolve(__dirname, "three/index.js"),
+    calibration: path.resolve(__dirname, "three/calibration.js"),
   },
   output: {
     path: path.resolve(__dirname, "public"),
-    filename: "index.js",
+    // The AR app keeps its index.js name, other pages are named after their entry
+    filename: ({ chunk }) =>
+      chunk.name === "three" ? "index.js" : "[name].js",
   },
   optimization: {
     minimize: false,
@@ -22,6 +25,23 @@ module.exports = {
           from: "three/index.html",
           to: "index.html",
         },
+        {
+          from: "three/calibration.html",
+          to: "calibration.html",
+        },
+        {
+          from: "three/tracks",
+          to: "data/tracks",
+        },
+        {
+          from: "three/geofences",
+          to: "data/geofences",
+        },
+        {
+          from: "three/elevation",
+          to: "data/elevation",
+          noErrorOnMissing: true, // DEM tiles are optional
+        },
         {
           from: "three/markers",
           to: "data/markers",